@@ -11,6 +11,8 @@ import authRoutes from './routes/auth.js';
 import tripsRoutes from './routes/trips.js';
 import statsRoutes from './routes/stats.js';
 import adminRoutes from './routes/admin.js';
+import expensesRoutes from './routes/expenses.js';
+import jobsRoutes from './routes/jobs.js';
 
 // Create Express app
 const app = express();
@@ -60,6 +62,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/trips', tripsRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/expenses', expensesRoutes);
+app.use('/api/jobs', jobsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
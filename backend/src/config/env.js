@@ -29,6 +29,30 @@ const config = {
     googlePlaces: process.env.GOOGLE_PLACES_API_KEY,
   },
   
+  // LLM provider: 'openai' (OpenAI or any OpenAI-compatible server) or
+  // 'fixture' (canned answers, no network)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    baseUrl: process.env.LLM_BASE_URL || undefined, // e.g. http://localhost:11434/v1 for Ollama
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60 * 1000,
+    models: {
+      default: process.env.LLM_MODEL || 'gpt-3.5-turbo',
+      itinerary: process.env.LLM_MODEL_ITINERARY,
+      alternatives: process.env.LLM_MODEL_ALTERNATIVES,
+      regenerate_day: process.env.LLM_MODEL_REGENERATE_DAY,
+      regenerate_activity: process.env.LLM_MODEL_REGENERATE_ACTIVITY,
+      chat: process.env.LLM_MODEL_CHAT,
+    },
+  },
+
+  // Background job worker
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2, // Jobs run at the same time
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000,
+    leaseMs: parseInt(process.env.JOB_LEASE_MS, 10) || 30000, // Running jobs not renewed for this long are requeued
+  },
+
   // CORS
   cors: {
     origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
@@ -42,9 +66,10 @@ const config = {
 };
 
 // Validate required environment variables
+// (an OpenAI key is only needed when talking to OpenAI itself)
 const requiredEnvVars = [
   'JWT_SECRET',
-  'OPENAI_API_KEY',
+  ...(config.llm.provider === 'openai' && !config.llm.baseUrl ? ['OPENAI_API_KEY'] : []),
   'GOOGLE_PLACES_API_KEY',
 ];
 
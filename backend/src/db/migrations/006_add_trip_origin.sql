@@ -0,0 +1,8 @@
+-- Add home location to users (default trip origin)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS home_location VARCHAR(200);
+
+-- Add origin and travel-to-destination details to trips
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS origin VARCHAR(200);
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS origin_transport_mode VARCHAR(50)
+  CHECK (origin_transport_mode IN ('flight', 'train_international', 'bus_coach', 'ferry_foot', 'car'));
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS origin_distance_km DECIMAL(10, 2) DEFAULT 0;
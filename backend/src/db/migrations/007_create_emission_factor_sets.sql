@@ -0,0 +1,49 @@
+-- Create emission_factor_sets table for versioned emission factors (e.g. DEFRA 2023, DEFRA 2024)
+CREATE TABLE IF NOT EXISTS emission_factor_sets (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  source VARCHAR(255),
+  effective_from DATE NOT NULL,
+  is_default BOOLEAN DEFAULT false,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one set can be the active default
+CREATE UNIQUE INDEX IF NOT EXISTS idx_emission_factor_sets_default
+  ON emission_factor_sets(is_default) WHERE is_default = true;
+
+CREATE TRIGGER update_emission_factor_sets_updated_at BEFORE UPDATE ON emission_factor_sets
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Existing factors become the DEFRA 2023 set
+INSERT INTO emission_factor_sets (name, source, effective_from, is_default, description)
+VALUES ('DEFRA 2023', 'DEFRA 2023', '2023-06-07', true, 'UK Government GHG Conversion Factors for Company Reporting 2023')
+ON CONFLICT (name) DO NOTHING;
+
+-- Link emission factors to a set
+ALTER TABLE emission_factors ADD COLUMN IF NOT EXISTS factor_set_id INTEGER
+  REFERENCES emission_factor_sets(id) ON DELETE CASCADE;
+
+UPDATE emission_factors
+SET factor_set_id = (SELECT id FROM emission_factor_sets WHERE name = 'DEFRA 2023')
+WHERE factor_set_id IS NULL;
+
+ALTER TABLE emission_factors ALTER COLUMN factor_set_id SET NOT NULL;
+
+-- Sub-categories are now unique per set rather than globally
+ALTER TABLE emission_factors DROP CONSTRAINT IF EXISTS emission_factors_category_sub_category_key;
+ALTER TABLE emission_factors DROP CONSTRAINT IF EXISTS emission_factors_set_category_sub_category_key;
+ALTER TABLE emission_factors ADD CONSTRAINT emission_factors_set_category_sub_category_key
+  UNIQUE (factor_set_id, category, sub_category);
+
+CREATE INDEX IF NOT EXISTS idx_emission_factors_set ON emission_factors(factor_set_id);
+
+-- Record which factor set each trip was calculated with
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS factor_set_id INTEGER
+  REFERENCES emission_factor_sets(id) ON DELETE SET NULL;
+
+UPDATE trips
+SET factor_set_id = (SELECT id FROM emission_factor_sets WHERE name = 'DEFRA 2023')
+WHERE factor_set_id IS NULL;
@@ -0,0 +1,36 @@
+-- Track bulk recalculations of stored trips after emission factor changes
+CREATE TABLE IF NOT EXISTS emission_recalculations (
+  id SERIAL PRIMARY KEY,
+  admin_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('factor', 'all')),
+  emission_factor_id INTEGER REFERENCES emission_factors(id) ON DELETE SET NULL,
+  factor_set_id INTEGER REFERENCES emission_factor_sets(id) ON DELETE SET NULL,
+  category VARCHAR(50),
+  sub_category VARCHAR(100),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+  total_trips INTEGER DEFAULT 0,
+  processed_trips INTEGER DEFAULT 0,
+  matched_trips INTEGER DEFAULT 0,
+  updated_trips INTEGER DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Before/after values for every trip a recalculation touched
+CREATE TABLE IF NOT EXISTS emission_recalculation_results (
+  id SERIAL PRIMARY KEY,
+  recalculation_id INTEGER NOT NULL REFERENCES emission_recalculations(id) ON DELETE CASCADE,
+  trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL,
+  before_carbon_kg DECIMAL(10, 2),
+  after_carbon_kg DECIMAL(10, 2),
+  before_green_score INTEGER,
+  after_green_score INTEGER,
+  before_breakdown JSONB,
+  after_breakdown JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_emission_recalculations_status ON emission_recalculations(status);
+CREATE INDEX IF NOT EXISTS idx_emission_recalculation_results_run ON emission_recalculation_results(recalculation_id);
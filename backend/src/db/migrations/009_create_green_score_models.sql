@@ -0,0 +1,39 @@
+-- Versioned Green Score models (scoring bands, component weights and benchmarks)
+CREATE TABLE IF NOT EXISTS green_score_models (
+  id SERIAL PRIMARY KEY,
+  version INTEGER UNIQUE NOT NULL,
+  description TEXT,
+  config JSONB NOT NULL,
+  is_active BOOLEAN DEFAULT false,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one model can be active
+CREATE UNIQUE INDEX IF NOT EXISTS idx_green_score_models_active
+  ON green_score_models(is_active) WHERE is_active = true;
+
+-- Version 1 reproduces the original hard-coded kg/day bands with equal weights
+INSERT INTO green_score_models (version, description, config, is_active)
+VALUES (
+  1,
+  'Original kg CO2 per day bands',
+  '{
+    "bands": [
+      { "label": "excellent", "max_kg_per_day": 5, "score_from": 100, "score_to": 90 },
+      { "label": "good", "max_kg_per_day": 15, "score_from": 90, "score_to": 50 },
+      { "label": "average", "max_kg_per_day": 30, "score_from": 50, "score_to": 20 },
+      { "label": "high", "max_kg_per_day": 50, "score_from": 20, "score_to": 10 },
+      { "label": "very_high", "max_kg_per_day": 100, "score_from": 10, "score_to": 0 }
+    ],
+    "weights": { "accommodation": 1, "transport": 1, "activities": 1, "travel_to_destination": 1 },
+    "benchmarks": {
+      "accommodation_kg_per_night": 20.9,
+      "transport_kg_per_day": 3,
+      "activities_kg_per_day": 6,
+      "travel_to_destination_kg_per_day": 25
+    }
+  }',
+  true
+)
+ON CONFLICT (version) DO NOTHING;
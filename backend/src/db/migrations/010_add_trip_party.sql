@@ -0,0 +1,4 @@
+-- Add party size to trips (carbon is calculated for the whole group and per person)
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS adults INTEGER NOT NULL DEFAULT 1 CHECK (adults >= 1);
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS children INTEGER NOT NULL DEFAULT 0 CHECK (children >= 0);
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS rooms INTEGER NOT NULL DEFAULT 1 CHECK (rooms >= 1);
@@ -0,0 +1,34 @@
+-- Offset providers and their prices (managed by admins, like emission factors)
+CREATE TABLE IF NOT EXISTS offset_providers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  price_per_tonne DECIMAL(10, 2) NOT NULL CHECK (price_per_tonne >= 0), -- GBP per tonne CO2
+  project_type VARCHAR(100),
+  website VARCHAR(255),
+  description TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_offset_providers_updated_at BEFORE UPDATE ON offset_providers
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Offsets a user has bought for a trip (a trip can be offset in several parts)
+CREATE TABLE IF NOT EXISTS trip_offsets (
+  id SERIAL PRIMARY KEY,
+  trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  provider_id INTEGER REFERENCES offset_providers(id) ON DELETE SET NULL,
+  provider_name VARCHAR(100) NOT NULL, -- Kept if the provider is later removed
+  amount_kg DECIMAL(10, 2) NOT NULL CHECK (amount_kg > 0),
+  cost DECIMAL(10, 2) CHECK (cost >= 0),
+  certificate_reference VARCHAR(255),
+  offset_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_offsets_trip_id ON trip_offsets(trip_id);
+
+CREATE TRIGGER update_trip_offsets_updated_at BEFORE UPDATE ON trip_offsets
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,12 @@
+-- Trip refinement chat: the conversation with the AI and the itinerary edits it made
+CREATE TABLE IF NOT EXISTS trip_messages (
+  id SERIAL PRIMARY KEY,
+  trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Who sent it (NULL for assistant replies)
+  role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  edits JSONB NOT NULL DEFAULT '[]', -- Edit operations applied with an assistant reply
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_messages_trip_id ON trip_messages(trip_id, created_at);
@@ -0,0 +1,32 @@
+-- Background jobs (trip generation, eco alternative lookups, bulk recalculations)
+-- run by the API's worker loop; pending and interrupted jobs survive a restart
+CREATE TABLE IF NOT EXISTS jobs (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(50) NOT NULL CHECK (type IN ('trip_generation', 'eco_alternatives', 'trip_recalculation')),
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- Who started it
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+  payload JSONB NOT NULL DEFAULT '{}', -- Input for the job's handler
+  progress JSONB NOT NULL DEFAULT '{}', -- Latest progress snapshot (e.g. days generated so far)
+  events JSONB NOT NULL DEFAULT '[]', -- Progress events, numbered from 1, replayed to reconnecting clients
+  result JSONB,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  cancel_requested BOOLEAN NOT NULL DEFAULT false,
+  run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- Not picked up before this (retry backoff)
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_pending ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id, created_at);
+
+CREATE TRIGGER update_jobs_updated_at BEFORE UPDATE ON jobs
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Recalculation runs now run as jobs and can be cancelled
+ALTER TABLE emission_recalculations DROP CONSTRAINT IF EXISTS emission_recalculations_status_check;
+ALTER TABLE emission_recalculations ADD CONSTRAINT emission_recalculations_status_check
+  CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled'));
@@ -0,0 +1,4 @@
+-- Leases on running jobs: a worker keeps renewing locked_until while it runs a job, so
+-- an instance that restarts only requeues jobs whose worker has stopped renewing them
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS worker_id VARCHAR(100);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
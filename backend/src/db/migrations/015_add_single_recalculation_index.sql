@@ -0,0 +1,4 @@
+-- Only one trip recalculation can be queued or running at a time, even when two
+-- admins start one at the same moment (see recalculationService.start)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active_trip_recalculation
+  ON jobs (type) WHERE type = 'trip_recalculation' AND status IN ('pending', 'running');
@@ -0,0 +1,4 @@
+-- Emission factor set previews recalculate every stored trip, so they run as jobs too
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_type_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_type_check
+  CHECK (type IN ('trip_generation', 'eco_alternatives', 'trip_recalculation', 'factor_set_preview'));
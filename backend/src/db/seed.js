@@ -61,6 +61,13 @@ const emissionFactors = [
   { category: 'activity', sub_category: 'tour_guided', factor_kg_per_unit: 3.0, unit: 'tour', description: 'Guided tour (walking)' },
 ];
 
+// Example offset providers (prices in GBP per tonne CO2 - review them in the admin panel)
+const offsetProviders = [
+  { name: 'UK Woodland Carbon', price_per_tonne: 25.0, project_type: 'reforestation', website: 'https://www.woodlandcarboncode.org.uk', description: 'Woodland Carbon Code verified UK tree planting' },
+  { name: 'Gold Standard Cookstoves', price_per_tonne: 15.0, project_type: 'clean_cooking', website: 'https://www.goldstandard.org', description: 'Gold Standard certified efficient cookstove projects' },
+  { name: 'Peatland Restoration', price_per_tonne: 22.0, project_type: 'peatland', website: 'https://www.iucn-uk-peatlandprogramme.org', description: 'Peatland Code validated restoration projects' },
+];
+
 /**
  * Seed the database with initial data
  */
@@ -72,21 +79,42 @@ async function seedDatabase() {
     
     await client.query('BEGIN');
     
-    // 1. Seed emission factors
+    // 1. Seed the DEFRA 2023 factor set and its emission factors
     logger.info('Seeding emission factors...');
+    const factorSet = await client.query(
+      `INSERT INTO emission_factor_sets (name, source, effective_from, is_default, description)
+       VALUES ($1, $2, $3, NOT EXISTS (SELECT 1 FROM emission_factor_sets WHERE is_default = true), $4)
+       ON CONFLICT (name) DO UPDATE SET source = EXCLUDED.source
+       RETURNING id`,
+      ['DEFRA 2023', 'DEFRA 2023', '2023-06-07', 'UK Government GHG Conversion Factors for Company Reporting 2023']
+    );
+    const factorSetId = factorSet.rows[0].id;
+
     for (const factor of emissionFactors) {
       await client.query(
-        `INSERT INTO emission_factors (category, sub_category, factor_kg_per_unit, unit, description, source)
-         VALUES ($1, $2, $3, $4, $5, $6)
-         ON CONFLICT (category, sub_category) DO UPDATE
+        `INSERT INTO emission_factors (factor_set_id, category, sub_category, factor_kg_per_unit, unit, description, source)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (factor_set_id, category, sub_category) DO UPDATE
          SET factor_kg_per_unit = EXCLUDED.factor_kg_per_unit,
              unit = EXCLUDED.unit,
              description = EXCLUDED.description,
              updated_at = CURRENT_TIMESTAMP`,
-        [factor.category, factor.sub_category, factor.factor_kg_per_unit, factor.unit, factor.description, 'DEFRA 2023']
+        [factorSetId, factor.category, factor.sub_category, factor.factor_kg_per_unit, factor.unit, factor.description, 'DEFRA 2023']
       );
     }
     logger.info(`✓ Seeded ${emissionFactors.length} emission factors`);
+
+    // 1b. Seed example offset providers (existing prices are left alone)
+    logger.info('Seeding offset providers...');
+    for (const provider of offsetProviders) {
+      await client.query(
+        `INSERT INTO offset_providers (name, price_per_tonne, project_type, website, description)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (name) DO NOTHING`,
+        [provider.name, provider.price_per_tonne, provider.project_type, provider.website, provider.description]
+      );
+    }
+    logger.info(`✓ Seeded ${offsetProviders.length} offset providers`);
     
     // 2. Create a default admin user 
     logger.info('Creating default admin user...');
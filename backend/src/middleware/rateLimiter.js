@@ -42,3 +42,30 @@ export const tripGenerationLimiter = rateLimit({
     message: 'Trip generation limit reached. Please try again later.',
   },
 });
+
+/**
+ * Rate limiter for regenerating a single day or activity
+ * Smaller AI calls than a full trip, so counted separately from trip generation
+ * Limits: 30 requests per hour per IP
+ */
+export const regenerationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30,
+  message: {
+    success: false,
+    message: 'Regeneration limit reached. Please try again later.',
+  },
+});
+
+/**
+ * Rate limiter for the trip refinement chat (one AI call per message)
+ * Limits: 60 messages per hour per IP
+ */
+export const tripChatLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 60,
+  message: {
+    success: false,
+    message: 'Chat limit reached. Please try again later.',
+  },
+});
@@ -1,4 +1,4 @@
-import { query } from '../config/database.js';
+import { query, getClient } from '../config/database.js';
 
 /**
  * EmissionFactor model - handles database operations for emission factors
@@ -6,8 +6,10 @@ import { query } from '../config/database.js';
 class EmissionFactor {
   /**
    * Create a new emission factor
+   * Factors are added to the default set unless a set is given
    */
   static async create({
+    factorSetId,
     category,
     subCategory,
     factorKgPerUnit,
@@ -17,12 +19,16 @@ class EmissionFactor {
   }) {
     const sql = `
       INSERT INTO emission_factors (
-        category, sub_category, factor_kg_per_unit, unit, source, description
+        factor_set_id, category, sub_category, factor_kg_per_unit, unit, source, description
+      )
+      VALUES (
+        COALESCE($1, (SELECT id FROM emission_factor_sets WHERE is_default = true)),
+        $2, $3, $4, $5, $6, $7
       )
-      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
     `;
     const result = await query(sql, [
+      factorSetId || null,
       category,
       subCategory,
       factorKgPerUnit,
@@ -44,20 +50,22 @@ class EmissionFactor {
 
   /**
    * Find emission factor by category and sub-category
+   * Looks in the given factor set, or the default set if none is given
    */
-  static async findByCategoryAndSubCategory(category, subCategory) {
+  static async findByCategoryAndSubCategory(category, subCategory, factorSetId = null) {
     const sql = `
       SELECT * FROM emission_factors
       WHERE category = $1 AND sub_category = $2 AND is_active = true
+        AND factor_set_id = COALESCE($3, (SELECT id FROM emission_factor_sets WHERE is_default = true))
     `;
-    const result = await query(sql, [category, subCategory]);
+    const result = await query(sql, [category, subCategory, factorSetId]);
     return result.rows[0];
   }
 
   /**
    * Get all emission factors
    */
-  static async findAll({ category, isActive = true, limit = 100, offset = 0 } = {}) {
+  static async findAll({ factorSetId, category, isActive = true, limit = 100, offset = 0 } = {}) {
     let sql = `
       SELECT * FROM emission_factors
       WHERE 1=1
@@ -65,6 +73,11 @@ class EmissionFactor {
     const params = [];
     let paramCount = 1;
 
+    if (factorSetId) {
+      sql += ` AND factor_set_id = $${paramCount++}`;
+      params.push(factorSetId);
+    }
+
     if (category) {
       sql += ` AND category = $${paramCount++}`;
       params.push(category);
@@ -85,6 +98,10 @@ class EmissionFactor {
     const countParams = [];
     let countParamCount = 1;
     
+    if (factorSetId) {
+      countSql += ` AND factor_set_id = $${countParamCount++}`;
+      countParams.push(factorSetId);
+    }
     if (category) {
       countSql += ` AND category = $${countParamCount++}`;
       countParams.push(category);
@@ -104,6 +121,87 @@ class EmissionFactor {
     };
   }
 
+  /**
+   * Get every active factor across all sets (loaded into the CarbonService cache)
+   */
+  static async findAllActive() {
+    const sql = `
+      SELECT factor_set_id, category, sub_category, factor_kg_per_unit
+      FROM emission_factors
+      WHERE is_active = true
+    `;
+    const result = await query(sql);
+    return result.rows;
+  }
+
+  /**
+   * Get every factor in a set (active and inactive), for export and import diffs
+   */
+  static async findBySetId(factorSetId) {
+    const sql = `
+      SELECT * FROM emission_factors
+      WHERE factor_set_id = $1
+      ORDER BY category, sub_category
+    `;
+    const result = await query(sql, [factorSetId]);
+    return result.rows;
+  }
+
+  /**
+   * Apply an import diff to a factor set in a single transaction
+   * @param {number} factorSetId - Factor set being imported into
+   * @param {Object} changes - { create: [], update: [], deactivate: [] } from the import diff
+   */
+  static async applyImport(factorSetId, { create, update, deactivate }) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const row of create) {
+        await client.query(
+          `INSERT INTO emission_factors (
+             factor_set_id, category, sub_category, factor_kg_per_unit, unit, source, description, is_active
+           )
+           VALUES ($1, $2, $3, $4, $5, COALESCE($6, (SELECT source FROM emission_factor_sets WHERE id = $1)), $7, $8)`,
+          [
+            factorSetId,
+            row.category,
+            row.sub_category,
+            row.factor_kg_per_unit,
+            row.unit,
+            row.source,
+            row.description,
+            row.is_active,
+          ]
+        );
+      }
+
+      for (const row of update) {
+        await client.query(
+          `UPDATE emission_factors
+           SET factor_kg_per_unit = $1, unit = $2, source = COALESCE($3, source), description = $4, is_active = $5
+           WHERE id = $6`,
+          [row.factor_kg_per_unit, row.unit, row.source, row.description, row.is_active, row.id]
+        );
+      }
+
+      if (deactivate.length > 0) {
+        await client.query(
+          `UPDATE emission_factors SET is_active = false WHERE id = ANY($1::int[])`,
+          [deactivate.map(row => row.id)]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Update emission factor
    */
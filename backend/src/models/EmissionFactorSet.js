@@ -0,0 +1,164 @@
+import { query, getClient } from '../config/database.js';
+
+/**
+ * EmissionFactorSet model - handles database operations for versioned
+ * emission factor sets (e.g. DEFRA 2023, DEFRA 2024)
+ */
+class EmissionFactorSet {
+  /**
+   * Create a new emission factor set
+   * Optionally copies every factor from an existing set as a starting point
+   */
+  static async create({ name, source, effectiveFrom, description, copyFromSetId }) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO emission_factor_sets (name, source, effective_from, description)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [name, source || name, effectiveFrom, description]
+      );
+      const factorSet = result.rows[0];
+
+      if (copyFromSetId) {
+        await client.query(
+          `INSERT INTO emission_factors (
+             factor_set_id, category, sub_category, factor_kg_per_unit, unit, source, description, is_active
+           )
+           SELECT $1, category, sub_category, factor_kg_per_unit, unit, $2, description, is_active
+           FROM emission_factors
+           WHERE factor_set_id = $3`,
+          [factorSet.id, factorSet.source, copyFromSetId]
+        );
+      }
+
+      await client.query('COMMIT');
+      return factorSet;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find emission factor set by ID
+   */
+  static async findById(id) {
+    const sql = `SELECT * FROM emission_factor_sets WHERE id = $1`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find emission factor set by name
+   */
+  static async findByName(name) {
+    const sql = `SELECT * FROM emission_factor_sets WHERE name = $1`;
+    const result = await query(sql, [name]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get the active default set used for new trips
+   */
+  static async findDefault() {
+    const sql = `SELECT * FROM emission_factor_sets WHERE is_default = true`;
+    const result = await query(sql);
+    return result.rows[0];
+  }
+
+  /**
+   * Get all emission factor sets with factor and trip counts
+   */
+  static async findAll() {
+    const sql = `
+      SELECT
+        s.*,
+        (SELECT COUNT(*) FROM emission_factors f WHERE f.factor_set_id = s.id) as factor_count,
+        (SELECT COUNT(*) FROM trips t WHERE t.factor_set_id = s.id) as trip_count
+      FROM emission_factor_sets s
+      ORDER BY s.effective_from DESC, s.id DESC
+    `;
+    const result = await query(sql);
+    return result.rows;
+  }
+
+  /**
+   * Update emission factor set details
+   */
+  static async update(id, updates) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    const fieldMap = {
+      name: 'name',
+      source: 'source',
+      effectiveFrom: 'effective_from',
+      description: 'description',
+    };
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value !== undefined && fieldMap[key]) {
+        fields.push(`${fieldMap[key]} = $${paramCount++}`);
+        values.push(value);
+      }
+    });
+
+    if (fields.length === 0) {
+      return await this.findById(id);
+    }
+
+    values.push(id);
+    const sql = `
+      UPDATE emission_factor_sets
+      SET ${fields.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+    const result = await query(sql, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Make a set the active default (only one set can be default)
+   */
+  static async setDefault(id) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE emission_factor_sets SET is_default = false WHERE is_default = true AND id <> $1`,
+        [id]
+      );
+      const result = await client.query(
+        `UPDATE emission_factor_sets SET is_default = true WHERE id = $1 RETURNING *`,
+        [id]
+      );
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete emission factor set (cascades to its factors)
+   */
+  static async delete(id) {
+    const sql = `DELETE FROM emission_factor_sets WHERE id = $1 RETURNING id`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+}
+
+export default EmissionFactorSet;
@@ -0,0 +1,145 @@
+import { query } from '../config/database.js';
+
+/**
+ * EmissionRecalculation model - tracks bulk trip recalculations
+ * and the before/after values for each trip they touched
+ */
+class EmissionRecalculation {
+  /**
+   * Create a new (pending) recalculation run
+   */
+  static async create({ adminUserId, scope, emissionFactorId, factorSetId, category, subCategory }) {
+    const sql = `
+      INSERT INTO emission_recalculations (
+        admin_user_id, scope, emission_factor_id, factor_set_id, category, sub_category
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await query(sql, [
+      adminUserId,
+      scope,
+      emissionFactorId,
+      factorSetId,
+      category,
+      subCategory,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a recalculation run (one that never got a job, see recalculationService.start)
+   */
+  static async delete(id) {
+    const sql = `DELETE FROM emission_recalculations WHERE id = $1 RETURNING id`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find recalculation run by ID
+   */
+  static async findById(id) {
+    const sql = `SELECT * FROM emission_recalculations WHERE id = $1`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get recent recalculation runs
+   */
+  static async findAll({ limit = 20, offset = 0 } = {}) {
+    const sql = `
+      SELECT * FROM emission_recalculations
+      ORDER BY created_at DESC
+      LIMIT $1 OFFSET $2
+    `;
+    const result = await query(sql, [limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Mark a run as started
+   */
+  static async start(id, totalTrips) {
+    const sql = `
+      UPDATE emission_recalculations
+      SET status = 'running', total_trips = $1, started_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `;
+    const result = await query(sql, [totalTrips, id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update progress counters after a batch
+   */
+  static async updateProgress(id, { processedTrips, matchedTrips, updatedTrips }) {
+    const sql = `
+      UPDATE emission_recalculations
+      SET processed_trips = $1, matched_trips = $2, updated_trips = $3
+      WHERE id = $4
+      RETURNING *
+    `;
+    const result = await query(sql, [processedTrips, matchedTrips, updatedTrips, id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Mark a run as completed or failed
+   */
+  static async finish(id, { status, error = null }) {
+    const sql = `
+      UPDATE emission_recalculations
+      SET status = $1, error = $2, completed_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `;
+    const result = await query(sql, [status, error, id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Record before/after values for a trip
+   */
+  static async addResult(recalculationId, { tripId, before, after }) {
+    const sql = `
+      INSERT INTO emission_recalculation_results (
+        recalculation_id, trip_id, before_carbon_kg, after_carbon_kg,
+        before_green_score, after_green_score, before_breakdown, after_breakdown
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+    const result = await query(sql, [
+      recalculationId,
+      tripId,
+      before.total_carbon_kg,
+      after.total_carbon_kg,
+      before.green_score,
+      after.green_score,
+      JSON.stringify(before.carbon_breakdown),
+      JSON.stringify(after.carbon_breakdown),
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get the per-trip results for a run
+   */
+  static async getResults(recalculationId, { limit = 100, offset = 0 } = {}) {
+    const sql = `
+      SELECT r.*, t.destination
+      FROM emission_recalculation_results r
+      LEFT JOIN trips t ON r.trip_id = t.id
+      WHERE r.recalculation_id = $1
+      ORDER BY ABS(r.after_carbon_kg - r.before_carbon_kg) DESC, r.id
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await query(sql, [recalculationId, limit, offset]);
+    return result.rows;
+  }
+}
+
+export default EmissionRecalculation;
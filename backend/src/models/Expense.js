@@ -0,0 +1,135 @@
+import { query } from '../config/database.js';
+
+/**
+ * Expense model - handles database operations for trip expenses
+ */
+class Expense {
+  /**
+   * Create a new expense
+   */
+  static async create({ tripId, category, amount, description, expenseDate }) {
+    const sql = `
+      INSERT INTO expenses (trip_id, category, amount, description, expense_date)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await query(sql, [
+      tripId,
+      category,
+      amount,
+      description,
+      expenseDate,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find expense by ID
+   */
+  static async findById(id) {
+    const sql = `SELECT * FROM expenses WHERE id = $1`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find all expenses for a trip
+   */
+  static async findByTripId(tripId, { category } = {}) {
+    let sql = `
+      SELECT * FROM expenses
+      WHERE trip_id = $1
+    `;
+    const params = [tripId];
+
+    if (category) {
+      sql += ` AND category = $2`;
+      params.push(category);
+    }
+
+    sql += ` ORDER BY expense_date DESC, created_at DESC`;
+
+    const result = await query(sql, params);
+    return result.rows;
+  }
+
+  /**
+   * Update expense
+   */
+  static async update(id, updates) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    const fieldMap = {
+      category: 'category',
+      amount: 'amount',
+      description: 'description',
+      expenseDate: 'expense_date',
+    };
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value !== undefined && fieldMap[key]) {
+        fields.push(`${fieldMap[key]} = $${paramCount++}`);
+        values.push(value);
+      }
+    });
+
+    if (fields.length === 0) {
+      return await this.findById(id);
+    }
+
+    values.push(id);
+    const sql = `
+      UPDATE expenses
+      SET ${fields.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+    const result = await query(sql, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Delete expense
+   */
+  static async delete(id) {
+    const sql = `DELETE FROM expenses WHERE id = $1 RETURNING id`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get total spend per category for a trip
+   */
+  static async getCategoryTotals(tripId) {
+    const sql = `
+      SELECT
+        category,
+        COALESCE(SUM(amount), 0) as total,
+        COUNT(*) as count
+      FROM expenses
+      WHERE trip_id = $1
+      GROUP BY category
+      ORDER BY category
+    `;
+    const result = await query(sql, [tripId]);
+    return result.rows;
+  }
+
+  /**
+   * Get total actual spend across all of a user's trips
+   */
+  static async getUserTotal(userId) {
+    const sql = `
+      SELECT COALESCE(SUM(e.amount), 0) as total
+      FROM expenses e
+      JOIN trips t ON e.trip_id = t.id
+      WHERE t.user_id = $1
+    `;
+    const result = await query(sql, [userId]);
+    return parseFloat(result.rows[0].total) || 0;
+  }
+}
+
+export default Expense;
@@ -0,0 +1,75 @@
+import { query, getClient } from '../config/database.js';
+
+/**
+ * GreenScoreModel model - handles database operations for versioned
+ * Green Score configurations (bands, weights and benchmarks)
+ */
+class GreenScoreModel {
+  /**
+   * Create a new model version (numbered after the latest version)
+   */
+  static async create({ description, config, createdBy }) {
+    const sql = `
+      INSERT INTO green_score_models (version, description, config, created_by)
+      VALUES ((SELECT COALESCE(MAX(version), 0) + 1 FROM green_score_models), $1, $2, $3)
+      RETURNING *
+    `;
+    const result = await query(sql, [description, JSON.stringify(config), createdBy]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find model by ID
+   */
+  static async findById(id) {
+    const sql = `SELECT * FROM green_score_models WHERE id = $1`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get the active model
+   */
+  static async findActive() {
+    const sql = `SELECT * FROM green_score_models WHERE is_active = true`;
+    const result = await query(sql);
+    return result.rows[0];
+  }
+
+  /**
+   * Get all model versions, newest first
+   */
+  static async findAll() {
+    const sql = `SELECT * FROM green_score_models ORDER BY version DESC`;
+    const result = await query(sql);
+    return result.rows;
+  }
+
+  /**
+   * Make a model the active one (only one model can be active)
+   */
+  static async activate(id) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE green_score_models SET is_active = false WHERE is_active = true AND id <> $1`,
+        [id]
+      );
+      const result = await client.query(
+        `UPDATE green_score_models SET is_active = true WHERE id = $1 RETURNING *`,
+        [id]
+      );
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export default GreenScoreModel;
@@ -0,0 +1,247 @@
+import { query } from '../config/database.js';
+
+// Appends the JSON event parameter $N to a job's events, numbered after the existing ones
+const appendEvent = (param) =>
+  `events || jsonb_build_array(${param}::jsonb || jsonb_build_object('id', jsonb_array_length(events) + 1))`;
+
+/**
+ * Job model - background jobs run by the worker loop (see jobQueueService),
+ * with their progress events, result and retry state
+ */
+class Job {
+  /**
+   * Queue a new job
+   */
+  static async create({ type, userId = null, payload = {}, maxAttempts = 3 }) {
+    const sql = `
+      INSERT INTO jobs (type, user_id, payload, max_attempts)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+    const result = await query(sql, [type, userId, JSON.stringify(payload), maxAttempts]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find job by ID
+   */
+  static async findById(id) {
+    const sql = `SELECT * FROM jobs WHERE id = $1`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get recent jobs, newest first (without their event logs)
+   */
+  static async findAll({ userId, type, status, limit = 20, offset = 0 } = {}) {
+    let sql = `
+      SELECT id, type, user_id, status, payload, progress, result, error, attempts, max_attempts,
+        cancel_requested, jsonb_array_length(events) AS last_event_id,
+        run_at, started_at, finished_at, created_at, updated_at
+      FROM jobs
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 1;
+
+    if (userId) {
+      sql += ` AND user_id = $${paramCount++}`;
+      params.push(userId);
+    }
+
+    if (type) {
+      sql += ` AND type = $${paramCount++}`;
+      params.push(type);
+    }
+
+    if (status) {
+      sql += ` AND status = $${paramCount++}`;
+      params.push(status);
+    }
+
+    sql += ` ORDER BY created_at DESC, id DESC LIMIT $${paramCount++} OFFSET $${paramCount}`;
+    params.push(limit, offset);
+
+    const result = await query(sql, params);
+    return result.rows;
+  }
+
+  /**
+   * Check whether a job of this type is waiting or running
+   */
+  static async hasActive(type) {
+    const sql = `SELECT EXISTS (SELECT 1 FROM jobs WHERE type = $1 AND status IN ('pending', 'running')) AS active`;
+    const result = await query(sql, [type]);
+    return result.rows[0].active;
+  }
+
+  /**
+   * Claim the next due pending job and mark it running, leased to this worker
+   * SKIP LOCKED lets several workers poll the same table safely
+   * @param {string[]} types - Job types this worker can run
+   * @param {string} workerId - Worker claiming the job
+   * @param {number} leaseMs - How long the claim lasts unless renewed (see renewLeases)
+   */
+  static async claimNext(types, workerId, leaseMs) {
+    const sql = `
+      UPDATE jobs
+      SET status = 'running', attempts = attempts + 1,
+        started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+        worker_id = $2, locked_until = CURRENT_TIMESTAMP + ($3 * INTERVAL '1 millisecond')
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = 'pending' AND run_at <= CURRENT_TIMESTAMP AND type = ANY($1)
+        ORDER BY run_at, id
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+    `;
+    const result = await query(sql, [types, workerId, leaseMs]);
+    return result.rows[0];
+  }
+
+  /**
+   * Extend the leases of every job a worker is running
+   * @returns {Promise<number[]>} IDs of those jobs that have been asked to cancel
+   *   (possibly through another server, see requestCancel)
+   */
+  static async renewLeases(workerId, leaseMs) {
+    const sql = `
+      UPDATE jobs
+      SET locked_until = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 millisecond')
+      WHERE worker_id = $1 AND status = 'running'
+      RETURNING id, cancel_requested
+    `;
+    const result = await query(sql, [workerId, leaseMs]);
+    return result.rows.filter(row => row.cancel_requested).map(row => row.id);
+  }
+
+  /**
+   * Append a progress event, numbering it after the job's existing events
+   * @param {Object} [progress] - New progress snapshot (kept unchanged if omitted)
+   * @returns {Promise<Object>} The stored event (with its id)
+   */
+  static async addEvent(id, event, progress = null) {
+    const sql = `
+      UPDATE jobs
+      SET events = ${appendEvent('$2')},
+        progress = COALESCE($3::jsonb, progress)
+      WHERE id = $1
+      RETURNING events -> -1 AS event
+    `;
+    const result = await query(sql, [id, JSON.stringify(event), progress && JSON.stringify(progress)]);
+    return result.rows[0]?.event;
+  }
+
+  /**
+   * Mark a running job as finished ('completed', 'failed' or 'cancelled') and record
+   * its final event in the same update, so readers never see one without the other
+   * @returns {Promise<Object|undefined>} The job, with the stored event as `event`, or
+   *   undefined if it was no longer running (e.g. released at shutdown)
+   */
+  static async finish(id, { status, result = null, error = null, event }) {
+    const sql = `
+      UPDATE jobs
+      SET status = $1, result = $2, error = $3, finished_at = CURRENT_TIMESTAMP,
+        events = ${appendEvent('$5')}
+      WHERE id = $4 AND status = 'running'
+      RETURNING *, events -> -1 AS event
+    `;
+    const queryResult = await query(sql, [
+      status,
+      result && JSON.stringify(result),
+      error,
+      id,
+      JSON.stringify(event),
+    ]);
+    return queryResult.rows[0];
+  }
+
+  /**
+   * Put a failed running job back in the queue to run again after a delay
+   * @returns {Promise<Object|undefined>} The job, with the stored event as `event`, or
+   *   undefined if it was no longer running
+   */
+  static async retry(id, { error, delayMs, event }) {
+    const sql = `
+      UPDATE jobs
+      SET status = 'pending', error = $1,
+        run_at = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 millisecond'),
+        events = ${appendEvent('$4')}
+      WHERE id = $3 AND status = 'running'
+      RETURNING *, events -> -1 AS event
+    `;
+    const result = await query(sql, [error, delayMs, id, JSON.stringify(event)]);
+    return result.rows[0];
+  }
+
+  /**
+   * Put a running job back in the queue without counting the attempt
+   * (used when the server shuts down mid-job)
+   */
+  static async release(id) {
+    const sql = `
+      UPDATE jobs
+      SET status = 'pending', attempts = GREATEST(attempts - 1, 0), worker_id = NULL, locked_until = NULL
+      WHERE id = $1 AND status = 'running'
+      RETURNING *
+    `;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Requeue jobs left running by a worker that stopped without releasing them
+   * (their lease has run out - jobs other workers are still renewing are left alone)
+   * Jobs whose cancellation was requested are cancelled instead (recording cancelledEvent)
+   * @returns {Promise<Array>} The requeued and cancelled jobs
+   */
+  static async recoverInterrupted(cancelledEvent) {
+    const sql = `
+      UPDATE jobs
+      SET status = CASE WHEN cancel_requested THEN 'cancelled' ELSE 'pending' END,
+        finished_at = CASE WHEN cancel_requested THEN CURRENT_TIMESTAMP ELSE NULL END,
+        events = CASE WHEN cancel_requested THEN ${appendEvent('$1')} ELSE events END,
+        worker_id = NULL, locked_until = NULL
+      WHERE status = 'running' AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+      RETURNING *
+    `;
+    const result = await query(sql, [JSON.stringify(cancelledEvent)]);
+    return result.rows;
+  }
+
+  /**
+   * Ask for a running job to stop at its next checkpoint
+   */
+  static async requestCancel(id) {
+    const sql = `
+      UPDATE jobs
+      SET cancel_requested = true
+      WHERE id = $1 AND status = 'running'
+      RETURNING *
+    `;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Cancel a job that hasn't started yet (or is waiting to retry)
+   * @returns {Promise<Object|undefined>} The job (with the stored event as `event`),
+   *   or undefined if it was no longer pending
+   */
+  static async cancelPending(id, event) {
+    const sql = `
+      UPDATE jobs
+      SET status = 'cancelled', cancel_requested = true, finished_at = CURRENT_TIMESTAMP,
+        events = ${appendEvent('$2')}
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *, events -> -1 AS event
+    `;
+    const result = await query(sql, [id, JSON.stringify(event)]);
+    return result.rows[0];
+  }
+}
+
+export default Job;
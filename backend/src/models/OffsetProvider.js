@@ -0,0 +1,101 @@
+import { query } from '../config/database.js';
+
+/**
+ * OffsetProvider model - handles database operations for carbon offset
+ * providers and their prices (GBP per tonne CO2)
+ */
+class OffsetProvider {
+  /**
+   * Create a new offset provider
+   */
+  static async create({ name, pricePerTonne, projectType, website, description }) {
+    const sql = `
+      INSERT INTO offset_providers (name, price_per_tonne, project_type, website, description)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await query(sql, [name, pricePerTonne, projectType, website, description]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find offset provider by ID
+   */
+  static async findById(id) {
+    const sql = `SELECT * FROM offset_providers WHERE id = $1`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find offset provider by name
+   */
+  static async findByName(name) {
+    const sql = `SELECT * FROM offset_providers WHERE name = $1`;
+    const result = await query(sql, [name]);
+    return result.rows[0];
+  }
+
+  /**
+   * Get all offset providers, cheapest first
+   */
+  static async findAll({ activeOnly = false } = {}) {
+    const sql = `
+      SELECT * FROM offset_providers
+      ${activeOnly ? 'WHERE is_active = true' : ''}
+      ORDER BY price_per_tonne ASC, name ASC
+    `;
+    const result = await query(sql);
+    return result.rows;
+  }
+
+  /**
+   * Update offset provider
+   */
+  static async update(id, updates) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    const fieldMap = {
+      name: 'name',
+      pricePerTonne: 'price_per_tonne',
+      projectType: 'project_type',
+      website: 'website',
+      description: 'description',
+      isActive: 'is_active',
+    };
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value !== undefined && fieldMap[key]) {
+        fields.push(`${fieldMap[key]} = $${paramCount++}`);
+        values.push(value);
+      }
+    });
+
+    if (fields.length === 0) {
+      return await this.findById(id);
+    }
+
+    values.push(id);
+    const sql = `
+      UPDATE offset_providers
+      SET ${fields.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+    const result = await query(sql, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Delete offset provider (recorded trip offsets keep the provider name)
+   */
+  static async delete(id) {
+    const sql = `DELETE FROM offset_providers WHERE id = $1 RETURNING id`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+}
+
+export default OffsetProvider;
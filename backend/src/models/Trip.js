@@ -1,4 +1,4 @@
-import { query } from '../config/database.js';
+import { query, getClient } from '../config/database.js';
 
 /**
  * Trip model - handles all database operations for trips
@@ -21,14 +21,23 @@ class Trip {
     totalCarbonKg,
     totalCost,
     greenScore,
+    origin,
+    originTransportMode,
+    originDistanceKm,
+    factorSetId,
+    adults = 1,
+    children = 0,
+    rooms = 1,
   }) {
     const sql = `
       INSERT INTO trips (
         user_id, destination, start_date, end_date, budget, interests,
         travel_style, accommodation_preference, transport_preference,
-        itinerary, total_carbon_kg, total_cost, green_score
+        itinerary, total_carbon_kg, total_cost, green_score,
+        origin, origin_transport_mode, origin_distance_km, factor_set_id,
+        adults, children, rooms
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
       RETURNING *
     `;
     const result = await query(sql, [
@@ -45,6 +54,13 @@ class Trip {
       totalCarbonKg,
       totalCost,
       greenScore,
+      origin,
+      originTransportMode,
+      originDistanceKm,
+      factorSetId,
+      adults,
+      children,
+      rooms,
     ]);
     return result.rows[0];
   }
@@ -76,6 +92,50 @@ class Trip {
    * Update trip
    */
   static async update(id, updates) {
+    const update = this.buildUpdate(id, updates);
+
+    if (!update) {
+      return await this.findById(id);
+    }
+
+    const result = await query(update.sql, update.values);
+    return result.rows[0];
+  }
+
+  /**
+   * Edit a trip inside a transaction, holding a row lock so concurrent edits
+   * can't overwrite each other
+   * @param {number} id - Trip ID
+   * @param {Function} applyEdit - async (trip) => updates (same shape as update()); throwing rolls back
+   * @returns {Promise<Object|undefined>} Updated trip row (undefined if the trip doesn't exist)
+   */
+  static async updateWithLock(id, applyEdit) {
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query(`SELECT * FROM trips WHERE id = $1 FOR UPDATE`, [id]);
+      if (!locked.rows[0]) {
+        await client.query('ROLLBACK');
+        return undefined;
+      }
+
+      const update = this.buildUpdate(id, await applyEdit(locked.rows[0]));
+      const result = update ? await client.query(update.sql, update.values) : locked;
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Build the UPDATE statement for update() (null if there is nothing to update)
+   */
+  static buildUpdate(id, updates) {
     const fields = [];
     const values = [];
     let paramCount = 1;
@@ -96,7 +156,7 @@ class Trip {
     });
 
     if (fields.length === 0) {
-      return await this.findById(id);
+      return null;
     }
 
     values.push(id);
@@ -106,8 +166,7 @@ class Trip {
       WHERE id = $${paramCount}
       RETURNING *
     `;
-    const result = await query(sql, values);
-    return result.rows[0];
+    return { sql, values };
   }
 
   /**
@@ -145,7 +204,14 @@ class Trip {
             THEN (itinerary->>'activities_carbon')::numeric 
             ELSE 0 
           END
-        ), 0) as activities
+        ), 0) as activities,
+        COALESCE(SUM(
+          CASE 
+            WHEN itinerary->>'travel_to_destination_carbon' IS NOT NULL 
+            THEN (itinerary->>'travel_to_destination_carbon')::numeric 
+            ELSE 0 
+          END
+        ), 0) as travel_to_destination
       FROM trips
       WHERE user_id = $1
     `;
@@ -153,6 +219,53 @@ class Trip {
     return result.rows[0];
   }
 
+  /**
+   * Get the total kg CO2 a user's trips avoided against their conventional-trip baselines
+   * Trips without a stored baseline are left out
+   */
+  static async getCarbonAvoided(userId) {
+    const sql = `
+      SELECT
+        COALESCE(SUM((itinerary->'baseline_carbon'->>'total')::numeric - total_carbon_kg), 0) as avoided,
+        COALESCE(SUM((itinerary->'baseline_carbon'->>'total')::numeric), 0) as baseline
+      FROM trips
+      WHERE user_id = $1
+        AND itinerary->'baseline_carbon'->>'total' IS NOT NULL
+    `;
+    const result = await query(sql, [userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Count trips calculated with a factor set (all trips if no set is given)
+   * Trips without a recorded set count as using the default set
+   */
+  static async countByFactorSet(factorSetId = null) {
+    const sql = `
+      SELECT COUNT(*) FROM trips
+      WHERE $1::int IS NULL
+        OR COALESCE(factor_set_id, (SELECT id FROM emission_factor_sets WHERE is_default = true)) = $1
+    `;
+    const result = await query(sql, [factorSetId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Get the next batch of trips for a factor set, in ID order (keyset pagination)
+   */
+  static async findBatchByFactorSet(factorSetId = null, { afterId = 0, limit = 50 } = {}) {
+    const sql = `
+      SELECT * FROM trips
+      WHERE ($1::int IS NULL
+          OR COALESCE(factor_set_id, (SELECT id FROM emission_factor_sets WHERE is_default = true)) = $1)
+        AND id > $2
+      ORDER BY id
+      LIMIT $3
+    `;
+    const result = await query(sql, [factorSetId, afterId, limit]);
+    return result.rows;
+  }
+
   /**
    * Get all trips (admin only)
    */
@@ -0,0 +1,49 @@
+import { query } from '../config/database.js';
+
+/**
+ * TripMessage model - handles database operations for the trip refinement
+ * chat (user messages and AI replies, with the edits each reply applied)
+ */
+class TripMessage {
+  /**
+   * Add a message to a trip's conversation
+   */
+  static async create({ tripId, userId = null, role, content, edits = [] }) {
+    const sql = `
+      INSERT INTO trip_messages (trip_id, user_id, role, content, edits)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await query(sql, [tripId, userId, role, content, JSON.stringify(edits)]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find a trip's conversation, oldest first
+   * With a limit, returns only the most recent messages
+   */
+  static async findByTripId(tripId, { limit = null } = {}) {
+    const sql = `
+      SELECT * FROM (
+        SELECT * FROM trip_messages
+        WHERE trip_id = $1
+        ORDER BY created_at DESC, id DESC
+        ${limit ? 'LIMIT $2' : ''}
+      ) recent
+      ORDER BY created_at ASC, id ASC
+    `;
+    const result = await query(sql, limit ? [tripId, limit] : [tripId]);
+    return result.rows;
+  }
+
+  /**
+   * Delete a trip's conversation
+   */
+  static async deleteByTripId(tripId) {
+    const sql = `DELETE FROM trip_messages WHERE trip_id = $1 RETURNING id`;
+    const result = await query(sql, [tripId]);
+    return result.rowCount;
+  }
+}
+
+export default TripMessage;
@@ -0,0 +1,92 @@
+import { query } from '../config/database.js';
+
+/**
+ * TripOffset model - handles database operations for carbon offsets
+ * recorded against trips
+ */
+class TripOffset {
+  /**
+   * Record an offset for a trip
+   */
+  static async create({ tripId, providerId, providerName, amountKg, cost, certificateReference, offsetDate }) {
+    const sql = `
+      INSERT INTO trip_offsets (
+        trip_id, provider_id, provider_name, amount_kg, cost, certificate_reference, offset_date
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_DATE))
+      RETURNING *
+    `;
+    const result = await query(sql, [
+      tripId,
+      providerId,
+      providerName,
+      amountKg,
+      cost,
+      certificateReference,
+      offsetDate,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find trip offset by ID
+   */
+  static async findById(id) {
+    const sql = `SELECT * FROM trip_offsets WHERE id = $1`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find all offsets recorded for a trip
+   */
+  static async findByTripId(tripId) {
+    const sql = `
+      SELECT * FROM trip_offsets
+      WHERE trip_id = $1
+      ORDER BY offset_date DESC, created_at DESC
+    `;
+    const result = await query(sql, [tripId]);
+    return result.rows;
+  }
+
+  /**
+   * Get the total kg CO2 offset for a trip
+   */
+  static async getTripTotal(tripId) {
+    const sql = `SELECT COALESCE(SUM(amount_kg), 0) as total FROM trip_offsets WHERE trip_id = $1`;
+    const result = await query(sql, [tripId]);
+    return parseFloat(result.rows[0].total);
+  }
+
+  /**
+   * Get the total kg CO2 offset across a user's trips
+   * Each trip's offsets count up to its total emissions, so over-offsetting
+   * one trip doesn't cancel out another
+   */
+  static async getUserTotal(userId) {
+    const sql = `
+      SELECT COALESCE(SUM(LEAST(o.total, t.total_carbon_kg)), 0) as total
+      FROM trips t
+      JOIN (
+        SELECT trip_id, SUM(amount_kg) as total
+        FROM trip_offsets
+        GROUP BY trip_id
+      ) o ON o.trip_id = t.id
+      WHERE t.user_id = $1
+    `;
+    const result = await query(sql, [userId]);
+    return parseFloat(result.rows[0].total);
+  }
+
+  /**
+   * Delete trip offset
+   */
+  static async delete(id) {
+    const sql = `DELETE FROM trip_offsets WHERE id = $1 RETURNING id`;
+    const result = await query(sql, [id]);
+    return result.rows[0];
+  }
+}
+
+export default TripOffset;
@@ -11,7 +11,7 @@ class User {
     const sql = `
       INSERT INTO users (name, email, password_hash, role)
       VALUES ($1, $2, $3, $4)
-      RETURNING id, name, email, role, is_active, created_at, updated_at
+      RETURNING id, name, email, role, home_location, is_active, created_at, updated_at
     `;
     const result = await query(sql, [name, email, passwordHash, role]);
     return result.rows[0];
@@ -22,7 +22,7 @@ class User {
    */
   static async findById(id) {
     const sql = `
-      SELECT id, name, email, role, is_active, created_at, updated_at
+      SELECT id, name, email, role, home_location, is_active, created_at, updated_at
       FROM users
       WHERE id = $1
     `;
@@ -35,7 +35,7 @@ class User {
    */
   static async findByEmail(email) {
     const sql = `
-      SELECT id, name, email, password_hash, role, is_active, created_at, updated_at
+      SELECT id, name, email, password_hash, role, home_location, is_active, created_at, updated_at
       FROM users
       WHERE email = $1
     `;
@@ -46,7 +46,7 @@ class User {
   /**
    * Update user profile
    */
-  static async update(id, { name, email }) {
+  static async update(id, { name, email, homeLocation }) {
     const fields = [];
     const values = [];
     let paramCount = 1;
@@ -59,6 +59,10 @@ class User {
       fields.push(`email = $${paramCount++}`);
       values.push(email);
     }
+    if (homeLocation !== undefined) {
+      fields.push(`home_location = $${paramCount++}`);
+      values.push(homeLocation || null);
+    }
 
     if (fields.length === 0) {
       return await this.findById(id);
@@ -69,7 +73,7 @@ class User {
       UPDATE users
       SET ${fields.join(', ')}
       WHERE id = $${paramCount}
-      RETURNING id, name, email, role, is_active, created_at, updated_at
+      RETURNING id, name, email, role, home_location, is_active, created_at, updated_at
     `;
     const result = await query(sql, values);
     return result.rows[0];
@@ -94,7 +98,7 @@ class User {
    */
   static async findAll({ limit = 50, offset = 0, search = '' }) {
     let sql = `
-      SELECT id, name, email, role, is_active, created_at, updated_at
+      SELECT id, name, email, role, home_location, is_active, created_at, updated_at
       FROM users
     `;
     const params = [];
@@ -132,7 +136,7 @@ class User {
       UPDATE users
       SET is_active = $1
       WHERE id = $2
-      RETURNING id, name, email, role, is_active, created_at, updated_at
+      RETURNING id, name, email, role, home_location, is_active, created_at, updated_at
     `;
     const result = await query(sql, [isActive, id]);
     return result.rows[0];
@@ -1,12 +1,30 @@
 import express from 'express';
 import User from '../models/User.js';
 import EmissionFactor from '../models/EmissionFactor.js';
+import EmissionFactorSet from '../models/EmissionFactorSet.js';
 import AdminAuditLog from '../models/AdminAuditLog.js';
 import Trip from '../models/Trip.js';
 import { authenticate } from '../middleware/auth.js';
 import { requireAdmin } from '../middleware/adminAuth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { validate, emissionFactorSchema } from '../utils/validators.js';
+import CarbonService from '../services/carbonService.js';
+import EmissionFactorImportService from '../services/emissionFactorImportService.js';
+import recalculationService from '../services/recalculationService.js';
+import EmissionRecalculation from '../models/EmissionRecalculation.js';
+import Job from '../models/Job.js';
+import jobQueueService from '../services/jobQueueService.js';
+import GreenScoreModel from '../models/GreenScoreModel.js';
+import OffsetProvider from '../models/OffsetProvider.js';
+import {
+  validate,
+  emissionFactorSchema,
+  emissionFactorUpdateSchema,
+  emissionFactorSetSchema,
+  emissionFactorSetUpdateSchema,
+  greenScoreModelSchema,
+  offsetProviderSchema,
+  offsetProviderUpdateSchema,
+} from '../utils/validators.js';
 
 const router = express.Router();
 
@@ -201,9 +219,10 @@ router.delete(
 router.get(
   '/emission-factors',
   asyncHandler(async (req, res) => {
-    const { category, is_active, limit = 100, offset = 0 } = req.query;
+    const { factor_set_id, category, is_active, limit = 100, offset = 0 } = req.query;
 
     const result = await EmissionFactor.findAll({
+      factorSetId: factor_set_id ? parseInt(factor_set_id) : undefined,
       category,
       isActive: is_active !== undefined ? is_active === 'true' : undefined,
       limit: parseInt(limit),
@@ -214,6 +233,143 @@ router.get(
   })
 );
 
+/**
+ * Find the factor set an import/export targets (the default set if none is given)
+ */
+const resolveFactorSet = async (factorSetId) => {
+  return factorSetId
+    ? await EmissionFactorSet.findById(parseInt(factorSetId))
+    : await EmissionFactorSet.findDefault();
+};
+
+/**
+ * GET /api/admin/emission-factors/export
+ * Download every factor in a set as CSV or JSON
+ */
+router.get(
+  '/emission-factors/export',
+  asyncHandler(async (req, res) => {
+    const { format = 'csv', factor_set_id } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json',
+      });
+    }
+
+    const factorSet = await resolveFactorSet(factor_set_id);
+    if (!factorSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emission factor set not found',
+      });
+    }
+
+    const factors = await EmissionFactor.findBySetId(factorSet.id);
+    const filename = `emission-factors-${factorSet.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.json(EmissionFactorImportService.toExportRows(factors));
+    }
+
+    res.type('text/csv').send(EmissionFactorImportService.toCsv(factors));
+  })
+);
+
+/**
+ * POST /api/admin/emission-factors/import
+ * Bulk import factors into a set from CSV (text/csv body) or JSON
+ * (an array of factors or { factors: [...] }). Factors in the set that are
+ * missing from the file are deactivated. Use ?dry_run=true to preview the diff.
+ */
+router.post(
+  '/emission-factors/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  asyncHandler(async (req, res) => {
+    const { factor_set_id, dry_run } = req.query;
+    const dryRun = dry_run === 'true';
+
+    const factorSet = await resolveFactorSet(factor_set_id);
+    if (!factorSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emission factor set not found',
+      });
+    }
+
+    const rawRows = EmissionFactorImportService.parseRows(req.body);
+    if (rawRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import file contains no emission factors',
+      });
+    }
+
+    const { rows, errors } = EmissionFactorImportService.validateRows(rawRows);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors,
+      });
+    }
+
+    const existingFactors = await EmissionFactor.findBySetId(factorSet.id);
+    const diff = EmissionFactorImportService.buildDiff(rows, existingFactors);
+
+    const summary = {
+      create: diff.create.length,
+      update: diff.update.length,
+      deactivate: diff.deactivate.length,
+      unchanged: diff.unchanged,
+    };
+
+    if (!dryRun) {
+      await EmissionFactor.applyImport(factorSet.id, diff);
+      CarbonService.invalidateFactorCache();
+
+      // Log admin action
+      await AdminAuditLog.create({
+        adminUserId: req.user.id,
+        action: 'IMPORT_EMISSION_FACTORS',
+        targetResource: 'emission_factors',
+        targetId: factorSet.id,
+        details: {
+          factor_set: factorSet.name,
+          rows: rows.length,
+          ...summary,
+          created: diff.create.map(row => `${row.category}/${row.sub_category}`),
+          updated: diff.update.map(row => `${row.category}/${row.sub_category}`),
+          deactivated: diff.deactivate.map(row => `${row.category}/${row.sub_category}`),
+        },
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Dry run - no changes applied' : 'Emission factors imported successfully',
+      dry_run: dryRun,
+      factor_set: { id: factorSet.id, name: factorSet.name },
+      summary,
+      changes: {
+        create: diff.create,
+        update: diff.update.map(({ id, category, sub_category, changes }) => ({
+          id,
+          category,
+          sub_category,
+          changes,
+        })),
+        deactivate: diff.deactivate,
+      },
+    });
+  })
+);
+
 /**
  * GET /api/admin/emission-factors/:id
  * Get a specific emission factor
@@ -243,9 +399,17 @@ router.post(
   '/emission-factors',
   validate(emissionFactorSchema),
   asyncHandler(async (req, res) => {
-    const { category, sub_category, factor_kg_per_unit, unit, source, description } = req.body;
+    const { category, sub_category, factor_kg_per_unit, unit, source, description, factor_set_id } = req.body;
+
+    if (factor_set_id && !(await EmissionFactorSet.findById(factor_set_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emission factor set not found',
+      });
+    }
 
     const factor = await EmissionFactor.create({
+      factorSetId: factor_set_id,
       category,
       subCategory: sub_category,
       factorKgPerUnit: factor_kg_per_unit,
@@ -253,6 +417,7 @@ router.post(
       source,
       description,
     });
+    CarbonService.invalidateFactorCache();
 
     // Log admin action
     await AdminAuditLog.create({
@@ -260,7 +425,7 @@ router.post(
       action: 'CREATE_EMISSION_FACTOR',
       targetResource: 'emission_factors',
       targetId: factor.id,
-      details: { category, sub_category },
+      details: { category, sub_category, factor_set_id: factor.factor_set_id },
       ipAddress: req.ip,
       userAgent: req.headers['user-agent'],
     });
@@ -279,6 +444,7 @@ router.post(
  */
 router.put(
   '/emission-factors/:id',
+  validate(emissionFactorUpdateSchema),
   asyncHandler(async (req, res) => {
     const factorId = parseInt(req.params.id);
     const updates = req.body;
@@ -291,16 +457,39 @@ router.put(
       });
     }
 
-    // Convert camelCase to snake_case for database
-    const dbUpdates = {};
-    if (updates.sub_category) dbUpdates.subCategory = updates.sub_category;
-    if (updates.factor_kg_per_unit) dbUpdates.factorKgPerUnit = updates.factor_kg_per_unit;
-    if (updates.unit) dbUpdates.unit = updates.unit;
-    if (updates.source) dbUpdates.source = updates.source;
-    if (updates.description) dbUpdates.description = updates.description;
-    if (updates.is_active !== undefined) dbUpdates.isActive = updates.is_active;
+    // Refuse before changing anything, rather than leaving trips on the old value
+    const recalculate = req.query.recalculate === 'true';
+    if (recalculate && await recalculationService.isRunning()) {
+      return res.status(409).json({
+        success: false,
+        message: 'A recalculation is already in progress',
+      });
+    }
 
-    const factor = await EmissionFactor.update(factorId, dbUpdates);
+    const factor = await EmissionFactor.update(factorId, {
+      subCategory: updates.sub_category,
+      factorKgPerUnit: updates.factor_kg_per_unit,
+      unit: updates.unit,
+      source: updates.source,
+      description: updates.description,
+      isActive: updates.is_active,
+    });
+    CarbonService.invalidateFactorCache();
+
+    // Optionally bring stored trips that use this factor up to date. Another admin can
+    // still start a run after the check above; the factor is saved either way
+    let recalculation = null;
+    let message = 'Emission factor updated successfully';
+    if (recalculate) {
+      try {
+        recalculation = await recalculationService.start({ adminUserId: req.user.id, factor });
+      } catch (error) {
+        if (error.statusCode !== 409) {
+          throw error;
+        }
+        message = 'Emission factor updated, but no recalculation was started: another one is already in progress';
+      }
+    }
 
     // Log admin action
     await AdminAuditLog.create({
@@ -308,15 +497,16 @@ router.put(
       action: 'UPDATE_EMISSION_FACTOR',
       targetResource: 'emission_factors',
       targetId: factorId,
-      details: { updates, previous: existingFactor },
+      details: { updates, previous: existingFactor, recalculation_id: recalculation?.id || null },
       ipAddress: req.ip,
       userAgent: req.headers['user-agent'],
     });
 
     res.json({
       success: true,
-      message: 'Emission factor updated successfully',
+      message,
       factor,
+      recalculation,
     });
   })
 );
@@ -339,6 +529,7 @@ router.delete(
     }
 
     await EmissionFactor.delete(factorId);
+    CarbonService.invalidateFactorCache();
 
     // Log admin action
     await AdminAuditLog.create({
@@ -358,6 +549,708 @@ router.delete(
   })
 );
 
+// ============================================
+// EMISSION FACTOR SETS
+// ============================================
+
+/**
+ * Convert a Date to YYYY-MM-DD for DATE columns
+ */
+const toDateString = (date) => (date ? date.toISOString().split('T')[0] : undefined);
+
+/**
+ * GET /api/admin/emission-factor-sets
+ * Get all emission factor sets with factor and trip counts
+ */
+router.get(
+  '/emission-factor-sets',
+  asyncHandler(async (req, res) => {
+    const sets = await EmissionFactorSet.findAll();
+
+    res.json({
+      sets: sets.map(set => ({
+        ...set,
+        factor_count: parseInt(set.factor_count),
+        trip_count: parseInt(set.trip_count),
+      })),
+    });
+  })
+);
+
+/**
+ * POST /api/admin/emission-factor-sets
+ * Create a new emission factor set, optionally copying another set's factors
+ */
+router.post(
+  '/emission-factor-sets',
+  validate(emissionFactorSetSchema),
+  asyncHandler(async (req, res) => {
+    const { name, source, effective_from, description, copy_from_set_id } = req.body;
+
+    if (await EmissionFactorSet.findByName(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'An emission factor set with this name already exists',
+      });
+    }
+
+    if (copy_from_set_id && !(await EmissionFactorSet.findById(copy_from_set_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emission factor set to copy from not found',
+      });
+    }
+
+    const factorSet = await EmissionFactorSet.create({
+      name,
+      source,
+      effectiveFrom: toDateString(effective_from),
+      description,
+      copyFromSetId: copy_from_set_id,
+    });
+    CarbonService.invalidateFactorCache();
+
+    // Log admin action
+    await AdminAuditLog.create({
+      adminUserId: req.user.id,
+      action: 'CREATE_EMISSION_FACTOR_SET',
+      targetResource: 'emission_factor_sets',
+      targetId: factorSet.id,
+      details: { name, effective_from: factorSet.effective_from, copy_from_set_id },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Emission factor set created successfully',
+      set: factorSet,
+    });
+  })
+);
+
+/**
+ * PUT /api/admin/emission-factor-sets/:id
+ * Update an emission factor set's details
+ */
+router.put(
+  '/emission-factor-sets/:id',
+  validate(emissionFactorSetUpdateSchema),
+  asyncHandler(async (req, res) => {
+    const setId = parseInt(req.params.id);
+    const { name, source, effective_from, description } = req.body;
+
+    const existingSet = await EmissionFactorSet.findById(setId);
+    if (!existingSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emission factor set not found',
+      });
+    }
+
+    const factorSet = await EmissionFactorSet.update(setId, {
+      name,
+      source,
+      effectiveFrom: toDateString(effective_from),
+      description,
+    });
+
+    // Log admin action
+    await AdminAuditLog.create({
+      adminUserId: req.user.id,
+      action: 'UPDATE_EMISSION_FACTOR_SET',
+      targetResource: 'emission_factor_sets',
+      targetId: setId,
+      details: { updates: req.body, previous: existingSet },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.json({
+      success: true,
+      message: 'Emission factor set updated successfully',
+      set: factorSet,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/emission-factor-sets/:id/activate
+ * Make a set the active default used for new trips
+ * Existing trips keep the set they were calculated with
+ */
+router.post(
+  '/emission-factor-sets/:id/activate',
+  asyncHandler(async (req, res) => {
+    const setId = parseInt(req.params.id);
+
+    const factorSet = await EmissionFactorSet.findById(setId);
+    if (!factorSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emission factor set not found',
+      });
+    }
+
+    const previousDefault = await EmissionFactorSet.findDefault();
+    const activatedSet = await EmissionFactorSet.setDefault(setId);
+    CarbonService.invalidateFactorCache();
+
+    // Log admin action
+    await AdminAuditLog.create({
+      adminUserId: req.user.id,
+      action: 'ACTIVATE_EMISSION_FACTOR_SET',
+      targetResource: 'emission_factor_sets',
+      targetId: setId,
+      details: { name: factorSet.name, previous_default_id: previousDefault?.id || null },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.json({
+      success: true,
+      message: `${activatedSet.name} is now the default emission factor set`,
+      set: activatedSet,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/emission-factor-sets/:id/preview
+ * Queue a preview of how carbon totals across all stored trips would change
+ * if they were recalculated with this set (nothing is saved); the job's result
+ * holds the preview
+ */
+router.post(
+  '/emission-factor-sets/:id/preview',
+  asyncHandler(async (req, res) => {
+    const setId = parseInt(req.params.id);
+    const limit = parseInt(req.query.limit);
+
+    const factorSet = await EmissionFactorSet.findById(setId);
+    if (!factorSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emission factor set not found',
+      });
+    }
+
+    const job = await recalculationService.startPreview({
+      adminUserId: req.user.id,
+      factorSetId: setId,
+      limit: Number.isNaN(limit) ? undefined : limit,
+    });
+
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      status: job.status,
+    });
+  })
+);
+
+/**
+ * DELETE /api/admin/emission-factor-sets/:id
+ * Delete an emission factor set and its factors
+ * The default set and sets that trips were calculated with cannot be deleted
+ */
+router.delete(
+  '/emission-factor-sets/:id',
+  asyncHandler(async (req, res) => {
+    const setId = parseInt(req.params.id);
+
+    const factorSet = await EmissionFactorSet.findById(setId);
+    if (!factorSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emission factor set not found',
+      });
+    }
+
+    if (factorSet.is_default) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default emission factor set cannot be deleted',
+      });
+    }
+
+    // Trips record the set they were calculated with - deleting it would lose that
+    const tripCount = await Trip.countByFactorSet(setId);
+    if (tripCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This emission factor set is used by ${tripCount} trip(s) and cannot be deleted`,
+        trip_count: tripCount,
+      });
+    }
+
+    await EmissionFactorSet.delete(setId);
+    CarbonService.invalidateFactorCache();
+
+    // Log admin action
+    await AdminAuditLog.create({
+      adminUserId: req.user.id,
+      action: 'DELETE_EMISSION_FACTOR_SET',
+      targetResource: 'emission_factor_sets',
+      targetId: setId,
+      details: { deleted_set: factorSet },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.json({
+      success: true,
+      message: 'Emission factor set deleted successfully',
+    });
+  })
+);
+
+// ============================================
+// GREEN SCORE MODELS
+// ============================================
+
+/**
+ * GET /api/admin/green-score-models
+ * Get all Green Score model versions, newest first
+ */
+router.get(
+  '/green-score-models',
+  asyncHandler(async (req, res) => {
+    const models = await GreenScoreModel.findAll();
+    res.json({ models });
+  })
+);
+
+/**
+ * POST /api/admin/green-score-models
+ * Create a new Green Score model version (optionally activating it)
+ * Stored trips keep their score until they are recalculated
+ */
+router.post(
+  '/green-score-models',
+  validate(greenScoreModelSchema),
+  asyncHandler(async (req, res) => {
+    const { description, config, activate } = req.body;
+
+    let model = await GreenScoreModel.create({
+      description,
+      config,
+      createdBy: req.user.id,
+    });
+
+    if (activate) {
+      model = await GreenScoreModel.activate(model.id);
+      CarbonService.invalidateFactorCache();
+    }
+
+    // Log admin action
+    await AdminAuditLog.create({
+      adminUserId: req.user.id,
+      action: 'CREATE_GREEN_SCORE_MODEL',
+      targetResource: 'green_score_models',
+      targetId: model.id,
+      details: { version: model.version, activate },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Green Score model version ${model.version} created successfully`,
+      model,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/green-score-models/:id/activate
+ * Make a Green Score model version the active one
+ */
+router.post(
+  '/green-score-models/:id/activate',
+  asyncHandler(async (req, res) => {
+    const modelId = parseInt(req.params.id);
+
+    const model = await GreenScoreModel.findById(modelId);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Green Score model not found',
+      });
+    }
+
+    const previousModel = await GreenScoreModel.findActive();
+    const activatedModel = await GreenScoreModel.activate(modelId);
+    CarbonService.invalidateFactorCache();
+
+    // Log admin action
+    await AdminAuditLog.create({
+      adminUserId: req.user.id,
+      action: 'ACTIVATE_GREEN_SCORE_MODEL',
+      targetResource: 'green_score_models',
+      targetId: modelId,
+      details: { version: model.version, previous_version: previousModel?.version || null },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.json({
+      success: true,
+      message: `Green Score model version ${activatedModel.version} is now active`,
+      model: activatedModel,
+    });
+  })
+);
+
+// ============================================
+// OFFSET PROVIDERS
+// ============================================
+
+/**
+ * GET /api/admin/offset-providers
+ * Get all offset providers and their prices (including inactive ones)
+ */
+router.get(
+  '/offset-providers',
+  asyncHandler(async (req, res) => {
+    const providers = await OffsetProvider.findAll();
+    res.json({ providers });
+  })
+);
+
+/**
+ * POST /api/admin/offset-providers
+ * Add an offset provider with its price per tonne CO2
+ */
+router.post(
+  '/offset-providers',
+  validate(offsetProviderSchema),
+  asyncHandler(async (req, res) => {
+    const { name, price_per_tonne, project_type, website, description } = req.body;
+
+    if (await OffsetProvider.findByName(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'An offset provider with this name already exists',
+      });
+    }
+
+    const provider = await OffsetProvider.create({
+      name,
+      pricePerTonne: price_per_tonne,
+      projectType: project_type,
+      website,
+      description,
+    });
+
+    // Log admin action
+    await AdminAuditLog.create({
+      adminUserId: req.user.id,
+      action: 'CREATE_OFFSET_PROVIDER',
+      targetResource: 'offset_providers',
+      targetId: provider.id,
+      details: { name, price_per_tonne },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Offset provider created successfully',
+      provider,
+    });
+  })
+);
+
+/**
+ * PUT /api/admin/offset-providers/:id
+ * Update an offset provider (offsets already recorded keep their cost)
+ */
+router.put(
+  '/offset-providers/:id',
+  validate(offsetProviderUpdateSchema),
+  asyncHandler(async (req, res) => {
+    const providerId = parseInt(req.params.id);
+    const updates = req.body;
+
+    const existingProvider = await OffsetProvider.findById(providerId);
+    if (!existingProvider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offset provider not found',
+      });
+    }
+
+    if (updates.name && updates.name !== existingProvider.name && await OffsetProvider.findByName(updates.name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'An offset provider with this name already exists',
+      });
+    }
+
+    const provider = await OffsetProvider.update(providerId, {
+      name: updates.name,
+      pricePerTonne: updates.price_per_tonne,
+      projectType: updates.project_type,
+      website: updates.website,
+      description: updates.description,
+      isActive: updates.is_active,
+    });
+
+    // Log admin action
+    await AdminAuditLog.create({
+      adminUserId: req.user.id,
+      action: 'UPDATE_OFFSET_PROVIDER',
+      targetResource: 'offset_providers',
+      targetId: providerId,
+      details: { updates, previous: existingProvider },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.json({
+      success: true,
+      message: 'Offset provider updated successfully',
+      provider,
+    });
+  })
+);
+
+/**
+ * DELETE /api/admin/offset-providers/:id
+ * Delete an offset provider (recorded trip offsets are kept)
+ */
+router.delete(
+  '/offset-providers/:id',
+  asyncHandler(async (req, res) => {
+    const providerId = parseInt(req.params.id);
+
+    const provider = await OffsetProvider.findById(providerId);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offset provider not found',
+      });
+    }
+
+    await OffsetProvider.delete(providerId);
+
+    // Log admin action
+    await AdminAuditLog.create({
+      adminUserId: req.user.id,
+      action: 'DELETE_OFFSET_PROVIDER',
+      targetResource: 'offset_providers',
+      targetId: providerId,
+      details: { deleted_provider: provider },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+
+    res.json({
+      success: true,
+      message: 'Offset provider deleted successfully',
+    });
+  })
+);
+
+// ============================================
+// TRIP RECALCULATION
+// ============================================
+
+/**
+ * Add a progress percentage to a recalculation run
+ */
+const formatRecalculation = (run) => ({
+  ...run,
+  progress_percent: run.total_trips > 0
+    ? Math.round((run.processed_trips / run.total_trips) * 100)
+    : (run.status === 'completed' ? 100 : 0),
+});
+
+/**
+ * Start a recalculation run and log it
+ * Returns null (after sending a 409) if another run is in progress
+ */
+const startRecalculation = async (req, res, { factor = null, factorSetId = null }) => {
+  let run;
+  try {
+    run = await recalculationService.start({
+      adminUserId: req.user.id,
+      factor,
+      factorSetId,
+    });
+  } catch (error) {
+    if (error.statusCode !== 409) {
+      throw error;
+    }
+    res.status(409).json({
+      success: false,
+      message: error.message,
+    });
+    return null;
+  }
+
+  // Log admin action
+  await AdminAuditLog.create({
+    adminUserId: req.user.id,
+    action: 'RECALCULATE_TRIPS',
+    targetResource: 'emission_recalculations',
+    targetId: run.id,
+    details: {
+      scope: run.scope,
+      emission_factor_id: run.emission_factor_id,
+      factor_set_id: run.factor_set_id,
+      sub_category: run.sub_category,
+      job_id: run.job_id,
+    },
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  return run;
+};
+
+/**
+ * POST /api/admin/emission-factors/:id/recalculate
+ * Recalculate stored trips that use this emission factor
+ */
+router.post(
+  '/emission-factors/:id/recalculate',
+  asyncHandler(async (req, res) => {
+    const factorId = parseInt(req.params.id);
+
+    const factor = await EmissionFactor.findById(factorId);
+    if (!factor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emission factor not found',
+      });
+    }
+
+    const run = await startRecalculation(req, res, { factor });
+    if (!run) return;
+
+    res.status(202).json({
+      success: true,
+      message: `Recalculating trips that use ${factor.category}/${factor.sub_category}`,
+      recalculation: formatRecalculation(run),
+    });
+  })
+);
+
+/**
+ * POST /api/admin/recalculations
+ * Recalculate all stored trips (optionally only those using one factor set)
+ */
+router.post(
+  '/recalculations',
+  asyncHandler(async (req, res) => {
+    const { factor_set_id } = req.body;
+
+    if (factor_set_id && !(await EmissionFactorSet.findById(factor_set_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emission factor set not found',
+      });
+    }
+
+    const run = await startRecalculation(req, res, {
+      factorSetId: factor_set_id ? parseInt(factor_set_id) : null,
+    });
+    if (!run) return;
+
+    res.status(202).json({
+      success: true,
+      message: 'Recalculating all trips',
+      recalculation: formatRecalculation(run),
+    });
+  })
+);
+
+/**
+ * GET /api/admin/recalculations
+ * Get recent recalculation runs
+ */
+router.get(
+  '/recalculations',
+  asyncHandler(async (req, res) => {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const runs = await EmissionRecalculation.findAll({
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({ recalculations: runs.map(formatRecalculation) });
+  })
+);
+
+/**
+ * GET /api/admin/recalculations/:id
+ * Get a recalculation run's progress and before/after values per trip
+ */
+router.get(
+  '/recalculations/:id',
+  asyncHandler(async (req, res) => {
+    const runId = parseInt(req.params.id);
+    const { limit = 100, offset = 0 } = req.query;
+
+    const run = await EmissionRecalculation.findById(runId);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recalculation not found',
+      });
+    }
+
+    const results = await EmissionRecalculation.getResults(runId, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({
+      recalculation: formatRecalculation(run),
+      results: results.map(result => ({
+        trip_id: result.trip_id,
+        destination: result.destination,
+        before_carbon_kg: parseFloat(result.before_carbon_kg),
+        after_carbon_kg: parseFloat(result.after_carbon_kg),
+        difference_kg: Math.round((result.after_carbon_kg - result.before_carbon_kg) * 100) / 100,
+        before_green_score: result.before_green_score,
+        after_green_score: result.after_green_score,
+        before_breakdown: result.before_breakdown,
+        after_breakdown: result.after_breakdown,
+      })),
+    });
+  })
+);
+
+// ============================================
+// BACKGROUND JOBS
+// ============================================
+
+/**
+ * GET /api/admin/jobs
+ * List background jobs from all users (filter by type and status)
+ * Use /api/jobs/:id to follow or cancel one
+ */
+router.get(
+  '/jobs',
+  asyncHandler(async (req, res) => {
+    const { type, status, user_id, limit = 50, offset = 0 } = req.query;
+
+    const jobs = await Job.findAll({
+      userId: user_id ? parseInt(user_id) : undefined,
+      type,
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({ jobs: jobs.map(job => jobQueueService.formatJob(job)) });
+  })
+);
+
 // ============================================
 // AUDIT LOGS
 // ============================================
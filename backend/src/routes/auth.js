@@ -131,6 +131,7 @@ router.get('/me', authenticate, asyncHandler(async (req, res) => {
     name: user.name,
     email: user.email,
     role: user.role,
+    home_location: user.home_location,
     is_active: user.is_active,
     created_at: user.created_at,
   });
@@ -141,7 +142,7 @@ router.get('/me', authenticate, asyncHandler(async (req, res) => {
  * Update user profile
  */
 router.put('/profile', authenticate, validate(profileUpdateSchema), asyncHandler(async (req, res) => {
-  const { name, email } = req.body;
+  const { name, email, home_location } = req.body;
 
   // If email is being updated, check if it's already taken
   if (email && email !== req.user.email) {
@@ -155,7 +156,7 @@ router.put('/profile', authenticate, validate(profileUpdateSchema), asyncHandler
   }
 
   // Update user
-  const updatedUser = await User.update(req.user.id, { name, email });
+  const updatedUser = await User.update(req.user.id, { name, email, homeLocation: home_location });
 
   res.json({
     success: true,
@@ -165,6 +166,7 @@ router.put('/profile', authenticate, validate(profileUpdateSchema), asyncHandler
       name: updatedUser.name,
       email: updatedUser.email,
       role: updatedUser.role,
+      home_location: updatedUser.home_location,
     },
   });
 }));
@@ -0,0 +1,213 @@
+import express from 'express';
+import Expense from '../models/Expense.js';
+import Trip from '../models/Trip.js';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validate, expenseSchema, expenseUpdateSchema, EXPENSE_CATEGORIES } from '../utils/validators.js';
+
+const router = express.Router();
+
+// All expense routes require authentication
+router.use(authenticate);
+
+/**
+ * Convert a Date (or date string) to YYYY-MM-DD
+ */
+const toDateString = (date) => {
+  if (!date) return null;
+  if (typeof date === 'string') return date.split('T')[0];
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Format an expense row for the frontend
+ * (numeric amount and a plain YYYY-MM-DD date)
+ */
+const formatExpense = (expense) => ({
+  id: expense.id,
+  trip_id: expense.trip_id,
+  category: expense.category,
+  amount: parseFloat(expense.amount) || 0,
+  description: expense.description,
+  date: toDateString(expense.expense_date),
+  created_at: expense.created_at,
+  updated_at: expense.updated_at,
+});
+
+/**
+ * Build per-category totals, including zero entries for unused categories
+ */
+const buildCategoryTotals = (rows) => {
+  const totals = Object.fromEntries(EXPENSE_CATEGORIES.map(category => [category, 0]));
+  for (const row of rows) {
+    totals[row.category] = Math.round(parseFloat(row.total) * 100) / 100 || 0;
+  }
+  return totals;
+};
+
+/**
+ * GET /api/expenses/:tripId
+ * Get all expenses for a trip with per-category totals
+ */
+router.get(
+  '/:tripId',
+  asyncHandler(async (req, res) => {
+    const tripId = parseInt(req.params.tripId);
+    const { category } = req.query;
+
+    const trip = Number.isNaN(tripId) ? null : await Trip.findById(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip (or is admin)
+    if (trip.user_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this trip',
+      });
+    }
+
+    const expenses = await Expense.findByTripId(tripId, { category });
+    const categoryTotals = buildCategoryTotals(await Expense.getCategoryTotals(tripId));
+    const total = Object.values(categoryTotals).reduce((sum, value) => sum + value, 0);
+
+    res.json({
+      expenses: expenses.map(formatExpense),
+      category_totals: categoryTotals,
+      total: Math.round(total * 100) / 100,
+    });
+  })
+);
+
+/**
+ * POST /api/expenses
+ * Record a new expense against a trip
+ */
+router.post(
+  '/',
+  validate(expenseSchema),
+  asyncHandler(async (req, res) => {
+    const { trip_id, category, amount, description, date } = req.body;
+
+    const trip = await Trip.findById(trip_id);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip (or is admin)
+    if (trip.user_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to add expenses to this trip',
+      });
+    }
+
+    const expense = await Expense.create({
+      tripId: trip_id,
+      category,
+      amount,
+      description,
+      expenseDate: date.toISOString().split('T')[0],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense added successfully',
+      expense: formatExpense(expense),
+    });
+  })
+);
+
+/**
+ * PUT /api/expenses/:id
+ * Update an expense
+ */
+router.put(
+  '/:id',
+  validate(expenseUpdateSchema),
+  asyncHandler(async (req, res) => {
+    const expenseId = parseInt(req.params.id);
+    const { category, amount, description, date } = req.body;
+
+    const expense = Number.isNaN(expenseId) ? null : await Expense.findById(expenseId);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found',
+      });
+    }
+
+    // Check if user owns the trip this expense belongs to (or is admin)
+    const trip = await Trip.findById(expense.trip_id);
+    if (trip.user_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this expense',
+      });
+    }
+
+    const updatedExpense = await Expense.update(expenseId, {
+      category,
+      amount,
+      description,
+      expenseDate: date ? date.toISOString().split('T')[0] : undefined,
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense updated successfully',
+      expense: formatExpense(updatedExpense),
+    });
+  })
+);
+
+/**
+ * DELETE /api/expenses/:id
+ * Delete an expense
+ */
+router.delete(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const expenseId = parseInt(req.params.id);
+
+    const expense = Number.isNaN(expenseId) ? null : await Expense.findById(expenseId);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found',
+      });
+    }
+
+    // Check if user owns the trip this expense belongs to (or is admin)
+    const trip = await Trip.findById(expense.trip_id);
+    if (trip.user_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this expense',
+      });
+    }
+
+    await Expense.delete(expenseId);
+
+    res.json({
+      success: true,
+      message: 'Expense deleted successfully',
+    });
+  })
+);
+
+export default router;
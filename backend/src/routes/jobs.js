@@ -0,0 +1,201 @@
+import express from 'express';
+import Job from '../models/Job.js';
+import jobQueueService from '../services/jobQueueService.js';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Comment line sent on idle event streams so proxies don't close them
+const SSE_HEARTBEAT_MS = 15000;
+
+// How often an event stream re-reads its job, for events from workers on other servers
+const SSE_POLL_MS = 2000;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Load the job in req.params.id for its owner (or an admin)
+ * Sends a 404/403 and returns null if they can't see it
+ */
+const findJob = async (req, res) => {
+  const jobId = parseInt(req.params.id);
+  const job = Number.isNaN(jobId) ? null : await Job.findById(jobId);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found',
+    });
+    return null;
+  }
+
+  if (job.user_id !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to access this job',
+    });
+    return null;
+  }
+
+  return job;
+};
+
+/**
+ * Write one job event in Server-Sent Events format
+ */
+const writeSseEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+/**
+ * GET /api/jobs
+ * List the user's recent background jobs (filter by type and status)
+ */
+router.get(
+  '/',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { type, status, limit = 20, offset = 0 } = req.query;
+
+    const jobs = await Job.findAll({
+      userId: req.user.id,
+      type,
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({ jobs: jobs.map(job => jobQueueService.formatJob(job)) });
+  })
+);
+
+/**
+ * GET /api/jobs/:id
+ * Get a job's status, progress and (once completed) result
+ */
+router.get(
+  '/:id',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.json(jobQueueService.formatJob(job));
+  })
+);
+
+/**
+ * GET /api/jobs/:id/events
+ * Stream a job's progress as Server-Sent Events
+ * Events after Last-Event-ID (or ?last_event_id) are replayed first, so a
+ * client can reconnect after a page refresh or a restart without missing any
+ * Events from this server's workers are sent as they happen; the job is also re-read
+ * every SSE_POLL_MS for events from a job running on another server
+ */
+router.get(
+  '/:id/events',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    let job = await findJob(req, res);
+    if (!job) return;
+
+    let lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.last_event_id) || 0;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop nginx buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      if (event.id <= lastEventId || res.writableEnded) return;
+      lastEventId = event.id;
+      writeSseEvent(res, event);
+      if (FINISHED_STATUSES.includes(event.type)) {
+        res.end();
+      }
+    };
+
+    // Listen before re-reading the job so no event falls between the read and the
+    // subscription; live events wait until the stored ones have been replayed
+    let buffered = [];
+    const unsubscribe = jobQueueService.subscribe(job.id, (event) => {
+      if (buffered) buffered.push(event);
+      else send(event);
+    });
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+    // Send the stored events not sent yet, closing the stream once the job has finished
+    const sendStored = (storedJob) => {
+      if (!storedJob) {
+        res.end();
+        return;
+      }
+      storedJob.events.forEach(send);
+      if (FINISHED_STATUSES.includes(storedJob.status) && !res.writableEnded) {
+        res.end();
+      }
+    };
+
+    let polling = false;
+    const poll = setInterval(async () => {
+      if (polling || res.writableEnded) return;
+      polling = true;
+      try {
+        sendStored(await Job.findById(job.id));
+      } catch (error) {
+        console.error('Failed to poll job events:', error);
+      } finally {
+        polling = false;
+      }
+    }, SSE_POLL_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearInterval(poll);
+      unsubscribe();
+    });
+
+    job = await Job.findById(job.id);
+    job.events.forEach(send);
+    buffered.forEach(send);
+    buffered = null;
+
+    if (FINISHED_STATUSES.includes(job.status) && !res.writableEnded) {
+      res.end();
+    }
+  })
+);
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a job: pending jobs stop straight away, running ones at their next step
+ */
+router.post(
+  '/:id/cancel',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const cancelled = await jobQueueService.cancel(job.id);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Job has already ${job.status === 'cancelled' ? 'been cancelled' : 'finished'}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: cancelled.status === 'cancelled' ? 'Job cancelled' : 'Job will stop after its current step',
+      ...jobQueueService.formatJob(cancelled),
+    });
+  })
+);
+
+export default router;
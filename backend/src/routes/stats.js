@@ -1,6 +1,9 @@
 import express from 'express';
 import User from '../models/User.js';
 import Trip from '../models/Trip.js';
+import Expense from '../models/Expense.js';
+import TripOffset from '../models/TripOffset.js';
+import CarbonService from '../services/carbonService.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
@@ -22,16 +25,47 @@ router.get(
     // Get carbon breakdown
     const carbonBreakdown = await Trip.getCarbonBreakdown(userId);
 
+    // Get actual spend from logged expenses
+    const actualSpent = await Expense.getUserTotal(userId);
+
+    // Get carbon offset across the user's trips (gross minus offsets = net)
+    const offsetCarbon = await TripOffset.getUserTotal(userId);
+    const grossCarbon = Math.round(parseFloat(stats.total_carbon_kg) * 100) / 100 || 0;
+
+    // Get lifetime carbon saved against conventional-trip baselines
+    const carbonAvoided = await Trip.getCarbonAvoided(userId);
+
+    // Most recent trips, oldest first, for the analytics trip comparison and trend charts
+    const recentTrips = (await Trip.findByUserId(userId, { limit: 5 })).reverse();
+
     res.json({
       total_trips: parseInt(stats.total_trips) || 0,
-      total_carbon_kg: Math.round(parseFloat(stats.total_carbon_kg) * 100) / 100 || 0,
+      total_carbon_kg: grossCarbon,
+      gross_carbon_kg: grossCarbon,
+      offset_carbon_kg: Math.round(offsetCarbon * 100) / 100,
+      net_carbon_kg: Math.max(0, Math.round((grossCarbon - offsetCarbon) * 100) / 100),
+      baseline_carbon_kg: Math.round(parseFloat(carbonAvoided.baseline) * 100) / 100 || 0,
+      carbon_saved_kg: Math.round(parseFloat(carbonAvoided.avoided) * 100) / 100 || 0,
       total_spent: Math.round(parseFloat(stats.total_spent) * 100) / 100 || 0,
+      actual_spent: Math.round(actualSpent * 100) / 100,
       avg_green_score: Math.round(parseFloat(stats.avg_green_score)) || 0,
       carbon_breakdown: {
         transport: Math.round(parseFloat(carbonBreakdown.transport) * 100) / 100 || 0,
         accommodation: Math.round(parseFloat(carbonBreakdown.accommodation) * 100) / 100 || 0,
         activities: Math.round(parseFloat(carbonBreakdown.activities) * 100) / 100 || 0,
+        travel_to_destination: Math.round(parseFloat(carbonBreakdown.travel_to_destination) * 100) / 100 || 0,
       },
+      recent_trips: recentTrips.map(trip => ({
+        id: trip.id,
+        destination: trip.destination,
+        total_carbon_kg: parseFloat(trip.total_carbon_kg) || 0,
+        carbon_avoided_kg: CarbonService.compareWithBaseline(
+          parseFloat(trip.total_carbon_kg) || 0,
+          trip.itinerary?.baseline_carbon
+        ).carbon_avoided_kg,
+        total_cost: parseFloat(trip.total_cost) || 0,
+        green_score: trip.green_score,
+      })),
     });
   })
 );
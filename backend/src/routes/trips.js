@@ -1,13 +1,149 @@
 import express from 'express';
 import Trip from '../models/Trip.js';
+import Expense from '../models/Expense.js';
+import User from '../models/User.js';
+import EmissionFactorSet from '../models/EmissionFactorSet.js';
+import OffsetProvider from '../models/OffsetProvider.js';
+import TripOffset from '../models/TripOffset.js';
+import TripMessage from '../models/TripMessage.js';
+import openaiService from '../services/openaiService.js';
 import itineraryService from '../services/itineraryService.js';
+import generationJobService from '../services/generationJobService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import BudgetService from '../services/budgetService.js';
+import CarbonService from '../services/carbonService.js';
+import OffsetService from '../services/offsetService.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { validate, tripGenerationSchema } from '../utils/validators.js';
-import { tripGenerationLimiter } from '../middleware/rateLimiter.js';
+import {
+  validate,
+  tripGenerationSchema,
+  activityAlternativeSchema,
+  tripOffsetSchema,
+  addActivitySchema,
+  reorderActivitiesSchema,
+  moveActivitySchema,
+  dayTransportSchema,
+  tripUpdateSchema,
+  regenerateSchema,
+  tripChatSchema,
+} from '../utils/validators.js';
+import { tripGenerationLimiter, regenerationLimiter, tripChatLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
+// Earlier chat messages sent to the AI along with each new one
+const CHAT_HISTORY_LIMIT = 20;
+
+// Times an edit is recalculated when the trip keeps changing while its places are looked up
+const MAX_EDIT_ATTEMPTS = 3;
+
+/**
+ * Load the trip for an ID from the URL (undefined if the ID isn't a number)
+ */
+const findTrip = (id) => {
+  const tripId = parseInt(id);
+  return Number.isNaN(tripId) ? undefined : Trip.findById(tripId);
+};
+
+/**
+ * Fall back to the user's home location when a generation request has no origin
+ */
+const applyHomeOrigin = async (userId, tripData) => {
+  if (!tripData.origin) {
+    const user = await User.findById(userId);
+    tripData.origin = user?.home_location || null;
+  }
+  return tripData;
+};
+
+/**
+ * Recalculated itinerary and totals, as returned by every itinerary edit
+ */
+const itineraryEditResponse = (result) => ({
+  itinerary: result.itinerary.days || [],
+  total_carbon_kg: result.total_carbon_kg,
+  total_cost: result.total_cost,
+  green_score: result.green_score,
+  carbon_breakdown: result.carbon_breakdown,
+  ...CarbonService.compareWithBaseline(result.total_carbon_kg, result.baseline_carbon),
+});
+
+/**
+ * Apply edits to a trip and save the recalculated itinerary, carbon, cost and Green Score
+ * The place and leg lookups run before the row is locked; the result is only saved if the
+ * trip hasn't been updated since it was read, otherwise the edits are applied again to
+ * the saved trip
+ * @returns {Promise<Object>} Recalculated trip values (see itineraryService.applyItineraryEdits)
+ * @throws {Error} With statusCode 404 if the trip was deleted, 409 if it kept changing
+ */
+const saveItineraryEdits = async (trip, edits) => {
+  for (let attempt = 1; attempt <= MAX_EDIT_ATTEMPTS; attempt++) {
+    const result = await itineraryService.applyItineraryEdits(trip, edits);
+
+    let saved = false;
+    const current = await Trip.updateWithLock(trip.id, async (lockedTrip) => {
+      if (lockedTrip.updated_at.getTime() !== trip.updated_at.getTime()) {
+        return {};
+      }
+      saved = true;
+      return {
+        itinerary: result.itinerary,
+        totalCarbonKg: result.total_carbon_kg,
+        totalCost: result.total_cost,
+        greenScore: result.green_score,
+      };
+    });
+
+    if (!current) {
+      throw Object.assign(new Error('Trip not found'), { statusCode: 404 });
+    }
+    if (saved) {
+      return result;
+    }
+    trip = current;
+  }
+
+  throw Object.assign(new Error('The trip was changed while it was being updated, please try again'), { statusCode: 409 });
+};
+
+/**
+ * Apply itinerary edits to a trip and respond with the recalculated values
+ * edits can be an async function building them from the trip (e.g. with the AI),
+ * which runs before the row is locked
+ * Missing days/activities and invalid edits are thrown with a statusCode
+ */
+const editItinerary = async (req, res, edits) => {
+  const trip = await findTrip(req.params.id);
+
+  if (!trip) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trip not found',
+    });
+  }
+
+  // Check if user owns this trip
+  if (trip.user_id !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to update this trip',
+    });
+  }
+
+  if (typeof edits === 'function') {
+    edits = await edits(trip);
+  }
+
+  const result = await saveItineraryEdits(trip, edits);
+
+  res.json({
+    success: true,
+    message: 'Itinerary updated successfully',
+    ...itineraryEditResponse(result),
+  });
+};
+
 /**
  * POST /api/trips/generate
  * Generate a new AI-powered trip itinerary
@@ -19,45 +155,74 @@ router.post(
   validate(tripGenerationSchema),
   asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    const tripData = req.body;
+    const tripData = await applyHomeOrigin(userId, req.body);
 
     // Generate complete trip with AI, location data, and carbon calculations
     const generatedTrip = await itineraryService.generateTrip(tripData);
 
     // Save trip to database
-    const trip = await Trip.create({
-      userId,
-      destination: tripData.destination,
-      startDate: tripData.start_date,
-      endDate: tripData.end_date,
-      budget: tripData.budget,
-      interests: tripData.interests,
-      travelStyle: tripData.travel_style,
-      accommodationPreference: tripData.accommodation_preference,
-      transportPreference: tripData.transport_preference,
-      itinerary: generatedTrip.itinerary,
-      totalCarbonKg: generatedTrip.total_carbon_kg,
-      totalCost: generatedTrip.total_cost,
-      greenScore: generatedTrip.green_score,
-    });
+    const trip = await generationJobService.saveTrip(userId, tripData, generatedTrip);
+
+    // The sample itinerary stands in when the AI fails - say so rather than hiding it
+    const generation = generatedTrip.itinerary.generation || null;
 
     res.status(201).json({
       success: true,
-      message: 'Trip generated successfully',
+      message: generation?.demo_fallback
+        ? 'The AI itinerary could not be generated, so a sample itinerary was used instead'
+        : 'Trip generated successfully',
+      demo_fallback: !!generation?.demo_fallback,
+      generation,
       id: trip.id,
       destination: trip.destination,
       start_date: trip.start_date,
       end_date: trip.end_date,
       budget: trip.budget,
+      origin: trip.origin,
+      origin_transport_mode: trip.origin_transport_mode,
+      origin_distance_km: parseFloat(trip.origin_distance_km) || 0,
+      adults: trip.adults,
+      children: trip.children,
+      rooms: trip.rooms,
+      factor_set_id: trip.factor_set_id,
       total_carbon_kg: trip.total_carbon_kg,
+      carbon_per_person: generatedTrip.carbon_breakdown.per_person,
+      carbon_uncertainty: generatedTrip.carbon_breakdown.uncertainty,
       total_cost: trip.total_cost,
       green_score: trip.green_score,
+      green_score_explanation: generatedTrip.green_score_explanation,
+      baseline_carbon_kg: generatedTrip.baseline_carbon_kg,
+      carbon_avoided_kg: generatedTrip.carbon_avoided_kg,
+      carbon_avoided_percent: generatedTrip.carbon_avoided_percent,
+      carbon_target: generatedTrip.carbon_target,
       itinerary: trip.itinerary,
       carbon_breakdown: generatedTrip.carbon_breakdown,
     });
   })
 );
 
+/**
+ * POST /api/trips/generation-jobs
+ * Queue a trip generation job and return its ID
+ * Follow progress with GET /api/jobs/:id/events
+ */
+router.post(
+  '/generation-jobs',
+  authenticate,
+  tripGenerationLimiter,
+  validate(tripGenerationSchema),
+  asyncHandler(async (req, res) => {
+    const tripData = await applyHomeOrigin(req.user.id, req.body);
+    const job = await generationJobService.start(req.user.id, tripData);
+
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      status: job.status,
+    });
+  })
+);
+
 /**
  * GET /api/trips
  * Get all trips for the authenticated user
@@ -82,6 +247,11 @@ router.get(
         end_date: trip.end_date,
         budget: trip.budget,
         total_carbon_kg: parseFloat(trip.total_carbon_kg) || 0,
+        // Saving against a conventional trip (null for trips without a baseline yet)
+        carbon_avoided_kg: CarbonService.compareWithBaseline(
+          parseFloat(trip.total_carbon_kg) || 0,
+          trip.itinerary?.baseline_carbon
+        ).carbon_avoided_kg,
         total_cost: parseFloat(trip.total_cost) || 0,
         green_score: trip.green_score,
         created_at: trip.created_at,
@@ -101,7 +271,7 @@ router.get(
     const tripId = req.params.id;
     const userId = req.user.id;
 
-    const trip = await Trip.findById(tripId);
+    const trip = await findTrip(tripId);
 
     if (!trip) {
       return res.status(404).json({
@@ -121,7 +291,23 @@ router.get(
     // Transform itinerary format for frontend compatibility
     // Frontend expects itinerary to be an array of days
     const itinerary = trip.itinerary?.days || trip.itinerary || [];
-    
+
+    // Emission factor set the trip's carbon figures were calculated with
+    const factorSet = trip.factor_set_id ? await EmissionFactorSet.findById(trip.factor_set_id) : null;
+
+    // Stored carbon figures are for the whole party
+    const { travellers } = CarbonService.getParty(trip);
+    const carbonBreakdown = {
+      transport: trip.itinerary?.transport_carbon || 0,
+      accommodation: trip.itinerary?.accommodation_carbon || 0,
+      activities: trip.itinerary?.activities_carbon || 0,
+      travel_to_destination: trip.itinerary?.travel_to_destination_carbon || 0,
+      total: parseFloat(trip.total_carbon_kg) || 0,
+    };
+
+    // Offsets recorded against the trip
+    const offsetKg = await TripOffset.getTripTotal(trip.id);
+
     res.json({
       id: trip.id,
       destination: trip.destination,
@@ -132,16 +318,636 @@ router.get(
       travel_style: trip.travel_style,
       accommodation_preference: trip.accommodation_preference,
       transport_preference: trip.transport_preference,
+      origin: trip.origin,
+      origin_transport_mode: trip.origin_transport_mode,
+      origin_distance_km: parseFloat(trip.origin_distance_km) || 0,
+      adults: trip.adults,
+      children: trip.children,
+      rooms: trip.rooms,
       itinerary: itinerary,
-      total_carbon_kg: parseFloat(trip.total_carbon_kg) || 0,
+      total_carbon_kg: carbonBreakdown.total,
+      transport_carbon: carbonBreakdown.transport,
+      accommodation_carbon: carbonBreakdown.accommodation,
+      activities_carbon: carbonBreakdown.activities,
+      travel_to_destination_carbon: carbonBreakdown.travel_to_destination,
+      carbon_per_person: CarbonService.getPerPersonBreakdown(carbonBreakdown, travellers),
+      // How confident the figures are (null for trips calculated before ranges were added)
+      carbon_uncertainty: trip.itinerary?.carbon_uncertainty || null,
+      offset_kg: offsetKg,
+      net_carbon_kg: OffsetService.getNetCarbon(carbonBreakdown.total, offsetKg),
+      // Comparison with a conventional trip (standard hotel, car/flight)
+      baseline_carbon: trip.itinerary?.baseline_carbon || null,
+      ...CarbonService.compareWithBaseline(carbonBreakdown.total, trip.itinerary?.baseline_carbon),
+      factor_set: factorSet
+        ? { id: factorSet.id, name: factorSet.name, effective_from: factorSet.effective_from }
+        : null,
       total_cost: parseFloat(trip.total_cost) || 0,
       green_score: trip.green_score,
+      green_score_explanation: trip.itinerary?.green_score_explanation || null,
+      carbon_target: trip.itinerary?.carbon_target || null,
+      // Whether the sample itinerary was used because AI generation failed
+      demo_fallback: !!trip.itinerary?.generation?.demo_fallback,
+      generation: trip.itinerary?.generation || null,
       created_at: trip.created_at,
       updated_at: trip.updated_at,
     });
   })
 );
 
+/**
+ * GET /api/trips/:id/budget
+ * Compare the trip budget and estimated cost with logged expenses
+ */
+router.get(
+  '/:id/budget',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const tripId = req.params.id;
+    const userId = req.user.id;
+
+    const trip = await findTrip(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip (or is admin)
+    if (trip.user_id !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this trip',
+      });
+    }
+
+    const expenses = await Expense.findByTripId(trip.id);
+
+    res.json({
+      trip_id: trip.id,
+      ...BudgetService.reconcileTrip(trip, expenses),
+    });
+  })
+);
+
+/**
+ * GET /api/trips/:id/offsets
+ * Get a trip's recorded offsets, net emissions and what offsetting the rest would cost
+ */
+router.get(
+  '/:id/offsets',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const tripId = req.params.id;
+    const userId = req.user.id;
+
+    const trip = await findTrip(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip (or is admin)
+    if (trip.user_id !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this trip',
+      });
+    }
+
+    const offsets = await TripOffset.findByTripId(trip.id);
+    const providers = await OffsetProvider.findAll({ activeOnly: true });
+
+    res.json({
+      trip_id: trip.id,
+      ...OffsetService.summariseTrip(trip, offsets, providers),
+      offsets,
+    });
+  })
+);
+
+/**
+ * POST /api/trips/:id/offsets
+ * Record an offset purchased for a trip
+ */
+router.post(
+  '/:id/offsets',
+  authenticate,
+  validate(tripOffsetSchema),
+  asyncHandler(async (req, res) => {
+    const tripId = req.params.id;
+    const userId = req.user.id;
+    const { provider_id, amount_kg, cost, certificate_reference, offset_date } = req.body;
+
+    const trip = await findTrip(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip (or is admin)
+    if (trip.user_id !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this trip',
+      });
+    }
+
+    const provider = await OffsetProvider.findById(provider_id);
+    if (!provider || !provider.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offset provider not found',
+      });
+    }
+
+    const offset = await TripOffset.create({
+      tripId: trip.id,
+      providerId: provider.id,
+      providerName: provider.name,
+      amountKg: amount_kg,
+      // Default to the provider's current price for the amount
+      cost: cost ?? OffsetService.estimateCost(amount_kg, provider),
+      certificateReference: certificate_reference || null,
+      offsetDate: offset_date || null,
+    });
+
+    const offsetKg = await TripOffset.getTripTotal(trip.id);
+    const grossKg = parseFloat(trip.total_carbon_kg) || 0;
+
+    res.status(201).json({
+      success: true,
+      message: 'Offset recorded successfully',
+      offset,
+      offset_kg: offsetKg,
+      net_carbon_kg: OffsetService.getNetCarbon(grossKg, offsetKg),
+    });
+  })
+);
+
+/**
+ * DELETE /api/trips/:id/offsets/:offsetId
+ * Remove an offset recorded for a trip
+ */
+router.delete(
+  '/:id/offsets/:offsetId',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const tripId = req.params.id;
+    const userId = req.user.id;
+
+    const trip = await findTrip(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip (or is admin)
+    if (trip.user_id !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this trip',
+      });
+    }
+
+    const offset = await TripOffset.findById(req.params.offsetId);
+    if (!offset || offset.trip_id !== trip.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offset not found',
+      });
+    }
+
+    await TripOffset.delete(offset.id);
+
+    const offsetKg = await TripOffset.getTripTotal(trip.id);
+    const grossKg = parseFloat(trip.total_carbon_kg) || 0;
+
+    res.json({
+      success: true,
+      message: 'Offset deleted successfully',
+      offset_kg: offsetKg,
+      net_carbon_kg: OffsetService.getNetCarbon(grossKg, offsetKg),
+    });
+  })
+);
+
+/**
+ * GET /api/trips/:id/activities/:activityId/alternatives
+ * Lower-carbon transport options and replacement activities for one activity
+ * Waits for the AI; the planner queues the same lookup as a job instead (see below)
+ */
+router.get(
+  '/:id/activities/:activityId/alternatives',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const tripId = req.params.id;
+    const userId = req.user.id;
+
+    const trip = await findTrip(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip (or is admin)
+    if (trip.user_id !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this trip',
+      });
+    }
+
+    const alternatives = await itineraryService.getActivityAlternatives(trip, req.params.activityId);
+
+    if (!alternatives) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found',
+      });
+    }
+
+    res.json({
+      trip_id: trip.id,
+      ...alternatives,
+    });
+  })
+);
+
+/**
+ * POST /api/trips/:id/activities/:activityId/alternatives/jobs
+ * Queue a lookup of lower-carbon options for an activity (greener transport
+ * and AI-suggested replacements); the job's result holds the options
+ */
+router.post(
+  '/:id/activities/:activityId/alternatives/jobs',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const tripId = req.params.id;
+    const userId = req.user.id;
+
+    const trip = await findTrip(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip (or is admin)
+    if (trip.user_id !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this trip',
+      });
+    }
+
+    if (!itineraryService.findActivity(trip.itinerary, req.params.activityId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found',
+      });
+    }
+
+    const job = await jobQueueService.enqueue('eco_alternatives', {
+      userId,
+      payload: { trip_id: trip.id, activity_id: req.params.activityId },
+    });
+
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      status: job.status,
+    });
+  })
+);
+
+/**
+ * POST /api/trips/:id/activities/:activityId/alternatives
+ * Apply a chosen alternative to an activity and recalculate the trip's totals
+ */
+router.post(
+  '/:id/activities/:activityId/alternatives',
+  authenticate,
+  validate(activityAlternativeSchema),
+  asyncHandler(async (req, res) => {
+    const tripId = req.params.id;
+    const userId = req.user.id;
+
+    const trip = await findTrip(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip
+    if (trip.user_id !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this trip',
+      });
+    }
+
+    const result = await saveItineraryEdits(
+      trip,
+      itineraryService.activityAlternativeEdits(req.params.activityId, req.body)
+    );
+
+    res.json({
+      success: true,
+      message: 'Alternative applied successfully',
+      activity: itineraryService.findActivity(result.itinerary, req.params.activityId).activity,
+      total_carbon_kg: result.total_carbon_kg,
+      total_cost: result.total_cost,
+      green_score: result.green_score,
+      carbon_breakdown: result.carbon_breakdown,
+      ...CarbonService.compareWithBaseline(result.total_carbon_kg, result.baseline_carbon),
+    });
+  })
+);
+
+/**
+ * POST /api/trips/:id/days/:day/activities
+ * Add an activity to a day (appended unless a position is given)
+ */
+router.post(
+  '/:id/days/:day/activities',
+  authenticate,
+  validate(addActivitySchema),
+  asyncHandler(async (req, res) => {
+    await editItinerary(req, res, [{
+      op: 'add_activity',
+      day: req.params.day,
+      activity: req.body.activity,
+      position: req.body.position,
+    }]);
+  })
+);
+
+/**
+ * PUT /api/trips/:id/days/:day/activities/order
+ * Reorder a day's activities (the day's time slots stay in place)
+ */
+router.put(
+  '/:id/days/:day/activities/order',
+  authenticate,
+  validate(reorderActivitiesSchema),
+  asyncHandler(async (req, res) => {
+    await editItinerary(req, res, [{
+      op: 'reorder_activities',
+      day: req.params.day,
+      activity_ids: req.body.activity_ids,
+    }]);
+  })
+);
+
+/**
+ * PUT /api/trips/:id/days/:day/transport
+ * Change the transport mode for every leg of a day
+ */
+router.put(
+  '/:id/days/:day/transport',
+  authenticate,
+  validate(dayTransportSchema),
+  asyncHandler(async (req, res) => {
+    await editItinerary(req, res, [{
+      op: 'set_day_transport',
+      day: req.params.day,
+      transport_mode: req.body.transport_mode,
+    }]);
+  })
+);
+
+/**
+ * POST /api/trips/:id/activities/:activityId/move
+ * Move an activity to another day (or another position on the same day)
+ */
+router.post(
+  '/:id/activities/:activityId/move',
+  authenticate,
+  validate(moveActivitySchema),
+  asyncHandler(async (req, res) => {
+    await editItinerary(req, res, [{
+      op: 'move_activity',
+      activity_id: req.params.activityId,
+      to_day: req.body.to_day,
+      position: req.body.position,
+    }]);
+  })
+);
+
+/**
+ * DELETE /api/trips/:id/activities/:activityId
+ * Remove an activity from the itinerary
+ */
+router.delete(
+  '/:id/activities/:activityId',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    await editItinerary(req, res, [{
+      op: 'remove_activity',
+      activity_id: req.params.activityId,
+    }]);
+  })
+);
+
+/**
+ * POST /api/trips/:id/days/:day/regenerate
+ * Replace a day's plan with a new AI-generated one (optionally following instructions)
+ */
+router.post(
+  '/:id/days/:day/regenerate',
+  authenticate,
+  regenerationLimiter,
+  validate(regenerateSchema),
+  asyncHandler(async (req, res) => {
+    await editItinerary(req, res, (trip) =>
+      itineraryService.regenerateDay(trip, req.params.day, req.body.instructions)
+    );
+  })
+);
+
+/**
+ * POST /api/trips/:id/activities/:activityId/regenerate
+ * Replace an activity with a new AI suggestion in the same time slot
+ */
+router.post(
+  '/:id/activities/:activityId/regenerate',
+  authenticate,
+  regenerationLimiter,
+  validate(regenerateSchema),
+  asyncHandler(async (req, res) => {
+    await editItinerary(req, res, (trip) =>
+      itineraryService.regenerateActivity(trip, req.params.activityId, req.body.instructions)
+    );
+  })
+);
+
+/**
+ * GET /api/trips/:id/chat
+ * Get the trip refinement conversation
+ */
+router.get(
+  '/:id/chat',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const trip = await findTrip(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip
+    if (trip.user_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this trip',
+      });
+    }
+
+    const messages = await TripMessage.findByTripId(trip.id);
+
+    res.json({
+      success: true,
+      messages,
+    });
+  })
+);
+
+/**
+ * POST /api/trips/:id/chat
+ * Send a natural-language edit (e.g. "swap day 2's museum for something outdoors");
+ * the AI's edit operations are validated, applied and the trip recalculated
+ */
+router.post(
+  '/:id/chat',
+  authenticate,
+  tripChatLimiter,
+  validate(tripChatSchema),
+  asyncHandler(async (req, res) => {
+    const trip = await findTrip(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip
+    if (trip.user_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this trip',
+      });
+    }
+
+    const history = await TripMessage.findByTripId(trip.id, { limit: CHAT_HISTORY_LIMIT });
+    const suggestion = await openaiService.refineItinerary(trip, history, req.body.message);
+
+    if (!suggestion) {
+      return res.status(502).json({
+        success: false,
+        message: 'The assistant is unavailable right now, please try again',
+      });
+    }
+
+    // Edits are applied all together or not at all
+    let { edits, rejected } = itineraryService.validateItineraryEdits(suggestion.edits);
+    let reply = suggestion.reply;
+    let result = null;
+
+    if (edits.length > 0) {
+      try {
+        result = await saveItineraryEdits(trip, edits);
+      } catch (error) {
+        // Edits that don't fit the itinerary (e.g. an unknown activity) - tell the user instead
+        if (!error.statusCode || error.statusCode >= 500) {
+          throw error;
+        }
+        rejected = [...rejected, ...edits.map(edit => ({ edit, message: error.message }))];
+        edits = [];
+        reply = `${reply}\n\nI couldn't make those changes to your itinerary (${error.message}), so nothing was changed.`;
+      }
+    }
+
+    const userMessage = await TripMessage.create({
+      tripId: trip.id,
+      userId: req.user.id,
+      role: 'user',
+      content: req.body.message,
+    });
+    const assistantMessage = await TripMessage.create({
+      tripId: trip.id,
+      role: 'assistant',
+      content: reply,
+      edits,
+    });
+
+    res.json({
+      success: true,
+      messages: [userMessage, assistantMessage],
+      edits_applied: edits,
+      edits_rejected: rejected,
+      ...(result && itineraryEditResponse(result)),
+    });
+  })
+);
+
+/**
+ * DELETE /api/trips/:id/chat
+ * Clear the trip refinement conversation (the itinerary is left as it is)
+ */
+router.delete(
+  '/:id/chat',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const trip = await findTrip(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+      });
+    }
+
+    // Check if user owns this trip
+    if (trip.user_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this trip',
+      });
+    }
+
+    await TripMessage.deleteByTripId(trip.id);
+
+    res.json({
+      success: true,
+      message: 'Conversation cleared',
+    });
+  })
+);
+
 /**
  * DELETE /api/trips/:id
  * Delete a trip
@@ -153,7 +959,7 @@ router.delete(
     const tripId = req.params.id;
     const userId = req.user.id;
 
-    const trip = await Trip.findById(tripId);
+    const trip = await findTrip(tripId);
 
     if (!trip) {
       return res.status(404).json({
@@ -170,7 +976,7 @@ router.delete(
       });
     }
 
-    await Trip.delete(tripId);
+    await Trip.delete(trip.id);
 
     res.json({
       success: true,
@@ -181,17 +987,18 @@ router.delete(
 
 /**
  * PUT /api/trips/:id
- * Update a trip (e.g., modify itinerary)
+ * Update a trip's details (the itinerary is edited through the endpoints above)
  */
 router.put(
   '/:id',
   authenticate,
+  validate(tripUpdateSchema),
   asyncHandler(async (req, res) => {
     const tripId = req.params.id;
     const userId = req.user.id;
-    const updates = req.body;
+    const { budget, interests, travel_style, transport_preference } = req.body;
 
-    const trip = await Trip.findById(tripId);
+    const trip = await findTrip(tripId);
 
     if (!trip) {
       return res.status(404).json({
@@ -209,7 +1016,12 @@ router.put(
     }
 
     // Update trip
-    const updatedTrip = await Trip.update(tripId, updates);
+    const updatedTrip = await Trip.update(trip.id, {
+      budget,
+      interests,
+      travelStyle: travel_style,
+      transportPreference: transport_preference,
+    });
 
     res.json({
       success: true,
@@ -2,6 +2,7 @@ import app from './app.js';
 import config from './config/env.js';
 import pool from './config/database.js';
 import logger from './utils/logger.js';
+import jobQueueService from './services/jobQueueService.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -24,6 +25,10 @@ const startServer = async () => {
     await pool.query('SELECT NOW()');
     logger.info('✓ Database connection established');
 
+    // Start the background job worker (picks up jobs left by the last run)
+    await jobQueueService.start();
+    logger.info('✓ Job worker started');
+
     // Start listening
     const PORT = config.port;
     app.listen(PORT, () => {
@@ -43,6 +48,9 @@ const startServer = async () => {
         logger.info('  POST   /api/trips/generate');
         logger.info('  GET    /api/trips');
         logger.info('  GET    /api/trips/:id');
+        logger.info('  GET    /api/expenses/:tripId');
+        logger.info('  POST   /api/expenses');
+        logger.info('  GET    /api/jobs/:id');
         logger.info('  GET    /api/stats/dashboard');
         logger.info('  GET    /api/admin/users');
         logger.info('  GET    /api/admin/emission-factors');
@@ -62,6 +70,10 @@ const gracefulShutdown = async (signal) => {
   logger.info(`\n${signal} received. Starting graceful shutdown...`);
   
   try {
+    // Let running jobs finish (or requeue them) while the database is still open
+    await jobQueueService.stop();
+    logger.info('✓ Job worker stopped');
+
     // Close database connection
     await pool.end();
     logger.info('✓ Database connection closed');
@@ -0,0 +1,177 @@
+import itineraryService from './itineraryService.js';
+import { EXPENSE_CATEGORIES } from '../utils/validators.js';
+import { getActivityExpenseCategory } from '../utils/activityTaxonomy.js';
+import { differenceInDays } from 'date-fns';
+
+// Warn once actual spending reaches this share of the budget
+const BUDGET_WARNING_THRESHOLD = 0.9;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Budget Reconciliation Service
+ * Compares a trip's budget and AI-estimated cost with logged expenses
+ */
+class BudgetService {
+  /**
+   * Reconcile a trip's budget against its logged expenses
+   * @param {Object} trip - Trip row from the database
+   * @param {Array} expenses - Expense rows for the trip
+   * @returns {Object} Budget vs actual breakdown with warnings
+   */
+  static reconcileTrip(trip, expenses) {
+    const budget = parseFloat(trip.budget) || 0;
+    const estimatedTotal = parseFloat(trip.total_cost) || 0;
+    const days = trip.itinerary?.days || [];
+
+    const actualTotal = round(
+      expenses.reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0)
+    );
+
+    const byDay = this.buildDailyBreakdown(trip, days, expenses);
+    const byCategory = this.buildCategoryBreakdown(days, expenses);
+
+    // Expenses dated outside the trip (e.g. bookings made in advance)
+    const outsideTrip = expenses.filter(e => this.getTripDayNumber(trip, e.expense_date) === null);
+
+    const summary = {
+      budget,
+      estimated_total: estimatedTotal,
+      actual_total: actualTotal,
+      remaining_budget: round(budget - actualTotal),
+      budget_used_percent: budget > 0 ? Math.round((actualTotal / budget) * 100) : null,
+      variance_vs_estimate: round(actualTotal - estimatedTotal),
+    };
+
+    return {
+      ...summary,
+      by_day: byDay,
+      by_category: byCategory,
+      outside_trip_dates: {
+        actual: round(outsideTrip.reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0)),
+        count: outsideTrip.length,
+      },
+      warnings: this.buildWarnings(summary, byDay, byCategory),
+    };
+  }
+
+  /**
+   * Get the 1-based trip day an expense date falls on (null if outside the trip)
+   */
+  static getTripDayNumber(trip, expenseDate) {
+    const dayNumber = differenceInDays(new Date(expenseDate), new Date(trip.start_date)) + 1;
+    const tripDays = differenceInDays(new Date(trip.end_date), new Date(trip.start_date)) + 1;
+
+    if (dayNumber < 1 || dayNumber > tripDays) {
+      return null;
+    }
+    return dayNumber;
+  }
+
+  /**
+   * Estimated vs actual spend for each itinerary day
+   */
+  static buildDailyBreakdown(trip, days, expenses) {
+    const actualByDay = {};
+    for (const expense of expenses) {
+      const dayNumber = this.getTripDayNumber(trip, expense.expense_date);
+      if (dayNumber !== null) {
+        actualByDay[dayNumber] = (actualByDay[dayNumber] || 0) + (parseFloat(expense.amount) || 0);
+      }
+    }
+
+    return days.map((day, index) => {
+      const dayNumber = day.day || index + 1;
+      const estimated = itineraryService.calculateDayCost(day);
+      const actual = round(actualByDay[dayNumber] || 0);
+
+      return {
+        day: dayNumber,
+        date: day.date,
+        estimated,
+        actual,
+        variance: round(actual - estimated),
+        over_estimate: estimated > 0 && actual > estimated,
+      };
+    });
+  }
+
+  /**
+   * Estimated vs actual spend per expense category
+   * Estimates are only available for categories the itinerary prices directly
+   */
+  static buildCategoryBreakdown(days, expenses) {
+    const estimated = {};
+    for (const day of days) {
+      for (const activity of day.activities || []) {
+        const category = getActivityExpenseCategory(activity.type);
+        const cost = activity.estimated_cost || activity.cost || 0;
+        estimated[category] = (estimated[category] || 0) + cost;
+      }
+    }
+
+    const actual = {};
+    for (const expense of expenses) {
+      actual[expense.category] = (actual[expense.category] || 0) + (parseFloat(expense.amount) || 0);
+    }
+
+    return EXPENSE_CATEGORIES.map(category => {
+      const categoryEstimate = estimated[category] !== undefined ? round(estimated[category]) : null;
+      const categoryActual = round(actual[category] || 0);
+
+      return {
+        category,
+        estimated: categoryEstimate,
+        actual: categoryActual,
+        variance: categoryEstimate !== null ? round(categoryActual - categoryEstimate) : null,
+        over_estimate: categoryEstimate !== null && categoryEstimate > 0 && categoryActual > categoryEstimate,
+      };
+    });
+  }
+
+  /**
+   * Build human-readable overspend warnings
+   */
+  static buildWarnings(summary, byDay, byCategory) {
+    const warnings = [];
+
+    if (summary.budget > 0 && summary.actual_total > summary.budget) {
+      warnings.push({
+        type: 'over_budget',
+        message: `Spending is £${round(summary.actual_total - summary.budget)} over the £${summary.budget} budget`,
+      });
+    } else if (summary.budget > 0 && summary.actual_total >= summary.budget * BUDGET_WARNING_THRESHOLD) {
+      warnings.push({
+        type: 'approaching_budget',
+        message: `${summary.budget_used_percent}% of the budget has been spent`,
+      });
+    }
+
+    if (summary.estimated_total > 0 && summary.actual_total > summary.estimated_total) {
+      warnings.push({
+        type: 'over_estimate',
+        message: `Spending is £${summary.variance_vs_estimate} above the estimated trip cost`,
+      });
+    }
+
+    for (const day of byDay.filter(d => d.over_estimate)) {
+      warnings.push({
+        type: 'day_over_estimate',
+        day: day.day,
+        message: `Day ${day.day} spending is £${day.variance} above its estimate`,
+      });
+    }
+
+    for (const category of byCategory.filter(c => c.over_estimate)) {
+      warnings.push({
+        type: 'category_over_estimate',
+        category: category.category,
+        message: `${category.category} spending is £${category.variance} above its estimate`,
+      });
+    }
+
+    return warnings;
+  }
+}
+
+export default BudgetService;
@@ -1,256 +1,891 @@
 import EmissionFactor from '../models/EmissionFactor.js';
+import EmissionFactorSet from '../models/EmissionFactorSet.js';
+import GreenScoreModel from '../models/GreenScoreModel.js';
+import { getActivitySubCategory, normalizeActivityType } from '../utils/activityTaxonomy.js';
+
+// Used when no Green Score model is active (same as model version 1)
+const DEFAULT_GREEN_SCORE_MODEL = {
+  version: 0,
+  config: {
+    bands: [
+      { label: 'excellent', max_kg_per_day: 5, score_from: 100, score_to: 90 },
+      { label: 'good', max_kg_per_day: 15, score_from: 90, score_to: 50 },
+      { label: 'average', max_kg_per_day: 30, score_from: 50, score_to: 20 },
+      { label: 'high', max_kg_per_day: 50, score_from: 20, score_to: 10 },
+      { label: 'very_high', max_kg_per_day: 100, score_from: 10, score_to: 0 },
+    ],
+    weights: { accommodation: 1, transport: 1, activities: 1, travel_to_destination: 1 },
+    benchmarks: {
+      accommodation_kg_per_night: 20.9,
+      transport_kg_per_day: 3,
+      activities_kg_per_day: 6,
+      travel_to_destination_kg_per_day: 25,
+    },
+  },
+};
+
+// Breakdown components explained alongside the Green Score
+const SCORE_COMPONENTS = ['accommodation', 'transport', 'activities', 'travel_to_destination'];
+
+// Transport factors measured per vehicle-km (shared by everyone on board) and seats per vehicle
+// Every other transport factor is per passenger-km
+const VEHICLE_SEATS = {
+  car: 5,
+  taxi: 4,
+  motorcycle: 2,
+};
+
+// Longest legs suggested as walking or cycling alternatives
+const WALKING_MAX_KM = 2;
+const CYCLING_MAX_KM = 8;
+
+// Average kg CO2 per activity visit, used when an activity has no factor
+// and for the conventional-trip baseline
+const DEFAULT_ACTIVITY_KG = 1.5;
+
+// Conventional-trip baseline: what a typical traveller would do on the same trip
+const BASELINE_ACCOMMODATION = 'hotel_standard';
+const BASELINE_LOCAL_TRANSPORT = 'car_average';
+const BASELINE_MAX_DRIVE_KM = 500; // Further than this, a typical traveller flies
+
+// Relative uncertainty (±) of a value by where its emission factor came from:
+// exact - the factor for exactly this mode/type/activity
+// mapped - a related factor (e.g. 'car' -> car_average, a flight distance band, 'hiking' -> outdoor_activity)
+// fallback - no factor, so a default (average car, standard hotel, average activity) was used
+const DATA_QUALITY_UNCERTAINTY = {
+  exact: 0.1,
+  mapped: 0.25,
+  fallback: 0.5,
+};
+const DATA_QUALITY_ORDER = ['exact', 'mapped', 'fallback'];
+
+const createRange = () => ({ low: 0, high: 0, quality: 'exact', fallbacks: new Set() });
+
+// Add an estimate to a component's range; the component is only as good as its worst value
+const addToRange = (range, estimate, source) => {
+  const uncertainty = DATA_QUALITY_UNCERTAINTY[estimate.quality];
+  range.low += estimate.kg * (1 - uncertainty);
+  range.high += estimate.kg * (1 + uncertainty);
+  if (DATA_QUALITY_ORDER.indexOf(estimate.quality) > DATA_QUALITY_ORDER.indexOf(range.quality)) {
+    range.quality = estimate.quality;
+  }
+  if (estimate.quality === 'fallback') {
+    range.fallbacks.add(source);
+  }
+};
+
+// Round component ranges for output and add a whole-trip total
+const summariseRanges = (ranges) => {
+  const total = createRange();
+  const summary = {};
+  for (const [component, range] of Object.entries(ranges)) {
+    summary[component] = {
+      low: Math.round(range.low * 100) / 100,
+      high: Math.round(range.high * 100) / 100,
+      data_quality: range.quality,
+      fallbacks: [...range.fallbacks],
+    };
+    total.low += range.low;
+    total.high += range.high;
+    if (DATA_QUALITY_ORDER.indexOf(range.quality) > DATA_QUALITY_ORDER.indexOf(total.quality)) {
+      total.quality = range.quality;
+    }
+  }
+  summary.total = {
+    low: Math.round(total.low * 100) / 100,
+    high: Math.round(total.high * 100) / 100,
+    data_quality: total.quality,
+    fallbacks: [...new Set(Object.values(summary).flatMap(component => component.fallbacks))],
+  };
+  return summary;
+};
 
 /**
  * Carbon Emissions Calculation Service
  * Uses DEFRA emission factors to calculate carbon footprint
+ *
+ * Active emission factors (and the active Green Score model) are cached in memory.
+ * Call loadFactors() before the synchronous calculate* methods; admin changes
+ * call invalidateFactorCache(), which reloads the cache in the background.
  */
 class CarbonService {
+  // { defaultSetId, sets: Map<factorSetId, Map<'category:sub_category', factor>>, scoreModel }
+  static factorCache = null;
+  static factorCacheLoading = null;
+  static factorCacheStale = false;
+  // Bumped by every invalidation, so a load that started before one can't store its factors
+  static factorCacheVersion = 0;
+
   /**
-   * Calculate transport emissions
-   * @param {string} mode - Transport mode (e.g., 'car_average', 'train_national')
-   * @param {number} distanceKm - Distance in kilometers
-   * @returns {Promise<number>} Carbon emissions in kg CO2
+   * Load every active emission factor into the cache (no-op if already loaded and current)
+   * @returns {Promise<Object>} The factor cache
    */
-  static async calculateTransportEmissions(mode, distanceKm) {
-    if (!mode || !distanceKm || distanceKm <= 0) {
-      return 0;
+  static async loadFactors() {
+    if (this.factorCache && !this.factorCacheStale) {
+      return this.factorCache;
     }
 
-    try {
-      // Map common transport modes to database sub_categories
-      const modeMap = {
-        'car': 'car_average',
-        'train': 'train_national',
-        'bus': 'bus_local',
-        'flight': 'flight_medium_haul',
-        'taxi': 'taxi_regular',
-        'bicycle': 'bicycle',
-        'walking': 'walking',
-      };
+    // Share one load between concurrent callers
+    if (!this.factorCacheLoading) {
+      const version = this.factorCacheVersion;
+      const loading = (async () => {
+        const [factors, defaultSet, scoreModel] = await Promise.all([
+          EmissionFactor.findAllActive(),
+          EmissionFactorSet.findDefault(),
+          GreenScoreModel.findActive(),
+        ]);
+
+        const sets = new Map();
+        for (const factor of factors) {
+          if (!sets.has(factor.factor_set_id)) {
+            sets.set(factor.factor_set_id, new Map());
+          }
+          sets.get(factor.factor_set_id).set(
+            `${factor.category}:${factor.sub_category}`,
+            parseFloat(factor.factor_kg_per_unit)
+          );
+        }
+
+        const cache = {
+          defaultSetId: defaultSet?.id || null,
+          sets,
+          scoreModel: scoreModel || DEFAULT_GREEN_SCORE_MODEL,
+        };
+
+        // Factors read before a later invalidation may already be out of date
+        if (version === this.factorCacheVersion) {
+          this.factorCache = cache;
+          this.factorCacheStale = false;
+          console.log(`Loaded ${factors.length} emission factors into cache`);
+        }
+        return cache;
+      })().finally(() => {
+        if (this.factorCacheLoading === loading) {
+          this.factorCacheLoading = null;
+        }
+      });
+      this.factorCacheLoading = loading;
+    }
+
+    return await this.factorCacheLoading;
+  }
+
+  /**
+   * Reload the cached factors after emission factors, factor sets or Green Score models change
+   * The last loaded cache stays in use until the new one is ready, so calculations
+   * already under way don't fail part-way through
+   */
+  static invalidateFactorCache() {
+    this.factorCacheVersion++;
+    this.factorCacheLoading = null; // A load already running may have read the old factors
+    this.factorCacheStale = true;
+
+    this.loadFactors().catch(error => console.error('Failed to reload emission factors:', error));
+  }
+
+  /**
+   * Look up a cached emission factor
+   * @param {string} category - 'transport', 'accommodation' or 'activity'
+   * @param {string} subCategory - Factor sub_category
+   * @param {number} [factorSetId] - Emission factor set (defaults to the active default set)
+   * @returns {number|null} kg CO2 per unit, or null if there is no active factor
+   */
+  static getFactor(category, subCategory, factorSetId = null) {
+    if (!this.factorCache) {
+      throw new Error('Emission factors not loaded - call CarbonService.loadFactors() first');
+    }
+
+    const setId = factorSetId || this.factorCache.defaultSetId;
+    const factor = this.factorCache.sets.get(setId)?.get(`${category}:${subCategory}`);
+    return factor !== undefined ? factor : null;
+  }
+
+  /**
+   * Map an itinerary transport mode to a transport sub_category
+   * @param {string} mode - Transport mode (e.g., 'car', 'train') or a sub_category
+   * @returns {string} Transport sub_category
+   */
+  static getTransportSubCategory(mode) {
+    // Map common transport modes to database sub_categories
+    const modeMap = {
+      'car': 'car_average',
+      'train': 'train_national',
+      'bus': 'bus_local',
+      'flight': 'flight_medium_haul',
+      'taxi': 'taxi_regular',
+      'bicycle': 'bicycle',
+      'walking': 'walking',
+    };
+
+    return modeMap[mode.toLowerCase()] || mode;
+  }
+
+  /**
+   * Seats per vehicle for transport factors measured per vehicle-km
+   * @param {string} subCategory - Transport sub_category (e.g., 'car_average', 'taxi_regular')
+   * @returns {number|null} Seats, or null for per-passenger factors (train, bus, flight...)
+   */
+  static getVehicleSeats(subCategory) {
+    const vehicle = subCategory.split('_')[0];
+    return VEHICLE_SEATS[vehicle] || null;
+  }
+
+  /**
+   * Read the travelling party from trip data (a single traveller if not given)
+   * @returns {Object} { adults, children, travellers, rooms }
+   */
+  static getParty(tripData = {}) {
+    const adults = tripData.adults || 1;
+    const children = tripData.children || 0;
+    return {
+      adults,
+      children,
+      travellers: adults + children,
+      rooms: tripData.rooms || 1,
+    };
+  }
+
+  /**
+   * Divide a group breakdown between the travellers
+   * @param {Object} emissions - Group breakdown from calculateTripEmissions
+   * @param {number} travellers - Number of people in the party
+   * @returns {Object} Per-person breakdown
+   */
+  static getPerPersonBreakdown(emissions, travellers = 1) {
+    const perPerson = {};
+    for (const key of [...SCORE_COMPONENTS, 'total']) {
+      perPerson[key] = Math.round(((emissions[key] || 0) / travellers) * 100) / 100;
+    }
+    return perPerson;
+  }
+
+  /**
+   * Map an origin transport mode and distance to a transport sub_category
+   * Flights use distance bands, everything else maps to a single factor
+   */
+  static getTravelToDestinationSubCategory(mode, distanceKm) {
+    if (!mode || mode === 'flight') {
+      return distanceKm > 3700
+        ? 'flight_long_haul'
+        : distanceKm > 500
+          ? 'flight_medium_haul'
+          : 'flight_short_haul';
+    }
+    if (mode === 'car') {
+      return 'car_average';
+    }
+    return mode;
+  }
 
-      const subCategory = modeMap[mode.toLowerCase()] || mode;
-      const factor = await EmissionFactor.findByCategoryAndSubCategory('transport', subCategory);
+  /**
+   * List the emission factors a trip's calculation depends on
+   * @param {Object} tripData - Same shape as calculateTripEmissions input
+   * @returns {Set<string>} Keys in the form 'category:sub_category'
+   */
+  static getTripFactorKeys(tripData) {
+    const keys = new Set();
 
-      if (!factor) {
-        console.warn(`No emission factor found for transport mode: ${mode}, using default`);
-        // Default to average car if not found
-        const defaultFactor = await EmissionFactor.findByCategoryAndSubCategory('transport', 'car_average');
-        return defaultFactor ? distanceKm * parseFloat(defaultFactor.factor_kg_per_unit) : distanceKm * 0.171;
+    if (tripData.accommodation_preference && tripData.nights) {
+      keys.add(`accommodation:${tripData.accommodation_preference}`);
+    }
+
+    for (const day of tripData.itinerary?.days || []) {
+      for (const activity of day.activities || []) {
+        const activityType = activity.type || activity.category;
+        if (activityType) {
+          keys.add(`activity:${getActivitySubCategory(activityType) || activityType}`);
+        }
+        if (activity.transport_distance_km && activity.transport_mode) {
+          keys.add(`transport:${this.getTransportSubCategory(activity.transport_mode)}`);
+        }
       }
+    }
 
-      return distanceKm * parseFloat(factor.factor_kg_per_unit);
-    } catch (error) {
-      console.error('Error calculating transport emissions:', error);
-      return 0;
+    if (tripData.destination_distance_km > 0) {
+      const subCategory = this.getTravelToDestinationSubCategory(
+        tripData.origin_transport_mode,
+        tripData.destination_distance_km
+      );
+      keys.add(`transport:${subCategory}`);
     }
+
+    return keys;
   }
 
   /**
-   * Calculate accommodation emissions
+   * Estimate transport emissions, recording where the factor came from
+   * Cars, taxis and motorcycles are shared: the party pays for each vehicle it fills,
+   * not for each passenger. Other modes are charged per passenger.
+   * @param {string} mode - Transport mode (e.g., 'car', 'train') or a sub_category (e.g., 'train_national')
+   * @param {number} distanceKm - Distance in kilometers
+   * @param {number} [factorSetId] - Emission factor set (defaults to the active default set)
+   * @param {number} [travellers] - Number of people travelling together
+   * @returns {Object} { kg, quality, subCategory } - kg CO2 for the whole party; quality is
+   *   'exact', 'mapped' or 'fallback' (see DATA_QUALITY_UNCERTAINTY)
+   */
+  static estimateTransport(mode, distanceKm, factorSetId = null, travellers = 1) {
+    if (!mode || !distanceKm || distanceKm <= 0) {
+      return { kg: 0, quality: 'exact', subCategory: null };
+    }
+
+    let subCategory = this.getTransportSubCategory(mode);
+    let factor = this.getFactor('transport', subCategory, factorSetId);
+    let quality = subCategory === mode ? 'exact' : 'mapped';
+
+    if (factor === null) {
+      // Default to average car if not found
+      subCategory = 'car_average';
+      const defaultFactor = this.getFactor('transport', subCategory, factorSetId);
+      factor = defaultFactor !== null ? defaultFactor : 0.171;
+      quality = 'fallback';
+    }
+
+    const seats = this.getVehicleSeats(subCategory);
+    const units = seats ? Math.ceil(travellers / seats) : travellers;
+
+    return { kg: distanceKm * factor * units, quality, subCategory };
+  }
+
+  /**
+   * Calculate transport emissions
+   * @returns {number} Carbon emissions in kg CO2 for the whole party (see estimateTransport)
+   */
+  static calculateTransportEmissions(mode, distanceKm, factorSetId = null, travellers = 1) {
+    return this.estimateTransport(mode, distanceKm, factorSetId, travellers).kg;
+  }
+
+  /**
+   * Estimate accommodation emissions, recording where the factor came from
    * @param {string} type - Accommodation type (e.g., 'hotel_standard', 'hostel')
    * @param {number} nights - Number of nights
-   * @returns {Promise<number>} Carbon emissions in kg CO2
+   * @param {number} [factorSetId] - Emission factor set (defaults to the active default set)
+   * @param {number} [rooms] - Number of rooms (factors are per room-night)
+   * @returns {Object} { kg, quality, subCategory }
    */
-  static async calculateAccommodationEmissions(type, nights) {
+  static estimateAccommodation(type, nights, factorSetId = null, rooms = 1) {
     if (!type || !nights || nights <= 0) {
-      return 0;
+      return { kg: 0, quality: 'exact', subCategory: null };
     }
 
-    try {
-      const factor = await EmissionFactor.findByCategoryAndSubCategory('accommodation', type);
-
-      if (!factor) {
-        console.warn(`No emission factor found for accommodation type: ${type}, using default`);
-        // Default to standard hotel if not found
-        const defaultFactor = await EmissionFactor.findByCategoryAndSubCategory('accommodation', 'hotel_standard');
-        return defaultFactor ? nights * parseFloat(defaultFactor.factor_kg_per_unit) : nights * 20.9;
-      }
+    const factor = this.getFactor('accommodation', type, factorSetId);
 
-      return nights * parseFloat(factor.factor_kg_per_unit);
-    } catch (error) {
-      console.error('Error calculating accommodation emissions:', error);
-      return 0;
+    if (factor === null) {
+      // Default to standard hotel if not found
+      const defaultFactor = this.getFactor('accommodation', 'hotel_standard', factorSetId);
+      return {
+        kg: nights * rooms * (defaultFactor !== null ? defaultFactor : 20.9),
+        quality: 'fallback',
+        subCategory: 'hotel_standard',
+      };
     }
+
+    return { kg: nights * rooms * factor, quality: 'exact', subCategory: type };
   }
 
   /**
-   * Calculate activity emissions
-   * @param {string} activityType - Activity type (e.g., 'museum_indoor', 'restaurant_meal')
+   * Calculate accommodation emissions
+   * @returns {number} Carbon emissions in kg CO2 (see estimateAccommodation)
+   */
+  static calculateAccommodationEmissions(type, nights, factorSetId = null, rooms = 1) {
+    return this.estimateAccommodation(type, nights, factorSetId, rooms).kg;
+  }
+
+  /**
+   * Estimate activity emissions, recording where the factor came from
+   * @param {string} activityType - Activity type from the shared taxonomy (e.g., 'museum', 'hiking')
+   *   or an activity sub_category (e.g., 'museum_indoor')
    * @param {number} count - Number of activities/visits
-   * @returns {Promise<number>} Carbon emissions in kg CO2
+   * @param {number} [factorSetId] - Emission factor set (defaults to the active default set)
+   * @returns {Object} { kg, quality, subCategory }
    */
-  static async calculateActivityEmissions(activityType, count = 1) {
+  static estimateActivity(activityType, count = 1, factorSetId = null) {
     if (!activityType || count <= 0) {
-      return 0;
+      return { kg: 0, quality: 'exact', subCategory: null };
     }
 
-    try {
-      // Map common activities to database sub_categories
-      const activityMap = {
-        'museum': 'museum_indoor',
-        'restaurant': 'restaurant_meal',
-        'cafe': 'cafe_snack',
-        'shopping': 'shopping_mall',
-        'hiking': 'outdoor_activity',
-        'tour': 'tour_guided',
-        'outdoor': 'outdoor_activity',
-      };
+    // Map taxonomy activity types to database sub_categories
+    const subCategory = getActivitySubCategory(activityType) || activityType;
+    const factor = this.getFactor('activity', subCategory, factorSetId);
 
-      const subCategory = activityMap[activityType.toLowerCase()] || activityType;
-      const factor = await EmissionFactor.findByCategoryAndSubCategory('activity', subCategory);
+    if (factor === null) {
+      // Default to average activity emissions
+      return { kg: count * DEFAULT_ACTIVITY_KG, quality: 'fallback', subCategory: null };
+    }
 
-      if (!factor) {
-        console.warn(`No emission factor found for activity: ${activityType}, using default`);
-        // Default to generic outdoor activity
-        return count * 1.5; // Average activity emissions
-      }
+    return {
+      kg: count * factor,
+      quality: subCategory === activityType ? 'exact' : 'mapped',
+      subCategory,
+    };
+  }
 
-      return count * parseFloat(factor.factor_kg_per_unit);
-    } catch (error) {
-      console.error('Error calculating activity emissions:', error);
-      return 0;
+  /**
+   * Calculate activity emissions
+   * @returns {number} Carbon emissions in kg CO2 (see estimateActivity)
+   */
+  static calculateActivityEmissions(activityType, count = 1, factorSetId = null) {
+    return this.estimateActivity(activityType, count, factorSetId).kg;
+  }
+
+  /**
+   * Estimate emissions for getting to the destination and back
+   * @param {string} mode - Origin transport mode ('flight', 'train_international', 'bus_coach', 'ferry_foot', 'car')
+   * @param {number} distanceKm - One-way distance from origin to destination in kilometers
+   * @param {number} [factorSetId] - Emission factor set (defaults to the active default set)
+   * @param {number} [travellers] - Number of people travelling together
+   * @returns {Object} { kg, quality, subCategory } - round-trip kg CO2 for the whole party
+   */
+  static estimateTravelToDestination(mode, distanceKm, factorSetId = null, travellers = 1) {
+    if (!distanceKm || distanceKm <= 0) {
+      return { kg: 0, quality: 'exact', subCategory: null };
     }
+
+    const subCategory = this.getTravelToDestinationSubCategory(mode, distanceKm);
+    const roundTripDistance = distanceKm * 2;
+    const estimate = this.estimateTransport(subCategory, roundTripDistance, factorSetId, travellers);
+
+    // Flight distance bands and 'car' are mapped onto a factor
+    if (estimate.quality === 'exact' && subCategory !== mode) {
+      estimate.quality = 'mapped';
+    }
+    return estimate;
+  }
+
+  /**
+   * Calculate emissions for getting to the destination and back
+   * @returns {number} Round-trip carbon emissions in kg CO2 (see estimateTravelToDestination)
+   */
+  static calculateTravelToDestinationEmissions(mode, distanceKm, factorSetId = null, travellers = 1) {
+    return this.estimateTravelToDestination(mode, distanceKm, factorSetId, travellers).kg;
   }
 
   /**
    * Calculate total trip emissions
-   * @param {Object} tripData - Trip data including itinerary
-   * @returns {Promise<Object>} Breakdown of emissions
+   * Also refreshes the displayed per-activity carbon_kg, transport_carbon_kg
+   * and per-day total_carbon on the itinerary from emission factors
+   * Synchronous over the factor cache - await loadFactors() first
+   * Figures are for the whole party (adults, children, rooms); per_person divides them
+   * between the travellers
+   * @param {Object} tripData - Trip data including itinerary (and optional factor_set_id)
+   * @returns {Object} Breakdown of emissions; uncertainty gives each component (and the total)
+   *   a low/high range and the data quality of its factors
    */
-  static async calculateTripEmissions(tripData) {
+  static calculateTripEmissions(tripData) {
+    if (!this.factorCache) {
+      throw new Error('Emission factors not loaded - call CarbonService.loadFactors() first');
+    }
+
+    const factorSetId = tripData.factor_set_id || null;
+    const { travellers, rooms } = this.getParty(tripData);
     let transportEmissions = 0;
     let accommodationEmissions = 0;
     let activityEmissions = 0;
+    let travelToDestinationEmissions = 0;
+
+    // Low/high range and data quality for each component
+    const ranges = Object.fromEntries(SCORE_COMPONENTS.map(component => [component, createRange()]));
 
     try {
       // Calculate accommodation emissions
       if (tripData.accommodation_preference && tripData.nights) {
-        accommodationEmissions = await this.calculateAccommodationEmissions(
+        const estimate = this.estimateAccommodation(
           tripData.accommodation_preference,
-          tripData.nights
+          tripData.nights,
+          factorSetId,
+          rooms
         );
+        accommodationEmissions = estimate.kg;
+        addToRange(ranges.accommodation, estimate, tripData.accommodation_preference);
       }
 
       // Calculate emissions from itinerary if available
       if (tripData.itinerary && tripData.itinerary.days) {
         for (const day of tripData.itinerary.days) {
+          let dayEmissions = 0;
+
           if (day.activities) {
             for (const activity of day.activities) {
-              // Activity emissions
-              if (activity.category) {
-                activityEmissions += await this.calculateActivityEmissions(
-                  activity.category,
-                  1
-                );
+              // Activity emissions (itineraries store the kind in 'type'), one visit per person
+              const activityType = activity.type || activity.category;
+              let activityCarbon = 0;
+              if (activityType) {
+                const estimate = this.estimateActivity(activityType, travellers, factorSetId);
+                activityCarbon = estimate.kg;
+                addToRange(ranges.activities, estimate, activityType);
               }
+              activityEmissions += activityCarbon;
 
               // Transport emissions between activities
+              let legCarbon = 0;
               if (activity.transport_distance_km && activity.transport_mode) {
-                transportEmissions += await this.calculateTransportEmissions(
+                const estimate = this.estimateTransport(
                   activity.transport_mode,
-                  activity.transport_distance_km
+                  activity.transport_distance_km,
+                  factorSetId,
+                  travellers
                 );
+                legCarbon = estimate.kg;
+                addToRange(ranges.transport, estimate, activity.transport_mode);
               }
+              transportEmissions += legCarbon;
+
+              // Displayed values come from emission factors, not the model's guesses
+              activity.carbon_kg = Math.round(activityCarbon * 100) / 100;
+              activity.transport_carbon_kg = Math.round(legCarbon * 100) / 100;
+              dayEmissions += activityCarbon + legCarbon;
             }
           }
+
+          day.total_carbon = Math.round(dayEmissions * 100) / 100;
         }
       }
 
-      // Calculate flight emissions if destination is far
-      if (tripData.destination_distance_km && tripData.destination_distance_km > 100) {
-        const flightMode = tripData.destination_distance_km > 3700 
-          ? 'flight_long_haul' 
-          : tripData.destination_distance_km > 500 
-            ? 'flight_medium_haul' 
-            : 'flight_short_haul';
-        
-        const roundTripDistance = tripData.destination_distance_km * 2;
-        transportEmissions += await this.calculateTransportEmissions(flightMode, roundTripDistance);
+      // Calculate the journey from the origin to the destination (kept as its own line)
+      if (tripData.destination_distance_km && tripData.destination_distance_km > 0) {
+        const estimate = this.estimateTravelToDestination(
+          tripData.origin_transport_mode,
+          tripData.destination_distance_km,
+          factorSetId,
+          travellers
+        );
+        travelToDestinationEmissions = estimate.kg;
+        addToRange(ranges.travel_to_destination, estimate, tripData.origin_transport_mode || 'flight');
       }
 
-      const totalEmissions = transportEmissions + accommodationEmissions + activityEmissions;
+      const totalEmissions = transportEmissions + accommodationEmissions + activityEmissions
+        + travelToDestinationEmissions;
 
-      return {
+      const emissions = {
         transport: Math.round(transportEmissions * 100) / 100,
         accommodation: Math.round(accommodationEmissions * 100) / 100,
         activities: Math.round(activityEmissions * 100) / 100,
+        travel_to_destination: Math.round(travelToDestinationEmissions * 100) / 100,
         total: Math.round(totalEmissions * 100) / 100,
       };
+
+      return {
+        ...emissions,
+        travellers,
+        per_person: this.getPerPersonBreakdown(emissions, travellers),
+        uncertainty: summariseRanges(ranges),
+      };
     } catch (error) {
       console.error('Error calculating trip emissions:', error);
-      return {
+      const emissions = {
         transport: 0,
         accommodation: 0,
         activities: 0,
+        travel_to_destination: 0,
         total: 0,
       };
+      const emptyRanges = Object.fromEntries(SCORE_COMPONENTS.map(component => [component, createRange()]));
+      return { ...emissions, travellers, per_person: { ...emissions }, uncertainty: summariseRanges(emptyRanges) };
+    }
+  }
+
+  /**
+   * Calculate a conventional-trip baseline for the same destination, nights and party
+   * A typical traveller stays in a standard hotel, drives between stops (short legs are
+   * still walked), drives or flies to the destination and does the same number of
+   * activities at average emissions
+   * Synchronous over the factor cache - await loadFactors() first
+   * @param {Object} tripData - Same shape as calculateTripEmissions input
+   * @returns {Object} Baseline breakdown and the assumptions behind it
+   */
+  static calculateBaselineEmissions(tripData) {
+    if (!this.factorCache) {
+      throw new Error('Emission factors not loaded - call CarbonService.loadFactors() first');
+    }
+
+    const factorSetId = tripData.factor_set_id || null;
+    const { travellers, rooms } = this.getParty(tripData);
+
+    let localDistanceKm = 0;
+    let activityCount = 0;
+    for (const day of tripData.itinerary?.days || []) {
+      for (const activity of day.activities || []) {
+        activityCount++;
+        if (activity.transport_distance_km > WALKING_MAX_KM) {
+          localDistanceKm += activity.transport_distance_km;
+        }
+      }
     }
+
+    const distanceKm = tripData.destination_distance_km || 0;
+    const originMode = distanceKm > BASELINE_MAX_DRIVE_KM ? 'flight' : 'car';
+
+    const accommodation = this.calculateAccommodationEmissions(
+      BASELINE_ACCOMMODATION,
+      tripData.nights,
+      factorSetId,
+      rooms
+    );
+    const transport = this.calculateTransportEmissions(
+      BASELINE_LOCAL_TRANSPORT,
+      localDistanceKm,
+      factorSetId,
+      travellers
+    );
+    const activities = activityCount * travellers * DEFAULT_ACTIVITY_KG;
+    const travelToDestination = this.calculateTravelToDestinationEmissions(
+      originMode,
+      distanceKm,
+      factorSetId,
+      travellers
+    );
+
+    return {
+      transport: Math.round(transport * 100) / 100,
+      accommodation: Math.round(accommodation * 100) / 100,
+      activities: Math.round(activities * 100) / 100,
+      travel_to_destination: Math.round(travelToDestination * 100) / 100,
+      total: Math.round((transport + accommodation + activities + travelToDestination) * 100) / 100,
+      assumptions: {
+        accommodation: BASELINE_ACCOMMODATION,
+        local_transport: BASELINE_LOCAL_TRANSPORT,
+        travel_to_destination: distanceKm > 0
+          ? this.getTravelToDestinationSubCategory(originMode, distanceKm)
+          : null,
+        activity_kg_per_visit: DEFAULT_ACTIVITY_KG,
+      },
+    };
+  }
+
+  /**
+   * Compare a trip's emissions with its conventional-trip baseline
+   * Negative values mean the trip emits more than a typical traveller would
+   * @returns {Object} { baseline_carbon_kg, carbon_avoided_kg, carbon_avoided_percent }
+   */
+  static compareWithBaseline(emissionsTotal, baseline) {
+    if (!baseline) {
+      return { baseline_carbon_kg: null, carbon_avoided_kg: null, carbon_avoided_percent: null };
+    }
+
+    const avoided = Math.round((baseline.total - emissionsTotal) * 100) / 100;
+    return {
+      baseline_carbon_kg: baseline.total,
+      carbon_avoided_kg: avoided,
+      carbon_avoided_percent: baseline.total > 0 ? Math.round((avoided / baseline.total) * 100) : null,
+    };
+  }
+
+  /**
+   * Get the active Green Score model (bands, weights and benchmarks)
+   */
+  static getGreenScoreModel() {
+    return this.factorCache?.scoreModel || DEFAULT_GREEN_SCORE_MODEL;
+  }
+
+  /**
+   * Map weighted kg CO2 per day to a score using the model's bands
+   * Each band interpolates linearly from score_from to score_to
+   * @returns {Object} { score, band }
+   */
+  static scoreFromBands(kgPerDay, bands) {
+    let lowerBound = 0;
+    for (const band of bands) {
+      if (kgPerDay < band.max_kg_per_day) {
+        const position = (kgPerDay - lowerBound) / (band.max_kg_per_day - lowerBound);
+        return {
+          score: band.score_from + (band.score_to - band.score_from) * position,
+          band: band.label,
+        };
+      }
+      lowerBound = band.max_kg_per_day;
+    }
+
+    const lastBand = bands[bands.length - 1];
+    return { score: lastBand.score_to, band: lastBand.label };
+  }
+
+  /**
+   * Weighted emissions total used for scoring
+   */
+  static getWeightedTotal(emissions, weights) {
+    return SCORE_COMPONENTS.reduce(
+      (sum, component) => sum + (emissions[component] || 0) * (weights[component] ?? 1),
+      0
+    );
   }
 
   /**
    * Calculate Green Score (0-100)
-   * Higher score = more sustainable
-   * @param {number} totalCarbonKg - Total carbon emissions in kg
+   * Higher score = more sustainable. Scored per person-day, so larger parties
+   * are not penalised for travelling together.
+   * @param {Object} emissions - Breakdown from calculateTripEmissions
    * @param {number} tripDays - Number of days in trip
    * @returns {number} Green score (0-100)
    */
-  static calculateGreenScore(totalCarbonKg, tripDays) {
-    if (!totalCarbonKg || !tripDays || tripDays <= 0) {
+  static calculateGreenScore(emissions, tripDays) {
+    if (!emissions?.total || !tripDays || tripDays <= 0) {
       return 0;
     }
 
-    // Calculate average daily emissions
-    const dailyEmissions = totalCarbonKg / tripDays;
-
-    // Benchmark values (kg CO2 per day):
-    // Excellent (eco-friendly): < 5 kg/day
-    // Good: 5-15 kg/day
-    // Average: 15-30 kg/day
-    // High: 30-50 kg/day
-    // Very High: > 50 kg/day
-
-    let score;
-    if (dailyEmissions < 5) {
-      score = 100 - (dailyEmissions * 2); // 90-100 for very low emissions
-    } else if (dailyEmissions < 15) {
-      score = 90 - ((dailyEmissions - 5) * 4); // 50-90 for low emissions
-    } else if (dailyEmissions < 30) {
-      score = 50 - ((dailyEmissions - 15) * 2); // 20-50 for average emissions
-    } else if (dailyEmissions < 50) {
-      score = 20 - ((dailyEmissions - 30) * 0.5); // 10-20 for high emissions
-    } else {
-      score = Math.max(0, 10 - ((dailyEmissions - 50) * 0.2)); // 0-10 for very high
-    }
+    const { config } = this.getGreenScoreModel();
+    const personDays = tripDays * (emissions.travellers || 1);
+    const weightedKgPerPersonDay = this.getWeightedTotal(emissions, config.weights) / personDays;
+    const { score } = this.scoreFromBands(weightedKgPerPersonDay, config.bands);
 
     return Math.max(0, Math.min(100, Math.round(score)));
   }
 
+  /**
+   * Explain a Green Score component by component
+   * Each component is compared with the model's benchmark for a typical trip
+   * (benchmarks are per person, scaled to the party size - accommodation is per room,
+   * scaled to the number of rooms, as its emissions are):
+   * points are how much the score gains (or loses) versus that benchmark
+   * @param {Object} emissions - Breakdown from calculateTripEmissions
+   * @param {number} tripDays - Number of days in trip
+   * @param {Object} tripData - Same shape as calculateTripEmissions input
+   * @returns {Object} Explanation with the score, band and per-component effects
+   */
+  static explainGreenScore(emissions, tripDays, tripData = {}) {
+    const model = this.getGreenScoreModel();
+    const { config } = model;
+    const score = this.calculateGreenScore(emissions, tripDays);
+
+    const travellers = emissions?.travellers || 1;
+
+    if (!emissions?.total || !tripDays || tripDays <= 0) {
+      return {
+        model_version: model.version,
+        score,
+        band: null,
+        travellers,
+        kg_per_day: 0,
+        kg_per_person_day: 0,
+        components: [],
+      };
+    }
+
+    const personDays = tripDays * travellers;
+    const weightedTotal = this.getWeightedTotal(emissions, config.weights);
+    const { band } = this.scoreFromBands(weightedTotal / personDays, config.bands);
+
+    const { rooms } = this.getParty(tripData);
+    const benchmarks = {
+      accommodation: config.benchmarks.accommodation_kg_per_night * (tripData.nights || tripDays) * rooms,
+      transport: config.benchmarks.transport_kg_per_day * personDays,
+      activities: config.benchmarks.activities_kg_per_day * personDays,
+      travel_to_destination: config.benchmarks.travel_to_destination_kg_per_day * personDays,
+    };
+
+    const components = SCORE_COMPONENTS.map(component => {
+      const kg = emissions[component] || 0;
+      const weight = config.weights[component] ?? 1;
+
+      // Score if this component matched the benchmark and everything else stayed the same
+      const benchmarkTotal = weightedTotal + (benchmarks[component] - kg) * weight;
+      const benchmarkScore = Math.max(0, Math.min(100,
+        this.scoreFromBands(benchmarkTotal / personDays, config.bands).score
+      ));
+      const points = Math.round(score - benchmarkScore);
+
+      return {
+        component,
+        kg: Math.round(kg * 100) / 100,
+        share_percent: Math.round((kg / emissions.total) * 100),
+        benchmark_kg: Math.round(benchmarks[component] * 100) / 100,
+        weight,
+        points,
+        effect: points > 0 ? 'up' : points < 0 ? 'down' : 'neutral',
+        detail: this.describeScoreComponent(component, tripData),
+      };
+    });
+
+    return {
+      model_version: model.version,
+      score,
+      band,
+      travellers,
+      kg_per_day: Math.round((emissions.total / tripDays) * 100) / 100,
+      kg_per_person_day: Math.round((emissions.total / personDays) * 100) / 100,
+      components,
+    };
+  }
+
+  /**
+   * Short human-readable description of what drives a score component
+   */
+  static describeScoreComponent(component, tripData) {
+    const activities = (tripData.itinerary?.days || []).flatMap(day => day.activities || []);
+
+    if (component === 'accommodation') {
+      const type = tripData.accommodation_preference;
+      const factor = type ? this.getFactor('accommodation', type, tripData.factor_set_id) : null;
+      if (!type) return 'No accommodation included';
+
+      const { rooms } = this.getParty(tripData);
+      const roomNote = rooms > 1 ? `, ${rooms} rooms` : '';
+      return factor !== null ? `${type} (${factor} kg CO₂ per room-night${roomNote})` : `${type}${roomNote}`;
+    }
+
+    if (component === 'transport') {
+      const legs = activities.filter(activity => activity.transport_mode && activity.transport_distance_km);
+      if (legs.length === 0) return 'No local transport legs';
+
+      const modeCounts = {};
+      for (const leg of legs) {
+        modeCounts[leg.transport_mode] = (modeCounts[leg.transport_mode] || 0) + 1;
+      }
+      const [topMode, topCount] = Object.entries(modeCounts).sort((a, b) => b[1] - a[1])[0];
+      return `Mostly ${topMode} (${topCount} of ${legs.length} legs)`;
+    }
+
+    if (component === 'activities') {
+      if (activities.length === 0) return 'No activities';
+
+      const typeCounts = {};
+      for (const activity of activities) {
+        const type = normalizeActivityType(activity.type || activity.category) || 'other';
+        typeCounts[type] = (typeCounts[type] || 0) + 1;
+      }
+      return Object.entries(typeCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([type, count]) => `${count} ${type}`)
+        .join(', ');
+    }
+
+    // travel_to_destination
+    if (!tripData.destination_distance_km) return 'Journey to the destination not included';
+    return `${tripData.origin_transport_mode || 'flight'}, ${Math.round(tripData.destination_distance_km)} km each way`;
+  }
+
   /**
    * Get eco-friendly alternatives for transport
    * @param {string} currentMode - Current transport mode
    * @param {number} distanceKm - Distance in kilometers
+   * @param {number} [travellers] - Number of people travelling together
+   * @param {number} [factorSetId] - Emission factor set (defaults to the active default set)
    * @returns {Promise<Array>} Array of alternative transport options
    */
-  static async getEcoAlternatives(currentMode, distanceKm) {
+  static async getEcoAlternatives(currentMode, distanceKm, travellers = 1, factorSetId = null) {
     const alternatives = [];
 
     try {
-      const currentEmissions = await this.calculateTransportEmissions(currentMode, distanceKm);
-
-      // Suggest alternatives based on distance
-      const options = distanceKm < 500 
-        ? ['train_national', 'bus_local', 'car_electric']
-        : ['train_international', 'bus_coach'];
+      await this.loadFactors();
+      const currentEmissions = this.calculateTransportEmissions(currentMode, distanceKm, factorSetId, travellers);
+
+      // Suggest alternatives based on distance (short hops can be walked or cycled)
+      const options = distanceKm <= WALKING_MAX_KM
+        ? ['walking', 'bicycle', 'train_national', 'bus_local']
+        : distanceKm <= CYCLING_MAX_KM
+          ? ['bicycle', 'train_national', 'bus_local', 'car_electric']
+          : distanceKm < 500
+            ? ['train_national', 'bus_local', 'car_electric']
+            : ['train_international', 'bus_coach'];
 
       for (const option of options) {
-        const emissions = await this.calculateTransportEmissions(option, distanceKm);
+        const emissions = this.calculateTransportEmissions(option, distanceKm, factorSetId, travellers);
         if (emissions < currentEmissions) {
           const savings = currentEmissions - emissions;
           const savingsPercent = Math.round((savings / currentEmissions) * 100);
           
           alternatives.push({
             mode: option,
-            emissions_kg: emissions,
+            emissions_kg: Math.round(emissions * 100) / 100,
             savings_kg: Math.round(savings * 100) / 100,
             savings_percent: savingsPercent,
           });
@@ -0,0 +1,178 @@
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { emissionFactorImportRowSchema } from '../utils/validators.js';
+
+// Columns used for CSV import and export (matches the seed.js data shape)
+export const EMISSION_FACTOR_COLUMNS = [
+  'category',
+  'sub_category',
+  'factor_kg_per_unit',
+  'unit',
+  'description',
+  'source',
+  'is_active',
+];
+
+/**
+ * Emission Factor Import Service
+ * Parses bulk factor files and diffs them against a factor set
+ */
+class EmissionFactorImportService {
+  /**
+   * Read raw import rows from a request body
+   * @param {string|Object|Array} body - CSV text, an array of factors, or { factors: [...] }
+   * @returns {Array<Object>} Raw rows (not yet validated)
+   */
+  static parseRows(body) {
+    if (typeof body === 'string') {
+      return parseCsv(body);
+    }
+    if (Array.isArray(body)) {
+      return body;
+    }
+    if (body && Array.isArray(body.factors)) {
+      return body.factors;
+    }
+    return [];
+  }
+
+  /**
+   * Validate import rows
+   * @returns {Object} { rows, errors } - normalised rows and per-row error messages
+   */
+  static validateRows(rawRows) {
+    const rows = [];
+    const errors = [];
+    const seen = new Set();
+
+    rawRows.forEach((rawRow, index) => {
+      // Row numbers match the file (row 1 is the CSV header)
+      const rowNumber = index + 2;
+
+      const { error, value } = emissionFactorImportRowSchema.validate(rawRow, {
+        abortEarly: false,
+        stripUnknown: true,
+      });
+
+      if (error) {
+        errors.push(...error.details.map(detail => `Row ${rowNumber}: ${detail.message}`));
+        return;
+      }
+
+      const key = `${value.category}:${value.sub_category}`;
+      if (seen.has(key)) {
+        errors.push(`Row ${rowNumber}: duplicate factor ${value.category}/${value.sub_category}`);
+        return;
+      }
+      seen.add(key);
+
+      rows.push({
+        category: value.category,
+        sub_category: value.sub_category,
+        factor_kg_per_unit: value.factor_kg_per_unit,
+        unit: value.unit,
+        description: value.description || null,
+        source: value.source || null,
+        is_active: value.is_active !== undefined ? value.is_active : true,
+      });
+    });
+
+    return { rows, errors };
+  }
+
+  /**
+   * Diff import rows against the factors currently in a set
+   * Factors in the set but missing from the file are deactivated
+   * @param {Array<Object>} rows - Validated import rows
+   * @param {Array<Object>} existingFactors - Current factor rows for the set
+   * @returns {Object} { create, update, deactivate, unchanged }
+   */
+  static buildDiff(rows, existingFactors) {
+    const existingByKey = new Map(
+      existingFactors.map(factor => [`${factor.category}:${factor.sub_category}`, factor])
+    );
+
+    const create = [];
+    const update = [];
+    let unchanged = 0;
+
+    for (const row of rows) {
+      const key = `${row.category}:${row.sub_category}`;
+      const existing = existingByKey.get(key);
+
+      if (!existing) {
+        create.push(row);
+        continue;
+      }
+      existingByKey.delete(key);
+
+      const changes = this.getChanges(existing, row);
+      if (Object.keys(changes).length > 0) {
+        update.push({ id: existing.id, ...row, changes });
+      } else {
+        unchanged++;
+      }
+    }
+
+    // Anything left was not in the file
+    const deactivate = [...existingByKey.values()]
+      .filter(factor => factor.is_active)
+      .map(factor => ({
+        id: factor.id,
+        category: factor.category,
+        sub_category: factor.sub_category,
+        factor_kg_per_unit: parseFloat(factor.factor_kg_per_unit),
+      }));
+
+    return { create, update, deactivate, unchanged };
+  }
+
+  /**
+   * Field-by-field changes between a stored factor and an import row
+   */
+  static getChanges(existing, row) {
+    const changes = {};
+    const current = {
+      factor_kg_per_unit: parseFloat(existing.factor_kg_per_unit),
+      unit: existing.unit,
+      description: existing.description || null,
+      is_active: existing.is_active,
+    };
+
+    for (const field of Object.keys(current)) {
+      if (current[field] !== row[field]) {
+        changes[field] = { from: current[field], to: row[field] };
+      }
+    }
+
+    // A blank source keeps the stored one
+    if (row.source && row.source !== existing.source) {
+      changes.source = { from: existing.source, to: row.source };
+    }
+
+    return changes;
+  }
+
+  /**
+   * Convert factor rows to the export shape
+   */
+  static toExportRows(factors) {
+    return factors.map(factor => ({
+      category: factor.category,
+      sub_category: factor.sub_category,
+      factor_kg_per_unit: parseFloat(factor.factor_kg_per_unit),
+      unit: factor.unit,
+      description: factor.description,
+      source: factor.source,
+      is_active: factor.is_active,
+    }));
+  }
+
+  /**
+   * Convert factor rows to CSV text
+   */
+  static toCsv(factors) {
+    return toCsv(this.toExportRows(factors), EMISSION_FACTOR_COLUMNS);
+  }
+}
+
+export default EmissionFactorImportService;
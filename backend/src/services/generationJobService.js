@@ -0,0 +1,100 @@
+import Trip from '../models/Trip.js';
+import itineraryService from './itineraryService.js';
+import jobQueueService from './jobQueueService.js';
+
+/**
+ * Generation Job Service - generates trips as background jobs so the planner
+ * can follow their progress (each step, and each day as it's ready)
+ */
+class GenerationJobService {
+  constructor() {
+    jobQueueService.register('trip_generation', (job, context) => this.run(job, context), {
+      failureMessage: 'Trip generation failed. Please try again.',
+    });
+  }
+
+  /**
+   * Queue a trip generation job
+   * @param {number} userId - Owner of the trip being generated
+   * @param {Object} tripData - Validated trip generation request
+   * @returns {Promise<Object>} The job (status 'pending')
+   */
+  async start(userId, tripData) {
+    return jobQueueService.enqueue('trip_generation', { userId, payload: tripData });
+  }
+
+  /**
+   * Generate and save the trip, publishing each step and day as it happens
+   * The job's progress holds the current step and the days generated so far
+   * @returns {Promise<Object>} Job result: the new trip's ID and headline figures
+   */
+  async run(job, { signal, publish }) {
+    const tripData = job.payload;
+    const progress = { step: null, message: null, days: [] };
+
+    const generatedTrip = await itineraryService.generateTrip(tripData, (event) => {
+      if (event.type === 'step') {
+        progress.step = event.step;
+        progress.message = event.message;
+        // A new itinerary attempt (carbon target retries) replaces the days so far
+        if (event.step === 'itinerary') {
+          progress.days = [];
+        }
+      } else if (event.type === 'day') {
+        progress.days = [...progress.days, event.day];
+      }
+      publish(event, { ...progress });
+    }, signal);
+
+    // Don't save a trip the user has already given up on
+    signal.throwIfAborted();
+
+    progress.step = 'saving';
+    progress.message = 'Saving your trip';
+    publish({ type: 'step', step: progress.step, message: progress.message }, { ...progress });
+    const trip = await this.saveTrip(job.user_id, tripData, generatedTrip);
+
+    return {
+      trip_id: trip.id,
+      total_carbon_kg: generatedTrip.total_carbon_kg,
+      total_cost: generatedTrip.total_cost,
+      green_score: generatedTrip.green_score,
+      demo_fallback: !!generatedTrip.itinerary.generation?.demo_fallback,
+    };
+  }
+
+  /**
+   * Save a generated trip for a user
+   * @param {number} userId - Trip owner
+   * @param {Object} tripData - Trip generation request
+   * @param {Object} generatedTrip - Result of itineraryService.generateTrip
+   * @returns {Promise<Object>} The created trip row
+   */
+  async saveTrip(userId, tripData, generatedTrip) {
+    return Trip.create({
+      userId,
+      destination: tripData.destination,
+      startDate: tripData.start_date,
+      endDate: tripData.end_date,
+      budget: tripData.budget,
+      interests: tripData.interests,
+      travelStyle: tripData.travel_style,
+      accommodationPreference: tripData.accommodation_preference,
+      transportPreference: tripData.transport_preference,
+      itinerary: generatedTrip.itinerary,
+      totalCarbonKg: generatedTrip.total_carbon_kg,
+      totalCost: generatedTrip.total_cost,
+      greenScore: generatedTrip.green_score,
+      origin: tripData.origin,
+      originTransportMode: tripData.origin ? tripData.origin_transport_mode : null,
+      originDistanceKm: generatedTrip.origin_distance_km,
+      factorSetId: generatedTrip.factor_set_id,
+      adults: tripData.adults,
+      children: tripData.children,
+      rooms: tripData.rooms,
+    });
+  }
+}
+
+// Export singleton instance
+export default new GenerationJobService();
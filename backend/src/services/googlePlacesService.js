@@ -77,6 +77,45 @@ class GooglePlacesService {
     }
   }
 
+  /**
+   * Find the place best matching a text query (e.g., 'Louvre Museum, Rue de Rivoli')
+   * @param {string} query - Place name and/or address
+   * @param {number} [latitude] - Latitude to bias results towards
+   * @param {number} [longitude] - Longitude to bias results towards
+   * @param {number} radius - Bias radius in meters (default: 20000)
+   * @returns {Promise<Object|null>} { place_id, name, latitude, longitude }, or null if nothing matched
+   */
+  async findPlace(query, latitude, longitude, radius = 20000) {
+    try {
+      const params = {
+        input: query,
+        inputtype: 'textquery',
+        fields: ['place_id', 'name', 'geometry'],
+        key: this.apiKey,
+      };
+      if (latitude !== undefined && longitude !== undefined) {
+        params.locationbias = `circle:${radius}@${latitude},${longitude}`;
+      }
+
+      const response = await this.client.findPlaceFromText({ params });
+
+      const place = response.data.candidates?.[0];
+      if (!place) {
+        return null;
+      }
+
+      return {
+        place_id: place.place_id,
+        name: place.name,
+        latitude: place.geometry?.location.lat,
+        longitude: place.geometry?.location.lng,
+      };
+    } catch (error) {
+      console.error('Find place error:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Get place details
    * @param {string} placeId - Google Place ID
@@ -1,22 +1,108 @@
 import openaiService from './openaiService.js';
 import googlePlacesService from './googlePlacesService.js';
 import CarbonService from './carbonService.js';
+import SchedulingService from './schedulingService.js';
+import jobQueueService from './jobQueueService.js';
+import Trip from '../models/Trip.js';
+import { ACCOMMODATION_TYPES, itineraryEditSchema } from '../utils/validators.js';
+import { findOpeningHoursConflict } from '../utils/openingHours.js';
 import { differenceInDays } from 'date-fns';
 
+// Map itinerary transport modes to Google Distance Matrix travel modes
+const DISTANCE_MATRIX_MODES = {
+  walking: 'walking',
+  bicycle: 'bicycling',
+  train: 'transit',
+  bus: 'transit',
+  car: 'driving',
+  taxi: 'driving',
+};
+
+// Geocoded activities further than this from the destination are treated as bad matches
+const MAX_ACTIVITY_DISTANCE_KM = 50;
+
+// Extra AI attempts when an itinerary is still over its carbon target after transport swaps
+const MAX_CARBON_REGENERATIONS = 2;
+
+// Itinerary transport modes for the sub_categories CarbonService.getEcoAlternatives suggests
+const ECO_SWAP_MODES = {
+  walking: 'walking',
+  bicycle: 'bicycle',
+  train_national: 'train',
+  train_international: 'train',
+  bus_local: 'bus',
+  bus_coach: 'bus',
+};
+
+// Start time for an activity added to an empty day
+const DEFAULT_ACTIVITY_TIME = '09:00';
+
+// Start times the AI returns for regenerated activities (anything else gets a slot time)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Itinerary edits that can't be applied (missing day/activity, bad reorder list)
+const itineraryEditError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Activity fields filled in from Google Places (see enrichDayPlaces)
+const ACTIVITY_PLACE_FIELDS = ['place_id', 'place_name', 'lat', 'lng', 'rating', 'opening_hours', 'opening_hours_conflict'];
+
+// Forget an activity's place so it's looked up again (after its title or location changed)
+const clearActivityPlace = (activity) => {
+  for (const field of ACTIVITY_PLACE_FIELDS) {
+    delete activity[field];
+  }
+};
+
+// Demo fallback locations are 0,0 - there is nothing to search near
+const hasCoordinates = (location) =>
+  Boolean(location) && (location.latitude !== 0 || location.longitude !== 0);
+
+// Place lookups run for a day's activities and meals at the same time, at most this many at once
+const PLACE_LOOKUP_CONCURRENCY = 4;
+
+// Run an async function over items, at most `limit` at a time
+const forEachWithConcurrency = async (items, limit, fn) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await fn(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+};
+
 /**
  * Itinerary Service - Orchestrates trip generation
  * Combines OpenAI, Google Places, and Carbon calculation services
  */
 class ItineraryService {
+  constructor() {
+    // Alternative lookups call the AI, so they run as background jobs
+    jobQueueService.register('eco_alternatives', (job) => this.runAlternativesJob(job), {
+      failureMessage: 'Failed to load greener options. Please try again.',
+    });
+  }
+
   /**
    * Generate a complete trip itinerary with carbon calculations
    * @param {Object} tripData - Trip planning data
+   * @param {Function} [onProgress] - Called with { type: 'step', step, message } as each
+   *   step starts and { type: 'day', day } as each day's activities and legs are ready
+   * @param {AbortSignal} [signal] - Stops generation at the next step (or day) once aborted
    * @returns {Promise<Object>} Complete trip with itinerary and emissions
    */
-  async generateTrip(tripData) {
+  async generateTrip(tripData, onProgress = () => {}, signal = null) {
+    // Every step and day is reported through here, so a cancelled generation stops
+    // there instead of paying for the remaining AI and Google calls
+    const reportProgress = (event) => {
+      signal?.throwIfAborted();
+      onProgress(event);
+    };
+
     try {
       // Step 1: Geocode destination to get coordinates (optional - skip if API fails)
       console.log('Step 1: Geocoding destination...');
+      reportProgress({ type: 'step', step: 'geocoding', message: `Finding ${tripData.destination}` });
       let locationData = null;
       try {
         locationData = await googlePlacesService.geocodeDestination(tripData.destination);
@@ -31,75 +117,697 @@ class ItineraryService {
         };
       }
 
-      // Step 2: Generate AI itinerary
-      console.log('Step 2: Generating AI itinerary...');
-      const itinerary = await openaiService.generateItinerary(tripData);
-
-      // Step 3: Enhance itinerary with real place data
-      console.log('Step 3: Enhancing with place data...');
-      const enhancedItinerary = await this.enhanceItineraryWithPlaceData(
-        itinerary,
-        locationData
-      );
+      // Step 1b: Distance from the traveller's origin (0 if no origin is known)
+      let originDistanceKm = 0;
+      if (tripData.origin) {
+        console.log('Step 1b: Calculating distance from origin...');
+        reportProgress({ type: 'step', step: 'origin', message: `Measuring the journey from ${tripData.origin}` });
+        originDistanceKm = await this.calculateOriginDistance(
+          tripData.origin,
+          tripData.destination,
+          locationData
+        );
+      }
 
-      // Step 4: Calculate carbon emissions
-      console.log('Step 4: Calculating carbon emissions...');
       const numDays = differenceInDays(new Date(tripData.end_date), new Date(tripData.start_date)) + 1;
-      
-      const emissions = await CarbonService.calculateTripEmissions({
+
+      // New trips use the active default factor set, which is recorded on the trip
+      const { defaultSetId } = await CarbonService.loadFactors();
+
+      // Everything carbon-related except the itinerary itself
+      const baseEmissionInput = {
         accommodation_preference: tripData.accommodation_preference,
         nights: numDays,
-        itinerary: enhancedItinerary,
-        destination_distance_km: 0, // Can be enhanced with user's home location
-      });
+        destination_distance_km: originDistanceKm,
+        origin_transport_mode: tripData.origin_transport_mode,
+        factor_set_id: defaultSetId,
+        adults: tripData.adults,
+        children: tripData.children,
+        rooms: tripData.rooms,
+      };
+
+      // Optional carbon budget (max_carbon_kg and/or target_green_score)
+      const carbonTarget = this.getCarbonTarget(tripData, baseEmissionInput, numDays);
+
+      // Steps 2-4: Generate the itinerary and calculate its emissions. With a carbon target,
+      // transport legs are swapped for greener modes and the itinerary is regenerated while
+      // it is still over the target
+      const maxAttempts = carbonTarget?.feasible ? 1 + MAX_CARBON_REGENERATIONS : 1;
+      let best = null;
+      let carbonFeedback = null;
+      let attempts = 0;
+
+      while (attempts < maxAttempts) {
+        attempts++;
+        const candidate = await this.buildItineraryCandidate(
+          { ...tripData, carbon_budget: carbonTarget?.budget, carbon_feedback: carbonFeedback },
+          locationData,
+          baseEmissionInput,
+          reportProgress,
+          signal
+        );
+
+        if (!carbonTarget) {
+          best = candidate;
+          break;
+        }
+
+        console.log('Step 4b: Swapping transport legs to meet the carbon target...');
+        reportProgress({ type: 'step', step: 'carbon_target', message: 'Swapping in greener transport to meet your carbon budget' });
+        candidate.swaps = await this.applyEcoTransportSwaps(candidate, carbonTarget, numDays);
+
+        if (!best || candidate.emissions.total < best.emissions.total) {
+          best = candidate;
+        }
+        if (this.meetsCarbonTarget(candidate.emissions, numDays, carbonTarget)) {
+          break;
+        }
+
+        carbonFeedback = this.describeCarbonOverrun(candidate, carbonTarget, numDays);
+        console.log(`Itinerary is over the carbon target (attempt ${attempts} of ${maxAttempts})`);
+      }
 
-      // Step 5: Calculate green score
-      const greenScore = CarbonService.calculateGreenScore(emissions.total, numDays);
+      const { itinerary: enhancedItinerary, emissionInput, emissions } = best;
+
+      // Step 5: Calculate green score (with an explanation of what drove it)
+      reportProgress({ type: 'step', step: 'green_score', message: 'Calculating your Green Score' });
+      const greenScore = CarbonService.calculateGreenScore(emissions, numDays);
+      const greenScoreExplanation = CarbonService.explainGreenScore(emissions, numDays, emissionInput);
 
       // Step 6: Calculate total cost from itinerary
       const totalCost = this.calculateTotalCost(enhancedItinerary);
 
-      // Step 7: Store carbon breakdown in itinerary
-      enhancedItinerary.transport_carbon = emissions.transport;
-      enhancedItinerary.accommodation_carbon = emissions.accommodation;
-      enhancedItinerary.activities_carbon = emissions.activities;
+      // Step 7: Store carbon breakdown, score explanation and conventional-trip baseline
+      // in itinerary
+      const baseline = CarbonService.calculateBaselineEmissions(emissionInput);
+      this.storeCarbonBreakdown(enhancedItinerary, emissions, greenScoreExplanation, baseline);
+
+      // Step 8: Record whether the carbon target was met (and why not)
+      let carbonTargetResult = null;
+      if (carbonTarget) {
+        carbonTargetResult = await this.summariseCarbonTarget(best, carbonTarget, numDays, attempts);
+        enhancedItinerary.carbon_target = carbonTargetResult;
+      }
 
       return {
         itinerary: enhancedItinerary,
         location: locationData,
+        origin_distance_km: originDistanceKm,
+        factor_set_id: defaultSetId,
         total_carbon_kg: emissions.total,
         total_cost: totalCost,
         green_score: greenScore,
+        green_score_explanation: greenScoreExplanation,
         carbon_breakdown: emissions,
+        baseline_carbon: baseline,
+        ...CarbonService.compareWithBaseline(emissions.total, baseline),
+        carbon_target: carbonTargetResult,
       };
     } catch (error) {
-      console.error('Error generating trip:', error);
+      if (!signal?.aborted) {
+        console.error('Error generating trip:', error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Generate an AI itinerary, enhance it with place data and transport legs,
+   * and calculate its emissions
+   * @param {Function} [onProgress] - Progress callback (see generateTrip)
+   * @param {AbortSignal} [signal] - Checked between days while places are looked up
+   * @returns {Promise<Object>} { itinerary, emissionInput, emissions }
+   */
+  async buildItineraryCandidate(tripData, locationData, baseEmissionInput, onProgress = () => {}, signal = null) {
+    // Step 2: Generate AI itinerary
+    console.log('Step 2: Generating AI itinerary...');
+    onProgress({
+      type: 'step',
+      step: 'itinerary',
+      message: tripData.carbon_feedback
+        ? 'Still over your carbon budget - asking the AI for a lower-carbon itinerary'
+        : 'Planning your itinerary with AI',
+    });
+    const itinerary = await openaiService.generateItinerary(tripData);
+
+    // Step 3: Enhance itinerary with real place data
+    console.log('Step 3: Enhancing with place data...');
+    onProgress({ type: 'step', step: 'places', message: 'Looking up places' });
+    const enhancedItinerary = await this.enhanceItineraryWithPlaceData(
+      itinerary,
+      locationData,
+      signal
+    );
+
+    // Step 3b: Geocode activities, measure the legs between them and fit the days' times
+    console.log('Step 3b: Calculating activity transport legs and scheduling...');
+    onProgress({ type: 'step', step: 'legs', message: 'Mapping routes and scheduling activities' });
+    await this.scheduleActivities(
+      enhancedItinerary,
+      tripData.destination,
+      locationData,
+      day => onProgress({ type: 'day', day })
+    );
+
+    // Step 4: Calculate carbon emissions
+    console.log('Step 4: Calculating carbon emissions...');
+    onProgress({ type: 'step', step: 'carbon', message: 'Calculating carbon emissions' });
+    const emissionInput = { ...baseEmissionInput, itinerary: enhancedItinerary };
+    const emissions = CarbonService.calculateTripEmissions(emissionInput);
+
+    return { itinerary: enhancedItinerary, emissionInput, emissions };
+  }
+
+  /**
+   * Work out a trip's carbon target and whether it can be met at all
+   * Accommodation and the journey to the destination are fixed by the trip's
+   * preferences, so they set a floor no itinerary can go below
+   * @returns {Object|null} Target details, or null if no target was given
+   */
+  getCarbonTarget(tripData, baseEmissionInput, numDays) {
+    const maxCarbonKg = tripData.max_carbon_kg || null;
+    const targetGreenScore = tripData.target_green_score || null;
+
+    if (!maxCarbonKg && !targetGreenScore) {
+      return null;
+    }
+
+    const fixed = CarbonService.calculateTripEmissions({ ...baseEmissionInput, itinerary: { days: [] } });
+    const reasons = [];
+
+    if (maxCarbonKg && fixed.total > maxCarbonKg) {
+      reasons.push(
+        `Accommodation (${fixed.accommodation} kg) and the journey to the destination `
+        + `(${fixed.travel_to_destination} kg) alone produce ${fixed.total} kg CO₂, `
+        + `above the ${maxCarbonKg} kg target`
+      );
+    }
+
+    if (targetGreenScore) {
+      const bestPossibleScore = fixed.total > 0 ? CarbonService.calculateGreenScore(fixed, numDays) : 100;
+      if (bestPossibleScore < targetGreenScore) {
+        reasons.push(
+          `Even with zero-carbon activities and local transport, accommodation and the journey `
+          + `to the destination limit the Green Score to ${bestPossibleScore}, below the target of ${targetGreenScore}`
+        );
+      }
+    }
+
+    return {
+      max_carbon_kg: maxCarbonKg,
+      target_green_score: targetGreenScore,
+      fixed,
+      feasible: reasons.length === 0,
+      reasons,
+      // What the prompt is told about the budget
+      budget: {
+        max_carbon_kg: maxCarbonKg,
+        target_green_score: targetGreenScore,
+        fixed_kg: fixed.total,
+        itinerary_kg: maxCarbonKg ? Math.max(0, Math.round((maxCarbonKg - fixed.total) * 100) / 100) : null,
+      },
+    };
+  }
+
+  /**
+   * Check emissions against a carbon target
+   */
+  meetsCarbonTarget(emissions, numDays, carbonTarget) {
+    if (carbonTarget.max_carbon_kg && emissions.total > carbonTarget.max_carbon_kg) {
+      return false;
+    }
+    if (carbonTarget.target_green_score
+      && CarbonService.calculateGreenScore(emissions, numDays) < carbonTarget.target_green_score) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Swap transport legs for greener modes (biggest saving first) until the
+   * carbon target is met or there is nothing left to swap
+   * Updates the candidate's itinerary and emissions in place
+   * @returns {Promise<Array>} The swaps that were made
+   */
+  async applyEcoTransportSwaps(candidate, carbonTarget, numDays) {
+    const { itinerary, emissionInput } = candidate;
+    const { travellers } = CarbonService.getParty(emissionInput);
+    const swaps = [];
+
+    if (this.meetsCarbonTarget(candidate.emissions, numDays, carbonTarget)) {
+      return swaps;
+    }
+
+    // Greenest alternative that is also an itinerary transport mode, for every leg
+    const options = [];
+    for (const day of itinerary.days || []) {
+      for (const activity of day.activities || []) {
+        if (!activity.transport_distance_km || !activity.transport_mode) {
+          continue;
+        }
+
+        const alternatives = await CarbonService.getEcoAlternatives(
+          activity.transport_mode,
+          activity.transport_distance_km,
+          travellers,
+          emissionInput.factor_set_id
+        );
+        const alternative = alternatives.find(option => ECO_SWAP_MODES[option.mode]);
+        if (alternative) {
+          options.push({ day: day.day, activity, alternative });
+        }
+      }
+    }
+    options.sort((a, b) => b.alternative.savings_kg - a.alternative.savings_kg);
+
+    for (const { day, activity, alternative } of options) {
+      const from = activity.transport_mode;
+      activity.transport_mode = ECO_SWAP_MODES[alternative.mode];
+      activity.travel_minutes = SchedulingService.estimateTravelMinutes(
+        activity.transport_distance_km,
+        activity.transport_mode
+      );
+      swaps.push({
+        day,
+        activity_id: activity.id,
+        title: activity.title,
+        from,
+        to: activity.transport_mode,
+        savings_kg: alternative.savings_kg,
+      });
+
+      candidate.emissions = CarbonService.calculateTripEmissions(emissionInput);
+      if (this.meetsCarbonTarget(candidate.emissions, numDays, carbonTarget)) {
+        break;
+      }
+    }
+
+    // Greener legs are usually slower - fit the swapped days' times around them again
+    for (const day of itinerary.days || []) {
+      if (swaps.some(swap => swap.day === day.day)) {
+        SchedulingService.scheduleDay(day);
+      }
+    }
+
+    return swaps;
+  }
+
+  /**
+   * Describe why an itinerary missed the carbon target (fed back into the next prompt)
+   */
+  describeCarbonOverrun(candidate, carbonTarget, numDays) {
+    const { emissions, itinerary } = candidate;
+    const problems = [];
+
+    if (carbonTarget.max_carbon_kg && emissions.total > carbonTarget.max_carbon_kg) {
+      const overBy = Math.round((emissions.total - carbonTarget.max_carbon_kg) * 100) / 100;
+      problems.push(`${emissions.total} kg CO₂, ${overBy} kg over the ${carbonTarget.max_carbon_kg} kg budget`);
+    }
+    if (carbonTarget.target_green_score) {
+      const score = CarbonService.calculateGreenScore(emissions, numDays);
+      if (score < carbonTarget.target_green_score) {
+        problems.push(`a Green Score of ${score} (target ${carbonTarget.target_green_score})`);
+      }
+    }
+
+    // Highest-carbon activities (including the leg to get there)
+    const worst = (itinerary.days || [])
+      .flatMap(day => day.activities || [])
+      .map(activity => ({
+        title: activity.title,
+        kg: Math.round(((activity.carbon_kg || 0) + (activity.transport_carbon_kg || 0)) * 100) / 100,
+      }))
+      .filter(activity => activity.kg > 0)
+      .sort((a, b) => b.kg - a.kg)
+      .slice(0, 5);
+
+    let feedback = `The previous itinerary produced ${problems.join(' and ')}.`;
+    if (worst.length > 0) {
+      feedback += ` The highest-carbon activities were: ${worst.map(a => `${a.title} (${a.kg} kg)`).join(', ')}.`
+        + ' Replace them with lower-carbon options.';
+    }
+    return feedback;
+  }
+
+  /**
+   * Summarise how a generated trip did against its carbon target
+   * @returns {Promise<Object>} Stored on the itinerary as carbon_target
+   */
+  async summariseCarbonTarget(best, carbonTarget, numDays, attempts) {
+    const met = this.meetsCarbonTarget(best.emissions, numDays, carbonTarget);
+    const reasons = [...carbonTarget.reasons];
+
+    if (!met && carbonTarget.feasible) {
+      reasons.push(
+        `The lowest-carbon itinerary found in ${attempts} attempts produces ${best.emissions.total} kg CO₂ `
+        + `after swapping ${best.swaps.length} transport legs for greener modes: `
+        + `${best.emissions.activities} kg from activities, ${best.emissions.transport} kg from local transport `
+        + `and ${carbonTarget.fixed.total} kg from accommodation and the journey to the destination`
+      );
+    }
+
+    return {
+      max_carbon_kg: carbonTarget.max_carbon_kg,
+      target_green_score: carbonTarget.target_green_score,
+      met,
+      total_carbon_kg: best.emissions.total,
+      green_score: CarbonService.calculateGreenScore(best.emissions, numDays),
+      attempts,
+      transport_swaps: best.swaps || [],
+      reasons: met ? [] : reasons,
+      suggestions: met ? [] : await this.getCarbonTargetSuggestions(best.emissionInput),
+    };
+  }
+
+  /**
+   * Suggest changes to the fixed parts of a trip (accommodation and the
+   * journey to the destination) that would lower its floor
+   * @returns {Promise<Array<string>>}
+   */
+  async getCarbonTargetSuggestions(emissionInput) {
+    const suggestions = [];
+    const { travellers, rooms } = CarbonService.getParty(emissionInput);
+    const factorSetId = emissionInput.factor_set_id;
+
+    if (emissionInput.destination_distance_km > 0) {
+      const subCategory = CarbonService.getTravelToDestinationSubCategory(
+        emissionInput.origin_transport_mode,
+        emissionInput.destination_distance_km
+      );
+      const [greenest] = await CarbonService.getEcoAlternatives(
+        subCategory,
+        emissionInput.destination_distance_km * 2,
+        travellers,
+        factorSetId
+      );
+      if (greenest) {
+        suggestions.push(
+          `Travelling to the destination by ${greenest.mode} instead of ${emissionInput.origin_transport_mode || 'flight'} `
+          + `would save about ${greenest.savings_kg} kg CO₂`
+        );
+      }
+    }
+
+    const current = CarbonService.calculateAccommodationEmissions(
+      emissionInput.accommodation_preference,
+      emissionInput.nights,
+      factorSetId,
+      rooms
+    );
+    const [greenestStay] = ACCOMMODATION_TYPES
+      .filter(type => CarbonService.getFactor('accommodation', type, factorSetId) !== null)
+      .map(type => ({
+        type,
+        kg: CarbonService.calculateAccommodationEmissions(type, emissionInput.nights, factorSetId, rooms),
+      }))
+      .sort((a, b) => a.kg - b.kg);
+    if (greenestStay && greenestStay.kg < current) {
+      suggestions.push(
+        `Staying in ${greenestStay.type} instead of ${emissionInput.accommodation_preference} `
+        + `would save about ${Math.round((current - greenestStay.kg) * 100) / 100} kg CO₂`
+      );
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Calculate one-way distance from the traveller's origin to the destination
+   * Uses the already-geocoded destination when available, otherwise geocodes both
+   * @returns {Promise<number>} Distance in kilometers (0 if it cannot be determined)
+   */
+  async calculateOriginDistance(origin, destination, destinationLocation) {
+    const hasDestinationCoords = destinationLocation
+      && (destinationLocation.latitude !== 0 || destinationLocation.longitude !== 0);
+
+    if (hasDestinationCoords) {
+      try {
+        const originLocation = await googlePlacesService.geocodeDestination(origin);
+        const distance = googlePlacesService.calculateHaversineDistance(
+          originLocation.latitude,
+          originLocation.longitude,
+          destinationLocation.latitude,
+          destinationLocation.longitude
+        );
+        return Math.round(distance);
+      } catch (error) {
+        console.warn('Origin geocoding failed, falling back to flight distance lookup:', error.message);
+      }
+    }
+
+    return await googlePlacesService.calculateFlightDistance(origin, destination);
+  }
+
   /**
    * Enhance itinerary with real place data from Google Places
+   * Every activity and meal is resolved to a place near the destination (see enrichDayPlaces)
+   * @param {AbortSignal} [signal] - Stops the lookups before the next day once aborted
    */
-  async enhanceItineraryWithPlaceData(itinerary, locationData) {
-    // For now, we'll keep the AI-generated data as is
-    // This can be enhanced to search for real places and add photos, ratings, etc.
-    
+  async enhanceItineraryWithPlaceData(itinerary, locationData, signal = null) {
     // Add location coordinates to itinerary
     itinerary.destination_coordinates = {
       latitude: locationData.latitude,
       longitude: locationData.longitude,
     };
 
-    // You can add more enhancements here:
-    // - Search for real restaurants and add ratings
-    // - Add photos from Google Places
-    // - Verify locations and add place IDs
-    // - Get real-time opening hours
+    for (const day of itinerary.days || []) {
+      signal?.throwIfAborted();
+      await this.enrichDayPlaces(day, locationData);
+    }
 
     return itinerary;
   }
 
+  /**
+   * Resolve a day's activities and meals to Google places and check each activity
+   * against its place's opening hours
+   * Activities get place_id (null if nothing matched), place_name, lat/lng, rating and
+   * opening_hours; ones already looked up (place_id set) are skipped. Unmatched activities
+   * are geocoded by address later (see calculateDayLegs). opening_hours_conflict is
+   * recomputed for every activity, since edits can move one to another time or day
+   * Meals stay as text, with their places in day.meal_places
+   * Up to PLACE_LOOKUP_CONCURRENCY places are looked up at once
+   */
+  async enrichDayPlaces(day, destinationLocation) {
+    const lookups = [];
+
+    for (const activity of day.activities || []) {
+      if (activity.place_id === undefined) {
+        lookups.push(async () => {
+          const query = [activity.title, activity.location].filter(Boolean).join(', ');
+          const place = await this.resolvePlace(query, destinationLocation);
+
+          activity.place_id = place?.place_id ?? null;
+          if (place) {
+            Object.assign(activity, {
+              place_name: place.name,
+              lat: place.lat,
+              lng: place.lng,
+              rating: place.rating,
+              opening_hours: place.opening_hours,
+            });
+          }
+        });
+      }
+    }
+
+    if (day.meals && day.meal_places === undefined) {
+      const mealPlaces = {};
+      for (const [meal, description] of Object.entries(day.meals)) {
+        if (typeof description === 'string' && description.trim()) {
+          mealPlaces[meal] = null; // Keeps the meals' order while lookups finish in any order
+          lookups.push(async () => {
+            mealPlaces[meal] = await this.resolvePlace(description, destinationLocation);
+          });
+        }
+      }
+      day.meal_places = mealPlaces;
+    }
+
+    await forEachWithConcurrency(lookups, PLACE_LOOKUP_CONCURRENCY, lookup => lookup());
+
+    for (const activity of day.activities || []) {
+      activity.opening_hours_conflict = findOpeningHoursConflict(
+        activity.opening_hours,
+        day.date,
+        activity.time,
+        activity.duration_hours
+      );
+    }
+
+    return day;
+  }
+
+  /**
+   * Find the place matching a text query near the destination and fetch its details
+   * @returns {Promise<Object|null>} { place_id, name, lat, lng, rating, opening_hours },
+   *   or null if no plausible match was found
+   */
+  async resolvePlace(query, destinationLocation) {
+    const nearDestination = hasCoordinates(destinationLocation);
+    const match = await googlePlacesService.findPlace(
+      query,
+      nearDestination ? destinationLocation.latitude : undefined,
+      nearDestination ? destinationLocation.longitude : undefined
+    );
+
+    if (!match || match.latitude === undefined) {
+      return null;
+    }
+
+    // The search only prefers nearby places - discard matches far from the destination
+    if (nearDestination) {
+      const distanceFromDestination = googlePlacesService.calculateHaversineDistance(
+        match.latitude,
+        match.longitude,
+        destinationLocation.latitude,
+        destinationLocation.longitude
+      );
+      if (distanceFromDestination > MAX_ACTIVITY_DISTANCE_KM) {
+        console.warn(`Ignoring place for "${query}": ${Math.round(distanceFromDestination)}km from destination`);
+        return null;
+      }
+    }
+
+    const details = await googlePlacesService.getPlaceDetails(match.place_id);
+
+    return {
+      place_id: match.place_id,
+      name: details?.name || match.name,
+      lat: match.latitude,
+      lng: match.longitude,
+      rating: details?.rating ?? null,
+      // open_now is left out - it is only true at the moment of the lookup
+      opening_hours: details?.opening_hours
+        ? { periods: details.opening_hours.periods, weekday_text: details.opening_hours.weekday_text }
+        : null,
+    };
+  }
+
+  /**
+   * Schedule every day of a new itinerary (see scheduleDay), reordering activities
+   * where that cuts backtracking
+   * @param {Function} [onDay] - Called with each day once it is scheduled
+   */
+  async scheduleActivities(itinerary, destination, destinationLocation, onDay = () => {}) {
+    if (!itinerary.days || !Array.isArray(itinerary.days)) {
+      return itinerary;
+    }
+
+    for (const day of itinerary.days) {
+      await this.scheduleDay(day, destination, destinationLocation, { reorder: true });
+      onDay(day);
+    }
+
+    return itinerary;
+  }
+
+  /**
+   * Measure a day's legs and fix its activity times around travel time and opening
+   * hours, recording what still doesn't fit in day.schedule_conflicts (see SchedulingService)
+   * @param {Object} [options]
+   * @param {boolean} [options.reorder=false] - Also reorder the activities to cut backtracking
+   *   (new itineraries only - edited days keep the order they were given)
+   */
+  async scheduleDay(day, destination, destinationLocation, { reorder = false } = {}) {
+    await this.calculateDayLegs(day, destination, destinationLocation);
+
+    if (reorder && SchedulingService.reorderDay(day)) {
+      await this.calculateDayLegs(day, destination, destinationLocation);
+    }
+
+    SchedulingService.scheduleDay(day);
+    return day;
+  }
+
+  /**
+   * Geocode a day's activities (those without lat/lng) and compute the transport leg to
+   * each from the previous activity
+   * Stores lat/lng, transport_distance_km and travel_minutes on each activity (the first
+   * activity of the day has no leg); CarbonService turns the legs into transport_carbon_kg
+   */
+  async calculateDayLegs(day, destination, destinationLocation) {
+    let previous = null;
+
+    for (const activity of day.activities || []) {
+      if (activity.lat === undefined || activity.lng === undefined) {
+        const coords = await this.geocodeActivity(activity, destination, destinationLocation);
+        activity.lat = coords?.lat ?? null;
+        activity.lng = coords?.lng ?? null;
+      }
+
+      activity.transport_distance_km = 0;
+      activity.travel_minutes = 0;
+
+      if (previous && previous.lat !== null && activity.lat !== null) {
+        const leg = await this.calculateLeg(previous, activity, activity.transport_mode);
+        activity.transport_distance_km = leg.distance_km;
+        activity.travel_minutes = leg.duration_minutes;
+      }
+
+      previous = activity;
+    }
+
+    return day;
+  }
+
+  /**
+   * Geocode a single activity near the destination
+   * @returns {Promise<Object|null>} { lat, lng } or null if no plausible match was found
+   */
+  async geocodeActivity(activity, destination, destinationLocation) {
+    const query = [activity.location || activity.title, destination].filter(Boolean).join(', ');
+
+    try {
+      const result = await googlePlacesService.geocodeDestination(query);
+
+      // Discard matches that landed far away from the destination
+      if (hasCoordinates(destinationLocation)) {
+        const distanceFromDestination = googlePlacesService.calculateHaversineDistance(
+          result.latitude,
+          result.longitude,
+          destinationLocation.latitude,
+          destinationLocation.longitude
+        );
+        if (distanceFromDestination > MAX_ACTIVITY_DISTANCE_KM) {
+          console.warn(`Ignoring geocode for "${query}": ${Math.round(distanceFromDestination)}km from destination`);
+          return null;
+        }
+      }
+
+      return { lat: result.latitude, lng: result.longitude };
+    } catch (error) {
+      console.warn(`Could not geocode activity "${query}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Distance and travel time between two geocoded activities for a transport mode
+   * Uses the Distance Matrix API, falling back to straight-line distance at an average speed
+   * @returns {Promise<Object>} { distance_km, duration_minutes }
+   */
+  async calculateLeg(from, to, transportMode) {
+    const mode = DISTANCE_MATRIX_MODES[transportMode?.toLowerCase()] || 'walking';
+    const result = await googlePlacesService.calculateDistance(
+      { lat: from.lat, lng: from.lng },
+      { lat: to.lat, lng: to.lng },
+      mode
+    );
+
+    if (result.distance_km > 0) {
+      return { distance_km: result.distance_km, duration_minutes: result.duration_minutes };
+    }
+
+    // Distance Matrix failed (it returns 0) - use haversine instead
+    const distance = googlePlacesService.calculateHaversineDistance(from.lat, from.lng, to.lat, to.lng);
+    const distanceKm = Math.round(distance * 10) / 10;
+    return {
+      distance_km: distanceKm,
+      duration_minutes: SchedulingService.estimateTravelMinutes(distanceKm, transportMode),
+    };
+  }
+
   /**
    * Calculate total cost from itinerary
    */
@@ -110,17 +818,41 @@ class ItineraryService {
 
     let total = 0;
     for (const day of itinerary.days) {
-      if (day.activities && Array.isArray(day.activities)) {
-        for (const activity of day.activities) {
-          total += activity.cost || 0;
-        }
+      total += this.calculateDayCost(day);
+    }
+
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Calculate estimated cost for a single itinerary day
+   * daily_cost is the day's total (activities, meals and getting around); days
+   * without one are priced from their activities
+   */
+  calculateDayCost(day) {
+    if (typeof day.daily_cost === 'number') {
+      return Math.round(day.daily_cost * 100) / 100;
+    }
+
+    let total = 0;
+    if (day.activities && Array.isArray(day.activities)) {
+      for (const activity of day.activities) {
+        total += activity.estimated_cost || 0;
       }
-      total += day.daily_cost || 0;
     }
 
     return Math.round(total * 100) / 100;
   }
 
+  /**
+   * Keep a day's daily_cost in step when activities are added, removed or replaced
+   */
+  adjustDayCost(day, delta) {
+    if (typeof day.daily_cost === 'number' && delta) {
+      day.daily_cost = Math.round(Math.max(0, day.daily_cost + delta) * 100) / 100;
+    }
+  }
+
   /**
    * Get eco-friendly recommendations for a destination
    */
@@ -157,20 +889,490 @@ class ItineraryService {
 
   /**
    * Recalculate emissions for a modified itinerary
+   * @param {Object} origin - Optional travel-to-destination leg { distance_km, transport_mode }
+   * @param {number} factorSetId - Optional emission factor set (defaults to the active default set)
+   * @param {Object} party - Optional party size { adults, children, rooms } (defaults to one traveller)
    */
-  async recalculateEmissions(itinerary, numDays, accommodationType) {
-    const emissions = await CarbonService.calculateTripEmissions({
+  async recalculateEmissions(itinerary, numDays, accommodationType, origin = {}, factorSetId = null, party = {}) {
+    await CarbonService.loadFactors();
+    const emissionInput = {
       accommodation_preference: accommodationType,
       nights: numDays,
       itinerary: itinerary,
-    });
+      destination_distance_km: origin.distance_km || 0,
+      origin_transport_mode: origin.transport_mode,
+      factor_set_id: factorSetId,
+      adults: party.adults,
+      children: party.children,
+      rooms: party.rooms,
+    };
+    const emissions = CarbonService.calculateTripEmissions(emissionInput);
 
-    const greenScore = CarbonService.calculateGreenScore(emissions.total, numDays);
+    const greenScore = CarbonService.calculateGreenScore(emissions, numDays);
 
     return {
       total_carbon_kg: emissions.total,
       green_score: greenScore,
+      green_score_explanation: CarbonService.explainGreenScore(emissions, numDays, emissionInput),
       carbon_breakdown: emissions,
+      baseline_carbon: CarbonService.calculateBaselineEmissions(emissionInput),
+    };
+  }
+
+  /**
+   * Store a carbon breakdown (and Green Score explanation and conventional-trip
+   * baseline) on the itinerary (read by the trip view and stats)
+   */
+  storeCarbonBreakdown(itinerary, emissions, greenScoreExplanation = null, baseline = null) {
+    itinerary.transport_carbon = emissions.transport;
+    itinerary.accommodation_carbon = emissions.accommodation;
+    itinerary.activities_carbon = emissions.activities;
+    itinerary.travel_to_destination_carbon = emissions.travel_to_destination;
+    // Low/high ranges and data quality (exact, mapped or fallback factors)
+    if (emissions.uncertainty) {
+      itinerary.carbon_uncertainty = emissions.uncertainty;
+    }
+    if (greenScoreExplanation) {
+      itinerary.green_score_explanation = greenScoreExplanation;
+    }
+    if (baseline) {
+      itinerary.baseline_carbon = baseline;
+    }
+  }
+
+  /**
+   * Recalculate a stored trip's emissions with a given factor set
+   * Works on a copy of the itinerary, so the trip row is left untouched
+   * @param {Object} trip - Trip row from the database
+   * @param {number} factorSetId - Emission factor set to calculate with
+   * @returns {Promise<Object>} { itinerary, total_carbon_kg, green_score, carbon_breakdown, baseline_carbon }
+   */
+  async recalculateTrip(trip, factorSetId) {
+    const itinerary = structuredClone(trip.itinerary || {});
+    const numDays = differenceInDays(new Date(trip.end_date), new Date(trip.start_date)) + 1;
+
+    const result = await this.recalculateEmissions(
+      itinerary,
+      numDays,
+      trip.accommodation_preference,
+      {
+        distance_km: parseFloat(trip.origin_distance_km) || 0,
+        transport_mode: trip.origin_transport_mode,
+      },
+      factorSetId,
+      this.getTripParty(trip)
+    );
+    this.storeCarbonBreakdown(
+      itinerary,
+      result.carbon_breakdown,
+      result.green_score_explanation,
+      result.baseline_carbon
+    );
+
+    return { itinerary, ...result };
+  }
+
+  /**
+   * Find an activity in an itinerary by ID
+   * @returns {Object|null} { day, activity, index }
+   */
+  findActivity(itinerary, activityId) {
+    for (const day of itinerary?.days || []) {
+      const index = (day.activities || []).findIndex(activity => String(activity.id) === String(activityId));
+      if (index !== -1) {
+        return { day, activity: day.activities[index], index };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Job handler: look up alternatives for { trip_id, activity_id }
+   * The trip is read when the job runs, so the options match its current itinerary
+   * @returns {Promise<Object>} Job result, shaped like getActivityAlternatives plus trip_id
+   */
+  async runAlternativesJob(job) {
+    const trip = await Trip.findById(job.payload.trip_id);
+    if (!trip) {
+      throw itineraryEditError(404, 'Trip not found');
+    }
+
+    const alternatives = await this.getActivityAlternatives(trip, job.payload.activity_id);
+    if (!alternatives) {
+      throw itineraryEditError(404, 'Activity not found');
+    }
+
+    return { trip_id: trip.id, ...alternatives };
+  }
+
+  /**
+   * Lower-carbon options for one activity of a stored trip: greener transport
+   * for the leg to it, and AI-suggested replacement activities
+   * @param {Object} trip - Trip row from the database
+   * @param {string} activityId - Activity ID (e.g., '2-3')
+   * @returns {Promise<Object|null>} Alternatives, or null if the activity doesn't exist
+   */
+  async getActivityAlternatives(trip, activityId) {
+    const found = this.findActivity(trip.itinerary, activityId);
+    if (!found) {
+      return null;
+    }
+
+    const { activity } = found;
+    const factorSetId = trip.factor_set_id;
+    const { travellers } = CarbonService.getParty(trip);
+    await CarbonService.loadFactors();
+
+    const currentActivityKg = activity.carbon_kg || 0;
+    const currentTransportKg = activity.transport_carbon_kg || 0;
+    const distanceKm = activity.transport_distance_km || 0;
+
+    // Greener ways to make the leg from the previous activity (one option per itinerary mode)
+    const transportAlternatives = [];
+    if (distanceKm > 0 && activity.transport_mode) {
+      const alternatives = await CarbonService.getEcoAlternatives(
+        activity.transport_mode,
+        distanceKm,
+        travellers,
+        factorSetId
+      );
+      for (const alternative of alternatives) {
+        const mode = ECO_SWAP_MODES[alternative.mode];
+        if (mode && !transportAlternatives.some(option => option.transport_mode === mode)) {
+          transportAlternatives.push({ ...alternative, transport_mode: mode });
+        }
+      }
+    }
+
+    // Replacement activities, with carbon estimated over the same leg distance
+    const suggestions = await openaiService.generateEcoAlternatives(activity, trip.destination);
+    const activityAlternatives = suggestions
+      .map(suggestion => {
+        const carbonKg = CarbonService.calculateActivityEmissions(suggestion.type, travellers, factorSetId);
+        const transportCarbonKg = CarbonService.calculateTransportEmissions(
+          suggestion.transport_mode,
+          distanceKm,
+          factorSetId,
+          travellers
+        );
+        const savings = (currentActivityKg + currentTransportKg) - (carbonKg + transportCarbonKg);
+
+        return {
+          ...suggestion,
+          carbon_kg: Math.round(carbonKg * 100) / 100,
+          transport_carbon_kg: Math.round(transportCarbonKg * 100) / 100,
+          savings_kg: Math.round(savings * 100) / 100,
+        };
+      })
+      .filter(suggestion => suggestion.savings_kg >= 0)
+      .sort((a, b) => b.savings_kg - a.savings_kg);
+
+    return {
+      activity: {
+        id: activity.id,
+        day: found.day.day,
+        title: activity.title,
+        type: activity.type,
+        transport_mode: activity.transport_mode,
+        transport_distance_km: distanceKm,
+        carbon_kg: currentActivityKg,
+        transport_carbon_kg: currentTransportKg,
+      },
+      transport_alternatives: transportAlternatives,
+      activity_alternatives: activityAlternatives,
+    };
+  }
+
+  /**
+   * Edits that apply a chosen alternative to one activity (see applyItineraryEdits)
+   * A replacement activity keeps the original's ID and time slot
+   * @param {string} activityId - Activity ID (e.g., '2-3')
+   * @param {Object} choice - { transport_mode } or { activity } (a replacement activity)
+   * @returns {Array} Edit operations
+   */
+  activityAlternativeEdits(activityId, choice) {
+    return choice.activity
+      ? [{ op: 'replace_activity', activity_id: activityId, activity: choice.activity }]
+      : [{ op: 'set_activity_transport', activity_id: activityId, transport_mode: choice.transport_mode }];
+  }
+
+  /**
+   * Apply itinerary edits and recalculate the trip's carbon, cost and Green Score
+   * Works on a copy of the itinerary, so the trip row is left untouched; every day that
+   * changed has its places looked up, its legs re-measured and its times fixed again
+   * (see scheduleDay)
+   * @param {Object} trip - Trip row from the database
+   * @param {Array} edits - Edit operations (see itineraryEditSchema), applied in order
+   * @returns {Promise<Object>} Recalculated trip values (as recalculateTrip) plus total_cost
+   * @throws {Error} With statusCode 404 for a missing day or activity, 400 for an invalid edit
+   */
+  async applyItineraryEdits(trip, edits) {
+    const itinerary = structuredClone(trip.itinerary || {});
+    const changedDays = new Set();
+
+    for (const edit of edits) {
+      for (const day of this.applyItineraryEdit(itinerary, edit)) {
+        changedDays.add(day);
+      }
+    }
+
+    const coordinates = itinerary.destination_coordinates;
+    const destinationLocation = coordinates
+      ? { latitude: coordinates.latitude, longitude: coordinates.longitude }
+      : null;
+    for (const day of changedDays) {
+      await this.enrichDayPlaces(day, destinationLocation);
+      await this.scheduleDay(day, trip.destination, destinationLocation);
+    }
+
+    const result = await this.recalculateTrip({ ...trip, itinerary }, trip.factor_set_id);
+
+    return {
+      ...result,
+      total_cost: this.calculateTotalCost(result.itinerary),
+    };
+  }
+
+  /**
+   * Check edit operations from an untrusted source (e.g. the AI chat) against
+   * itineraryEditSchema, keeping the valid ones in order
+   * @param {Array} edits - Edit operations
+   * @returns {Object} { edits, rejected } - rejected entries are { edit, message }
+   */
+  validateItineraryEdits(edits) {
+    const valid = [];
+    const rejected = [];
+
+    for (const edit of edits || []) {
+      const { error, value } = itineraryEditSchema.validate(edit, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        rejected.push({ edit, message: error.details.map(detail => detail.message).join(', ') });
+      } else {
+        valid.push(value);
+      }
+    }
+
+    return { edits: valid, rejected };
+  }
+
+  /**
+   * Apply a single edit operation to an itinerary in place
+   * @returns {Array} The days whose activities or legs changed
+   */
+  applyItineraryEdit(itinerary, edit) {
+    switch (edit.op) {
+      case 'add_activity': {
+        const day = this.getItineraryDay(itinerary, edit.day);
+        const position = Math.min(edit.position ?? day.activities.length, day.activities.length);
+        const activity = {
+          ...edit.activity,
+          id: this.getNextActivityId(itinerary, day.day),
+          time: edit.activity.time || this.getSlotTime(day, position),
+          carbon_kg: 0, // Recomputed from emission factors by CarbonService
+        };
+        day.activities.splice(position, 0, activity);
+        this.adjustDayCost(day, activity.estimated_cost || 0);
+        return [day];
+      }
+
+      case 'remove_activity': {
+        const found = this.findActivity(itinerary, edit.activity_id);
+        if (!found) {
+          throw itineraryEditError(404, 'Activity not found');
+        }
+        found.day.activities.splice(found.index, 1);
+        this.adjustDayCost(found.day, -(found.activity.estimated_cost || 0));
+        return [found.day];
+      }
+
+      case 'reorder_activities': {
+        const day = this.getItineraryDay(itinerary, edit.day);
+        const current = day.activities.map(activity => String(activity.id));
+        const sameActivities = edit.activity_ids.length === current.length
+          && edit.activity_ids.every(id => current.includes(String(id)));
+        if (!sameActivities) {
+          throw itineraryEditError(400, `activity_ids must list every activity on day ${day.day} exactly once`);
+        }
+
+        // Activities swap places, the day's time slots stay where they were
+        const times = day.activities.map(activity => activity.time).sort();
+        day.activities = edit.activity_ids.map((id, index) => ({
+          ...day.activities.find(activity => String(activity.id) === String(id)),
+          time: times[index],
+        }));
+        return [day];
+      }
+
+      case 'move_activity': {
+        const found = this.findActivity(itinerary, edit.activity_id);
+        if (!found) {
+          throw itineraryEditError(404, 'Activity not found');
+        }
+        const toDay = this.getItineraryDay(itinerary, edit.to_day);
+
+        found.day.activities.splice(found.index, 1);
+        this.adjustDayCost(found.day, -(found.activity.estimated_cost || 0));
+
+        const position = Math.min(edit.position ?? toDay.activities.length, toDay.activities.length);
+        found.activity.time = this.getSlotTime(toDay, position);
+        toDay.activities.splice(position, 0, found.activity);
+        this.adjustDayCost(toDay, found.activity.estimated_cost || 0);
+        return found.day === toDay ? [toDay] : [found.day, toDay];
+      }
+
+      case 'set_day_transport': {
+        const day = this.getItineraryDay(itinerary, edit.day);
+        for (const activity of day.activities) {
+          activity.transport_mode = edit.transport_mode;
+        }
+        return [day];
+      }
+
+      // Internal edits carrying AI output or a chosen alternative (see regenerateDay,
+      // regenerateActivity and activityAlternativeEdits); itineraryEditSchema doesn't
+      // accept them from clients
+      case 'replace_day': {
+        const day = this.getItineraryDay(itinerary, edit.day);
+        const { activities, ...details } = edit.replacement;
+        Object.assign(day, details, { activities: [] });
+        delete day.meal_places; // The new meals are looked up with the day's places
+        for (const { id, ...activity } of activities) {
+          day.activities.push({
+            ...activity,
+            time: TIME_PATTERN.test(activity.time) ? activity.time : this.getSlotTime(day, day.activities.length),
+            carbon_kg: 0, // Recomputed from emission factors by CarbonService
+          });
+        }
+        day.activities.sort((a, b) => a.time.localeCompare(b.time));
+        // Fresh IDs in time order (the AI's own IDs were dropped above, so they don't
+        // hold numbers back), now the day's old activities are gone
+        for (const activity of day.activities) {
+          activity.id = this.getNextActivityId(itinerary, day.day);
+        }
+        return [day];
+      }
+
+      case 'replace_activity': {
+        const found = this.findActivity(itinerary, edit.activity_id);
+        if (!found) {
+          throw itineraryEditError(404, 'Activity not found');
+        }
+        // Keep the slot (ID and time); the new place is looked up with the day's legs
+        const { day, activity } = found;
+        this.adjustDayCost(day, (edit.activity.estimated_cost || 0) - (activity.estimated_cost || 0));
+        Object.assign(activity, edit.activity, { id: activity.id, time: activity.time, carbon_kg: 0 });
+        clearActivityPlace(activity);
+        return [day];
+      }
+
+      // Internal too (see activityAlternativeEdits)
+      case 'set_activity_transport': {
+        const found = this.findActivity(itinerary, edit.activity_id);
+        if (!found) {
+          throw itineraryEditError(404, 'Activity not found');
+        }
+        found.activity.transport_mode = edit.transport_mode;
+        return [found.day];
+      }
+
+      default:
+        throw itineraryEditError(400, `Unknown itinerary edit: ${edit.op}`);
+    }
+  }
+
+  /**
+   * Ask the AI for a new version of one day, with the rest of the itinerary as context
+   * Returns the edit that applies it (see applyItineraryEdits), so the slow AI call
+   * can run before the trip row is locked
+   * @param {Object} trip - Trip row from the database
+   * @param {number} dayNumber - 1-based day number
+   * @param {string} [instructions] - What the traveller wants changed (e.g. 'more outdoor', 'rainy day')
+   * @returns {Promise<Array>} Edit operations
+   * @throws {Error} With statusCode 404 for a missing day, 502 if the AI call fails
+   */
+  async regenerateDay(trip, dayNumber, instructions) {
+    const day = this.getItineraryDay(structuredClone(trip.itinerary || {}), dayNumber);
+    const replacement = await openaiService.regenerateDay(trip, day, instructions);
+    if (!replacement) {
+      throw itineraryEditError(502, 'Could not regenerate the day right now, please try again');
+    }
+    return [{ op: 'replace_day', day: day.day, replacement }];
+  }
+
+  /**
+   * Ask the AI for a replacement for one activity (same ID and time slot),
+   * with the rest of the itinerary as context
+   * @param {Object} trip - Trip row from the database
+   * @param {string} activityId - Activity ID (e.g., '2-3')
+   * @param {string} [instructions] - What the traveller wants changed (e.g. 'cheaper')
+   * @returns {Promise<Array>} Edit operations
+   * @throws {Error} With statusCode 404 for a missing activity, 502 if the AI call fails
+   */
+  async regenerateActivity(trip, activityId, instructions) {
+    const found = this.findActivity(trip.itinerary, activityId);
+    if (!found) {
+      throw itineraryEditError(404, 'Activity not found');
+    }
+    const replacement = await openaiService.regenerateActivity(trip, found.day, found.activity, instructions);
+    if (!replacement) {
+      throw itineraryEditError(502, 'Could not regenerate the activity right now, please try again');
+    }
+    return [{ op: 'replace_activity', activity_id: found.activity.id, activity: replacement }];
+  }
+
+  /**
+   * Find an itinerary day by its 1-based day number
+   * @throws {Error} With statusCode 404 if the trip has no such day
+   */
+  getItineraryDay(itinerary, dayNumber) {
+    const day = (itinerary.days || []).find(d => Number(d.day) === Number(dayNumber));
+    if (!day) {
+      throw itineraryEditError(404, `Day ${dayNumber} not found`);
+    }
+    day.activities = day.activities || [];
+    return day;
+  }
+
+  /**
+   * Next free activity ID for a day (IDs stay unique across the itinerary,
+   * and moved activities keep theirs)
+   */
+  getNextActivityId(itinerary, dayNumber) {
+    const usedIds = new Set(
+      (itinerary.days || []).flatMap(day => (day.activities || []).map(activity => String(activity.id)))
+    );
+    let index = 1;
+    while (usedIds.has(`${dayNumber}-${index}`)) {
+      index++;
+    }
+    return `${dayNumber}-${index}`;
+  }
+
+  /**
+   * Start time for an activity placed at a position in a day: straight after the
+   * activity before it, or at the start of the day
+   */
+  getSlotTime(day, position) {
+    const previous = day.activities[position - 1];
+    if (!previous) {
+      return day.activities[0]?.time || DEFAULT_ACTIVITY_TIME;
+    }
+
+    const [hours, minutes] = (previous.time || DEFAULT_ACTIVITY_TIME).split(':').map(Number);
+    const end = Math.min(hours * 60 + minutes + Math.round((previous.duration_hours || 0) * 60), 23 * 60 + 59);
+    return `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Read the travelling party from a stored trip
+   * @param {Object} trip - Trip row from the database
+   * @returns {Object} { adults, children, rooms }
+   */
+  getTripParty(trip) {
+    return {
+      adults: trip.adults || 1,
+      children: trip.children || 0,
+      rooms: trip.rooms || 1,
     };
   }
 }
@@ -0,0 +1,352 @@
+import { EventEmitter } from 'events';
+import os from 'os';
+import Job from '../models/Job.js';
+import config from '../config/env.js';
+
+// Delay before the first retry; doubles with each further attempt
+const RETRY_BASE_DELAY_MS = 5000;
+
+// How long shutdown waits for running jobs before putting them back in the queue
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+const CANCELLED_EVENT = { type: 'cancelled', message: 'Cancelled' };
+
+// Abort reason for jobs stopped by a shutdown - they go back in the queue instead of being cancelled
+const SHUTDOWN_REASON = new Error('Server is shutting down');
+
+/**
+ * Job Queue Service - runs background jobs stored in the jobs table
+ * Services register a handler per job type; the worker loop claims due jobs,
+ * runs up to config.jobs.concurrency of them at once, retries failures with
+ * exponential backoff and records progress events that clients can stream.
+ * Running jobs are leased to their worker, which keeps renewing the lease; jobs whose
+ * worker stopped (its lease ran out) are requeued, so several API instances can share the queue
+ */
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.running = new Map(); // Job ID -> { controller, promise }
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per connected client
+    this.started = false;
+    this.polling = false;
+    this.pollTimer = null;
+    this.leaseTimer = null;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type (see the jobs table CHECK constraint)
+   * @param {Function} handler - async (job, { signal, publish }) => result
+   *   publish(event, progress) records a progress event; signal is aborted when
+   *   the job is cancelled, and handlers check it between steps
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts=3] - Runs before the job is marked failed
+   * @param {string} [options.failureMessage] - Shown when the job fails unexpectedly
+   * @param {Function} [options.onCancel] - async (job) => {}, called when a job is cancelled
+   *   without its handler getting to finish (cancelled while pending, or while running on a
+   *   server that stopped), to tidy up records the handler would have closed
+   */
+  register(type, handler, { maxAttempts = 3, failureMessage = 'The job failed. Please try again.', onCancel = null } = {}) {
+    this.handlers.set(type, { handler, maxAttempts, failureMessage, onCancel });
+  }
+
+  /**
+   * Queue a job to run in the background
+   * @returns {Promise<Object>} The job (status 'pending')
+   */
+  async enqueue(type, { userId = null, payload = {} } = {}) {
+    const registration = this.handlers.get(type);
+    if (!registration) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const job = await Job.create({ type, userId, payload, maxAttempts: registration.maxAttempts });
+    this.wake();
+    return job;
+  }
+
+  /**
+   * Start the worker loop, first requeueing jobs a stopped worker left behind
+   */
+  async start() {
+    if (this.started) return;
+
+    await this.recoverInterrupted();
+
+    this.started = true;
+    this.poll();
+
+    // Renew this worker's leases well before they run out, and pick up jobs other workers dropped
+    this.leaseTimer = setInterval(() => this.maintainLeases(), config.jobs.leaseMs / 3);
+  }
+
+  /**
+   * Requeue (or cancel, if asked to) running jobs whose lease has run out
+   */
+  async recoverInterrupted() {
+    const recovered = await Job.recoverInterrupted(CANCELLED_EVENT);
+    if (recovered.length > 0) {
+      console.log(`Recovered ${recovered.length} interrupted job(s)`);
+    }
+    await Promise.all(recovered.filter(job => job.status === 'cancelled').map(job => this.runCancelHook(job)));
+  }
+
+  /**
+   * Renew the leases of this worker's running jobs and recover expired ones
+   * Running jobs cancelled through another server are aborted here
+   */
+  async maintainLeases() {
+    try {
+      if (this.running.size > 0) {
+        const cancelRequested = await Job.renewLeases(this.workerId, config.jobs.leaseMs);
+        for (const id of cancelRequested) {
+          this.running.get(id)?.controller.abort();
+        }
+      }
+      await this.recoverInterrupted();
+      this.wake();
+    } catch (error) {
+      console.error('Failed to maintain job leases:', error);
+    }
+  }
+
+  /**
+   * Stop taking jobs and wait for running ones to finish
+   * Jobs still running after SHUTDOWN_TIMEOUT_MS are aborted and go back in the queue
+   */
+  async stop() {
+    this.started = false;
+    clearTimeout(this.pollTimer);
+
+    if (this.running.size > 0) {
+      console.log(`Waiting for ${this.running.size} running job(s) to finish...`);
+      let timer;
+      await Promise.race([
+        Promise.all([...this.running.values()].map(({ promise }) => promise)),
+        new Promise(resolve => {
+          timer = setTimeout(resolve, SHUTDOWN_TIMEOUT_MS);
+        }),
+      ]);
+      clearTimeout(timer);
+
+      // Abort first so a handler can't save its work after the job is released (it would
+      // be saved again when the job reruns); a late finish is ignored once it's pending
+      const unfinished = [...this.running.entries()];
+      for (const [, { controller }] of unfinished) {
+        controller.abort(SHUTDOWN_REASON);
+      }
+      await Promise.all(unfinished.map(([id]) => Job.release(id)));
+    }
+
+    // Leases are renewed while running jobs are waited for
+    clearInterval(this.leaseTimer);
+  }
+
+  /**
+   * Check for due jobs now instead of waiting for the next poll
+   */
+  wake() {
+    if (this.started) {
+      setImmediate(() => this.poll());
+    }
+  }
+
+  /**
+   * Claim and start due jobs while there is spare capacity
+   */
+  async poll() {
+    if (!this.started || this.polling) return;
+    this.polling = true;
+    clearTimeout(this.pollTimer);
+
+    try {
+      while (this.started && this.running.size < config.jobs.concurrency) {
+        const job = await Job.claimNext([...this.handlers.keys()], this.workerId, config.jobs.leaseMs);
+        if (!job) break;
+
+        // Shutdown started while the job was being claimed
+        if (!this.started) {
+          await Job.release(job.id);
+          break;
+        }
+        this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Failed to claim jobs:', error);
+    } finally {
+      this.polling = false;
+      if (this.started) {
+        this.pollTimer = setTimeout(() => this.poll(), config.jobs.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Run a claimed job in the background
+   */
+  runJob(job) {
+    const controller = new AbortController();
+
+    // Not awaited - the outcome is recorded on the job row
+    const promise = this.execute(job, controller.signal)
+      .catch(error => console.error(`Job ${job.id} could not be updated:`, error))
+      .finally(() => {
+        this.running.delete(job.id);
+        this.wake();
+      });
+
+    this.running.set(job.id, { controller, promise });
+  }
+
+  /**
+   * Run the job's handler and record the outcome: completed, cancelled,
+   * queued for a retry, or failed
+   */
+  async execute(job, signal) {
+    const { handler, failureMessage } = this.handlers.get(job.type);
+
+    // Events are written one at a time so they keep their order
+    let published = Promise.resolve();
+    const publish = (event, progress = null) => {
+      published = published
+        .then(() => this.publish(job.id, event, progress))
+        .catch(error => console.error(`Failed to record event for job ${job.id}:`, error));
+      return published;
+    };
+
+    let outcome;
+    try {
+      const result = (await handler(job, { signal, publish })) || {};
+      await published;
+      outcome = await Job.finish(job.id, {
+        status: 'completed',
+        result,
+        event: { type: 'completed', ...result },
+      });
+    } catch (error) {
+      await published;
+
+      if (signal.aborted && signal.reason === SHUTDOWN_REASON) {
+        // stop() puts the job back in the queue
+        outcome = null;
+      } else if (signal.aborted) {
+        outcome = await Job.finish(job.id, { status: 'cancelled', event: CANCELLED_EVENT });
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, error);
+
+        // Errors with a 4xx statusCode (missing trip, bad input) won't succeed on a retry
+        const message = error.statusCode ? error.message : failureMessage;
+        const retryable = !(error.statusCode >= 400 && error.statusCode < 500);
+
+        if (retryable && job.attempts < job.max_attempts) {
+          const delayMs = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+          outcome = await Job.retry(job.id, {
+            error: message,
+            delayMs,
+            event: {
+              type: 'retry',
+              attempt: job.attempts,
+              retry_in_seconds: delayMs / 1000,
+              message: `Something went wrong, trying again in ${delayMs / 1000} seconds`,
+            },
+          });
+        } else {
+          outcome = await Job.finish(job.id, { status: 'failed', error: message, event: { type: 'failed', message } });
+        }
+      }
+    }
+
+    // No outcome if the job was released (shutdown) before it could be recorded
+    if (outcome) {
+      this.emit(job.id, outcome.event);
+    }
+  }
+
+  /**
+   * Record a progress event on a job and pass it to subscribers
+   * @returns {Promise<Object>} The stored event (with its id)
+   */
+  async publish(jobId, event, progress = null) {
+    const stored = await Job.addEvent(jobId, event, progress);
+    this.emit(jobId, stored);
+    return stored;
+  }
+
+  /**
+   * Pass an already stored event to subscribers
+   */
+  emit(jobId, event) {
+    this.emitter.emit(`job:${jobId}`, event);
+  }
+
+  /**
+   * Public view of a job (its events are streamed separately)
+   */
+  formatJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      user_id: job.user_id,
+      status: job.status,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      attempts: job.attempts,
+      max_attempts: job.max_attempts,
+      cancel_requested: job.cancel_requested,
+      last_event_id: job.last_event_id ?? job.events?.length ?? 0,
+      run_at: job.run_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      created_at: job.created_at,
+    };
+  }
+
+  /**
+   * Listen for a job's new events (from this server's workers)
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(jobId, listener) {
+    this.emitter.on(`job:${jobId}`, listener);
+    return () => this.emitter.off(`job:${jobId}`, listener);
+  }
+
+  /**
+   * Cancel a job: pending jobs stop straight away, running ones at their next checkpoint
+   * @returns {Promise<Object|null>} The updated job, or null if it had already finished
+   */
+  async cancel(jobId) {
+    const cancelled = await Job.cancelPending(jobId, CANCELLED_EVENT);
+    if (cancelled) {
+      await this.runCancelHook(cancelled);
+      this.emit(jobId, cancelled.event);
+      return cancelled;
+    }
+
+    // A job running on another server is aborted when that server next renews its lease
+    const requested = await Job.requestCancel(jobId);
+    if (requested) {
+      this.running.get(requested.id)?.controller.abort();
+    }
+    return requested || null;
+  }
+
+  /**
+   * Run the onCancel hook of a cancelled job's type (errors are logged, not thrown)
+   */
+  async runCancelHook(job) {
+    const onCancel = this.handlers.get(job.type)?.onCancel;
+    if (!onCancel) return;
+
+    try {
+      await onCancel(job);
+    } catch (error) {
+      console.error(`Cancel hook for job ${job.id} (${job.type}) failed:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+export default new JobQueueService();
@@ -0,0 +1,48 @@
+import {
+  buildItineraryFixture,
+  buildAlternativesFixture,
+  buildDayFixture,
+  buildActivityFixture,
+  buildChatFixture,
+} from './fixtures.js';
+
+// Canned answer for each task, built from the request context
+const TASK_FIXTURES = {
+  itinerary: buildItineraryFixture,
+  alternatives: buildAlternativesFixture,
+  regenerate_day: buildDayFixture,
+  regenerate_activity: buildActivityFixture,
+  chat: buildChatFixture,
+};
+
+/**
+ * Deterministic LLM provider for development and tests
+ * Answers from fixtures.js without any network access (LLM_PROVIDER=fixture)
+ */
+class FixtureProvider {
+  constructor({ models }) {
+    this.models = models;
+  }
+
+  /**
+   * Model configured for a task (reported only; fixtures don't depend on it)
+   */
+  getModel(task) {
+    return this.models[task] || this.models.default;
+  }
+
+  /**
+   * Return the canned answer for a task
+   * @param {Object} request - { task, context } (messages and sampling options are ignored)
+   * @returns {Promise<Object>} A fresh copy of the fixture
+   */
+  async completeJson({ task, context = {} }) {
+    const buildFixture = TASK_FIXTURES[task];
+    if (!buildFixture) {
+      throw new Error(`No fixture for LLM task: ${task}`);
+    }
+    return structuredClone(buildFixture(context));
+  }
+}
+
+export default FixtureProvider;
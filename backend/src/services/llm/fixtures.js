@@ -0,0 +1,229 @@
+import { differenceInDays } from 'date-fns';
+
+/**
+ * Canned model responses for the fixture LLM provider (and the demo itinerary
+ * used when a real provider fails). Everything here is deterministic, so the
+ * same request always gets the same answer and nothing touches the network
+ */
+
+/**
+ * A sample itinerary in the raw shape the itinerary prompt asks for
+ * @param {Object} tripData - destination, start_date, end_date, budget
+ * @returns {Object} Itinerary (before validateAndEnhanceItinerary)
+ */
+export const buildItineraryFixture = ({ destination, start_date, end_date, budget }) => {
+  // Calculate number of days
+  const numDays = differenceInDays(new Date(end_date), new Date(start_date)) + 1;
+
+  const itinerary = {
+    summary: `An eco-friendly ${numDays}-day adventure in ${destination} with sustainable transportation, local experiences, and carbon-conscious activities. This is a DEMO itinerary showing the platform's capabilities.`,
+    sustainability_score: 85,
+    estimated_total_cost: Math.min(budget * 0.9, budget - 100),
+    days: [],
+    packing_tips: [
+      'Reusable water bottle',
+      'Eco-friendly toiletries',
+      'Comfortable walking shoes',
+      'Light, layered clothing',
+      'Reusable shopping bag'
+    ],
+    eco_tips: [
+      'Use public transportation whenever possible',
+      'Support local businesses and artisans',
+      'Choose restaurants with locally-sourced ingredients',
+      'Avoid single-use plastics',
+      'Walk or cycle for short distances'
+    ],
+    local_customs: [
+      'Respect local customs and traditions',
+      'Learn a few basic phrases in the local language',
+      'Dress appropriately for cultural sites',
+      'Ask permission before taking photos of people'
+    ]
+  };
+
+  // Generate days
+  for (let day = 1; day <= numDays; day++) {
+    const dayDate = new Date(start_date);
+    dayDate.setDate(dayDate.getDate() + (day - 1));
+    
+    const dailyBudget = Math.round(budget / numDays * 0.8);
+    
+    itinerary.days.push({
+      day: day, // Frontend expects 'day' not 'day_number'
+      date: dayDate.toISOString().split('T')[0],
+      theme: day === 1 ? 'Arrival & Exploration' : day === numDays ? 'Final Day & Departure' : `Discover ${destination}`,
+      activities: [
+        {
+          id: `${day}-1`,
+          time: '09:00',
+          title: `Morning Exploration of ${destination}`, // Frontend expects 'title' not 'name'
+          location: `Central ${destination}`,
+          duration_hours: 2,
+          estimated_cost: 0, // Frontend expects 'estimated_cost' not 'cost'
+          carbon_kg: 0.5, // Frontend expects 'carbon_kg'
+          type: 'outdoor_activity', // Frontend expects 'type' not 'category'
+          description: 'Start your day with a walking tour of the city center',
+          transport_mode: 'walking',
+          eco_alternative: 'Walking is the most eco-friendly way to explore' // Frontend expects 'eco_alternative'
+        },
+        {
+          id: `${day}-2`,
+          time: '11:30',
+          title: 'Local Museum Visit',
+          location: 'City Museum',
+          duration_hours: 2,
+          estimated_cost: 15,
+          carbon_kg: 2.0,
+          type: 'museum',
+          description: 'Explore local history and culture',
+          transport_mode: 'walking',
+          eco_alternative: 'Support local cultural institutions'
+        },
+        {
+          id: `${day}-3`,
+          time: '13:30',
+          title: 'Lunch at Local Restaurant',
+          location: 'Local Cuisine Restaurant',
+          duration_hours: 1.5,
+          estimated_cost: 25,
+          carbon_kg: 3.5,
+          type: 'restaurant',
+          description: 'Try authentic local dishes made with seasonal ingredients',
+          transport_mode: 'walking',
+          eco_alternative: 'Choose restaurants using locally-sourced ingredients'
+        },
+        {
+          id: `${day}-4`,
+          time: '15:30',
+          title: 'Afternoon Cultural Experience',
+          location: 'Historic District',
+          duration_hours: 2,
+          estimated_cost: 10,
+          carbon_kg: 1.5,
+          type: 'tour',
+          description: 'Guided walking tour of historic landmarks',
+          transport_mode: 'walking',
+          eco_alternative: 'Walking tours have zero carbon footprint'
+        },
+        {
+          id: `${day}-5`,
+          time: '18:00',
+          title: 'Evening Leisure',
+          location: 'City Park',
+          duration_hours: 1,
+          estimated_cost: 0,
+          carbon_kg: 0,
+          type: 'outdoor_activity',
+          description: 'Relax in a local park and enjoy the atmosphere',
+          transport_mode: 'walking',
+          eco_alternative: 'Public parks are free and eco-friendly'
+        }
+      ],
+      meals: {
+        breakfast: 'Hotel breakfast or local bakery',
+        lunch: 'Local restaurant with seasonal menu',
+        dinner: 'Traditional local cuisine'
+      },
+      daily_cost: dailyBudget
+    });
+  }
+
+  return itinerary;
+};
+
+/**
+ * Replacement activities for the alternatives prompt
+ */
+export const buildAlternativesFixture = ({ activity, destination }) => ({
+  alternatives: [
+    {
+      title: `Guided walking tour of ${destination}`,
+      location: `Old Town, ${destination}`,
+      type: 'tour',
+      description: 'Small-group tour led by a local guide',
+      duration_hours: activity.duration_hours || 2,
+      estimated_cost: 12,
+      transport_mode: 'walking',
+      eco_alternative: 'No transport emissions and supports local guides',
+    },
+    {
+      title: `${destination} community garden`,
+      location: `${destination} city centre`,
+      type: 'outdoor_activity',
+      description: 'Volunteer-run garden with seasonal workshops',
+      duration_hours: activity.duration_hours || 2,
+      estimated_cost: 0,
+      transport_mode: 'bicycle',
+      eco_alternative: 'Free, outdoors and reached by bike',
+    },
+  ],
+});
+
+/**
+ * A new version of a day for the regenerate-day prompt
+ */
+export const buildDayFixture = ({ trip, day }) => ({
+  theme: `A greener day in ${trip.destination}`,
+  activities: [
+    {
+      time: '09:30',
+      title: `Cycle tour of ${trip.destination}`,
+      location: `${trip.destination} city centre`,
+      type: 'tour',
+      description: 'Morning bike tour of the main sights',
+      duration_hours: 2.5,
+      estimated_cost: 20,
+      transport_mode: 'bicycle',
+      eco_alternative: 'Bikes instead of a coach tour',
+    },
+    {
+      time: '12:30',
+      title: 'Farmers market lunch',
+      location: `${trip.destination} market hall`,
+      type: 'restaurant',
+      description: 'Seasonal produce from local growers',
+      duration_hours: 1.5,
+      estimated_cost: 18,
+      transport_mode: 'walking',
+      eco_alternative: 'Locally grown food',
+    },
+    {
+      time: '15:00',
+      title: `${trip.destination} history museum`,
+      location: `${trip.destination} museum quarter`,
+      type: 'museum',
+      description: 'Local history and culture',
+      duration_hours: 2,
+      estimated_cost: 12,
+      transport_mode: 'bus',
+      eco_alternative: 'Reached by public transport',
+    },
+  ],
+  meals: day.meals || {},
+  daily_cost: 50,
+});
+
+/**
+ * A replacement for the regenerate-activity prompt
+ */
+export const buildActivityFixture = ({ trip, activity }) => ({
+  activity: {
+    title: `Riverside walk in ${trip.destination}`,
+    location: `${trip.destination} riverside`,
+    type: 'outdoor_activity',
+    description: 'Self-guided walk along the river',
+    duration_hours: activity.duration_hours || 2,
+    estimated_cost: 0,
+    transport_mode: 'walking',
+    eco_alternative: 'Free and zero-carbon',
+  },
+});
+
+/**
+ * A chat reply that doesn't change the itinerary
+ */
+export const buildChatFixture = ({ message }) => ({
+  reply: `Fixture provider: no changes made for "${message}".`,
+  edits: [],
+});
@@ -0,0 +1,37 @@
+import config from '../../config/env.js';
+import OpenAICompatibleProvider from './openAICompatibleProvider.js';
+import FixtureProvider from './fixtureProvider.js';
+
+/**
+ * LLM provider layer
+ *
+ * A provider has two methods:
+ * - getModel(task) - the model used for a task
+ * - completeJson({ task, messages, temperature, maxTokens, context }) - resolves
+ *   with the parsed JSON answer, or rejects if the call or the parsing fails
+ *   (parse failures have invalidJson: true and the raw content).
+ *   context is the structured request (trip, day, activity...) for providers
+ *   that don't call a model, like the fixture provider
+ *
+ * Each task can use its own model (LLM_MODEL_<TASK>, falling back to LLM_MODEL)
+ */
+
+// Tasks the app asks a model to do
+export const LLM_TASKS = ['itinerary', 'alternatives', 'regenerate_day', 'regenerate_activity', 'chat'];
+
+const PROVIDERS = {
+  openai: OpenAICompatibleProvider,
+  fixture: FixtureProvider,
+};
+
+/**
+ * Create the provider named in the LLM config
+ * @param {Object} [llmConfig] - Defaults to config.llm
+ */
+export const createLlmProvider = (llmConfig = config.llm) => {
+  const Provider = PROVIDERS[llmConfig.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${llmConfig.provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(llmConfig);
+};
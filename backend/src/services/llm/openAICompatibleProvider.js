@@ -0,0 +1,61 @@
+import OpenAI from 'openai';
+
+/**
+ * Parse a JSON answer, allowing for the ```json fences some local models add
+ * @throws {Error} With invalidJson: true and the raw content, so callers can ask the model to fix it
+ */
+const parseJsonContent = (content) => {
+  const unfenced = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    throw Object.assign(new Error(`Model response is not valid JSON: ${error.message}`), {
+      invalidJson: true,
+      content,
+    });
+  }
+};
+
+/**
+ * LLM provider for OpenAI and any server with an OpenAI-compatible chat
+ * completions API (e.g. a local llama.cpp server or Ollama, via LLM_BASE_URL)
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} llmConfig - config.llm (apiKey, baseUrl, timeoutMs, models)
+   */
+  constructor({ apiKey, baseUrl, timeoutMs, models }) {
+    this.client = new OpenAI({
+      apiKey: apiKey || 'not-needed', // Local servers usually don't check the key
+      baseURL: baseUrl,
+      timeout: timeoutMs,
+    });
+    this.models = models;
+  }
+
+  /**
+   * Model configured for a task, or the default model
+   */
+  getModel(task) {
+    return this.models[task] || this.models.default;
+  }
+
+  /**
+   * Run a chat completion that must answer with a JSON object
+   * @param {Object} request - { task, messages, temperature, maxTokens }
+   * @returns {Promise<Object>} The parsed JSON answer
+   */
+  async completeJson({ task, messages, temperature = 0.7, maxTokens = 1000 }) {
+    const response = await this.client.chat.completions.create({
+      model: this.getModel(task),
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      response_format: { type: 'json_object' },
+    });
+
+    return parseJsonContent(response.choices[0].message.content);
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,58 @@
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Carbon Offset Service
+ * Estimates what offsetting a trip would cost and works out its net emissions
+ */
+class OffsetService {
+  /**
+   * Estimate the cost of offsetting an amount of CO2 with a provider
+   * @param {number} amountKg - kg CO2 to offset
+   * @param {Object} provider - Offset provider row (price is GBP per tonne)
+   * @returns {number} Cost in GBP
+   */
+  static estimateCost(amountKg, provider) {
+    const pricePerTonne = parseFloat(provider.price_per_tonne) || 0;
+    return round((amountKg / 1000) * pricePerTonne);
+  }
+
+  /**
+   * Summarise a trip's gross, offset and net emissions
+   * @param {Object} trip - Trip row from the database
+   * @param {Array} offsets - Offset rows recorded for the trip
+   * @param {Array} providers - Active offset providers to estimate against
+   * @returns {Object} Gross vs net carbon with per-provider estimates for what's left
+   */
+  static summariseTrip(trip, offsets, providers) {
+    const gross = parseFloat(trip.total_carbon_kg) || 0;
+    const offsetKg = round(offsets.reduce((sum, o) => sum + (parseFloat(o.amount_kg) || 0), 0));
+    const net = this.getNetCarbon(gross, offsetKg);
+
+    return {
+      gross_carbon_kg: gross,
+      offset_kg: offsetKg,
+      net_carbon_kg: net,
+      offset_percent: gross > 0 ? Math.min(100, Math.round((offsetKg / gross) * 100)) : 0,
+      offset_cost: round(offsets.reduce((sum, o) => sum + (parseFloat(o.cost) || 0), 0)),
+      // Cost of offsetting the remaining (net) emissions with each provider
+      estimates: providers.map(provider => ({
+        provider_id: provider.id,
+        provider_name: provider.name,
+        project_type: provider.project_type,
+        website: provider.website,
+        price_per_tonne: parseFloat(provider.price_per_tonne),
+        amount_kg: net,
+        cost: this.estimateCost(net, provider),
+      })),
+    };
+  }
+
+  /**
+   * Net emissions after offsets (never below zero)
+   */
+  static getNetCarbon(grossKg, offsetKg) {
+    return round(Math.max(0, grossKg - offsetKg));
+  }
+}
+
+export default OffsetService;
@@ -1,15 +1,53 @@
-import OpenAI from 'openai';
-import config from '../config/env.js';
+import { createLlmProvider } from './llm/index.js';
+import { buildItineraryFixture } from './llm/fixtures.js';
 import { differenceInDays } from 'date-fns';
+import { ACTIVITY_TYPES, normalizeActivityType } from '../utils/activityTaxonomy.js';
+import { generatedItinerarySchema } from '../utils/validators.js';
+
+// Times an invalid itinerary is sent back to the model before falling back to the demo itinerary
+const MAX_ITINERARY_REPAIRS = 2;
+
+const TRAVEL_STYLE_DESCRIPTIONS = {
+  budget: 'budget-friendly with free or low-cost activities',
+  balanced: 'balanced mix of budget and premium experiences',
+  luxury: 'comfortable and premium experiences',
+};
+
+const INTEREST_DESCRIPTIONS = {
+  culture: 'cultural sites and historical landmarks',
+  nature: 'natural scenery and outdoor activities',
+  food: 'local cuisine and dining experiences',
+  photography: 'photogenic locations and scenic spots',
+  music: 'live music venues and cultural performances',
+  relaxation: 'relaxing and wellness activities',
+  adventure: 'adventure sports and thrilling activities',
+  shopping: 'shopping districts and local markets',
+  beaches: 'beaches and water activities',
+  museums: 'museums, galleries, and art',
+};
+
+const describeInterests = (interests = []) => interests
+  .map(i => INTEREST_DESCRIPTIONS[i] || i)
+  .join(', ');
+
+// e.g. "2 adults, 1 child (2 rooms)"
+const describeParty = (adults = 1, children = 0, rooms = 1) => [
+  `${adults} ${adults === 1 ? 'adult' : 'adults'}`,
+  children > 0 ? `${children} ${children === 1 ? 'child' : 'children'}` : null,
+].filter(Boolean).join(', ') + ` (${rooms} ${rooms === 1 ? 'room' : 'rooms'})`;
+
+// One line per activity for prompts, e.g. "09:00 Louvre Museum (museum, £17)"
+const describeActivity = (activity) =>
+  `${activity.time || '--:--'} ${activity.title} (${activity.type || 'tour'}, £${activity.estimated_cost || 0})`;
 
 /**
- * OpenAI Service for AI-powered itinerary generation
+ * AI Service for itinerary generation, regeneration, alternatives and chat
+ * Prompts are built here; the model call goes through the configured LLM provider
  */
 class OpenAIService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.apiKeys.openai,
-    });
+    // OpenAI, an OpenAI-compatible server or the offline fixtures (see config.llm)
+    this.llm = createLlmProvider();
   }
 
   /**
@@ -27,6 +65,11 @@ class OpenAIService {
       travel_style,
       accommodation_preference,
       transport_preference,
+      adults = 1,
+      children = 0,
+      rooms = 1,
+      carbon_budget = null,
+      carbon_feedback = null,
     } = tripData;
 
     // Calculate number of days
@@ -41,79 +84,152 @@ class OpenAIService {
       travel_style,
       accommodation_preference,
       transport_preference,
+      adults,
+      children,
+      rooms,
+      carbon_budget,
+      carbon_feedback,
     });
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert sustainable travel planner. You create detailed, eco-friendly itineraries that minimize carbon footprint while maximizing traveler experiences. Always prioritize sustainable options like public transport, local experiences, and eco-friendly accommodations.',
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        temperature: 0.7,
-        max_tokens: 3000,
-        response_format: { type: 'json_object' },
-      });
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an expert sustainable travel planner. You create detailed, eco-friendly itineraries that minimize carbon footprint while maximizing traveler experiences. Always prioritize sustainable options like public transport, local experiences, and eco-friendly accommodations.',
+      },
+      {
+        role: 'user',
+        content: prompt,
+      },
+    ];
+
+    // Invalid answers (bad JSON or schema violations) go back to the model to fix
+    let violations = [];
+    for (let repairs = 0; repairs <= MAX_ITINERARY_REPAIRS; repairs++) {
+      if (repairs > 0) {
+        console.warn(`Itinerary failed validation, asking the model to repair it (attempt ${repairs} of ${MAX_ITINERARY_REPAIRS})`);
+      }
+
+      let itinerary;
+      let answer;
+      try {
+        itinerary = await this.llm.completeJson({
+          task: 'itinerary',
+          messages,
+          temperature: 0.7,
+          maxTokens: 3000,
+          context: { ...tripData, numDays },
+        });
+        violations = this.findItineraryViolations(itinerary, numDays, budget);
+        answer = JSON.stringify(itinerary);
+      } catch (error) {
+        if (!error.invalidJson) {
+          console.error('LLM provider error:', error);
+          return this.generateDemoItinerary(tripData, {
+            reason: `The AI service failed: ${error.message}`,
+            repairAttempts: repairs,
+          });
+        }
+        violations = [error.message];
+        answer = error.content;
+      }
+
+      if (violations.length === 0) {
+        // Fill optional fields and dates
+        const enhanced = this.validateAndEnhanceItinerary(itinerary, tripData);
+        enhanced.generation = { demo_fallback: false, repair_attempts: repairs };
+        return enhanced;
+      }
+
+      messages.push(
+        { role: 'assistant', content: answer || '' },
+        { role: 'user', content: this.buildRepairPrompt(violations) },
+      );
+    }
+
+    return this.generateDemoItinerary(tripData, {
+      reason: `The AI itinerary was still invalid after ${MAX_ITINERARY_REPAIRS} repair attempts`,
+      repairAttempts: MAX_ITINERARY_REPAIRS,
+      violations,
+    });
+  }
 
-      const content = response.choices[0].message.content;
-      const itinerary = JSON.parse(content);
+  /**
+   * Check a generated itinerary against generatedItinerarySchema: one day per date,
+   * activity times in order, allowed types and transport modes, costs within the budget
+   * @returns {Array<string>} Violations (empty if the itinerary is valid)
+   */
+  findItineraryViolations(itinerary, numDays, budget) {
+    const { error } = generatedItinerarySchema.validate(itinerary, {
+      abortEarly: false,
+      context: { numDays, budget: Number(budget) || Infinity },
+    });
+    return error ? error.details.map(detail => detail.message) : [];
+  }
 
-      // Validate and enhance the itinerary
-      return this.validateAndEnhanceItinerary(itinerary, tripData);
-    } catch (error) {
-      console.error('OpenAI API error:', error);
-      console.warn('⚠️  Falling back to DEMO MODE - using sample itinerary');
-      
-      // DEMO MODE: Return sample itinerary when OpenAI fails
-      return this.generateDemoItinerary(tripData);
-    }
+  /**
+   * Ask the model to fix the problems in its last itinerary
+   */
+  buildRepairPrompt(violations) {
+    const listed = violations.slice(0, 20).map(violation => `- ${violation}`).join('\n');
+    const more = violations.length > 20 ? `\n- ...and ${violations.length - 20} more` : '';
+
+    return `Your itinerary doesn't meet the requirements:
+${listed}${more}
+
+Return the complete corrected itinerary as JSON in the same format. Fix these problems and keep everything else the same.
+Use these for the "type" field: ${ACTIVITY_TYPES.join(', ')}
+Use these for "transport_mode": walking, bicycle, train, bus, car, taxi`;
   }
 
   /**
    * Build the prompt for OpenAI
    */
   buildPrompt(data) {
-    const { destination, numDays, budget, interests, travel_style, accommodation_preference, transport_preference } = data;
-
-    const travelStyleDescriptions = {
-      budget: 'budget-friendly with free or low-cost activities',
-      balanced: 'balanced mix of budget and premium experiences',
-      luxury: 'comfortable and premium experiences',
-    };
-
-    const interestDescriptions = {
-      culture: 'cultural sites and historical landmarks',
-      nature: 'natural scenery and outdoor activities',
-      food: 'local cuisine and dining experiences',
-      photography: 'photogenic locations and scenic spots',
-      music: 'live music venues and cultural performances',
-      relaxation: 'relaxing and wellness activities',
-      adventure: 'adventure sports and thrilling activities',
-      shopping: 'shopping districts and local markets',
-      beaches: 'beaches and water activities',
-      museums: 'museums, galleries, and art',
-    };
+    const {
+      destination,
+      numDays,
+      budget,
+      interests,
+      travel_style,
+      accommodation_preference,
+      transport_preference,
+      adults = 1,
+      children = 0,
+      rooms = 1,
+      carbon_budget = null,
+      carbon_feedback = null,
+    } = data;
+
+    const selectedInterests = describeInterests(interests);
+    const party = describeParty(adults, children, rooms);
+
+    // Carbon budget lines (only when a target was given)
+    const carbonDetails = [];
+    if (carbon_budget?.max_carbon_kg) {
+      carbonDetails.push(`- Carbon Budget: at most ${carbon_budget.max_carbon_kg} kg CO₂ for the whole group. `
+        + `Accommodation and the journey there use about ${carbon_budget.fixed_kg} kg, so keep activities `
+        + `and local transport within about ${carbon_budget.itinerary_kg} kg`);
+    }
+    if (carbon_budget?.target_green_score) {
+      carbonDetails.push(`- Green Score Target: at least ${carbon_budget.target_green_score}/100 (lower emissions per person per day score higher)`);
+    }
 
-    const selectedInterests = interests
-      .map(i => interestDescriptions[i] || i)
-      .join(', ');
+    const carbonRequirement = carbon_budget
+      ? '\n12. Stay within the carbon budget: favour walking, cycling and public transport, avoid taxis and car journeys, and avoid high-carbon activities such as theme parks and motorised water sports'
+      : '';
+    const previousAttempt = carbon_feedback ? `\n\nPREVIOUS ATTEMPT:\n${carbon_feedback}` : '';
 
     return `Create a detailed ${numDays}-day sustainable travel itinerary for ${destination}.
 
 TRIP DETAILS:
 - Destination: ${destination}
 - Duration: ${numDays} days
-- Budget: £${budget} (total for the entire trip)
-- Travel Style: ${travelStyleDescriptions[travel_style] || travel_style}
+- Travellers: ${party}
+- Budget: £${budget} (total for the entire trip and the whole group)
+- Travel Style: ${TRAVEL_STYLE_DESCRIPTIONS[travel_style] || travel_style}
 - Interests: ${selectedInterests}
 - Preferred Accommodation: ${accommodation_preference}
-- Preferred Transport: ${transport_preference}
+- Preferred Transport: ${transport_preference}${carbonDetails.length > 0 ? '\n' + carbonDetails.join('\n') : ''}
 
 REQUIREMENTS:
 1. Create a day-by-day itinerary with 3-5 activities per day
@@ -122,10 +238,11 @@ REQUIREMENTS:
 4. Provide realistic time allocations for each activity
 5. Consider travel time between activities
 6. Stay within the budget while maximizing value
-7. Include a mix of activities based on the traveler's interests
+7. Include a mix of activities based on the travelers' interests${children > 0 ? ' that are suitable for children' : ''}
 8. Suggest local, authentic experiences over tourist traps
 9. Include meal recommendations (breakfast, lunch, dinner)
 10. Add sustainability tips and carbon-friendly alternatives
+11. Give estimated_cost and daily_cost as totals for the whole group, not per person${carbonRequirement}${previousAttempt}
 
 RETURN FORMAT (JSON):
 {
@@ -145,7 +262,6 @@ RETURN FORMAT (JSON):
           "location": "Specific address or landmark",
           "duration_hours": 2,
           "estimated_cost": 15,
-          "carbon_kg": 2.0,
           "type": "museum",
           "description": "Brief description of the activity",
           "transport_mode": "walking",
@@ -166,7 +282,7 @@ RETURN FORMAT (JSON):
 }
 
 ACTIVITY TYPES:
-Use these for the "type" field: museum, restaurant, outdoor_activity, shopping, tour, entertainment_venue, cafe, hiking, cultural_site, beach, adventure_sport, spa_wellness
+Use these for the "type" field: ${ACTIVITY_TYPES.join(', ')}
 
 TRANSPORT MODES:
 Use these for "transport_mode": walking, bicycle, train, bus, car, taxi (prefer walking, bicycle, train, bus for sustainability)
@@ -200,7 +316,7 @@ Generate the itinerary now:`;
           location: activity.location || '',
           duration_hours: activity.duration_hours || 2,
           estimated_cost: activity.estimated_cost || activity.cost || 0, // Frontend expects 'estimated_cost'
-          carbon_kg: activity.carbon_kg || 1.5, // Frontend expects 'carbon_kg'
+          carbon_kg: 0, // Recomputed from emission factors by CarbonService
           type: activity.type || activity.category || 'tour', // Frontend expects 'type'
           description: activity.description || '',
           transport_mode: activity.transport_mode || 'walking',
@@ -226,32 +342,49 @@ Generate the itinerary now:`;
 
   /**
    * Generate eco-friendly alternatives for a specific activity
+   * Alternatives use the same fields as itinerary activities so they can replace it
+   * @param {Object} activity - Itinerary activity (title, location, type, transport_mode...)
+   * @param {string} destination - Trip destination
+   * @returns {Promise<Array>} Replacement activities
    */
-  async generateEcoAlternatives(activity) {
-    const prompt = `Suggest 2-3 more sustainable alternatives to this activity:
+  async generateEcoAlternatives(activity, destination) {
+    const prompt = `Suggest 2-3 more sustainable alternatives to this activity in ${destination}:
     
-Activity: ${activity.name}
+Activity: ${activity.title || activity.name}
+Type: ${activity.type || activity.category || 'unknown'}
+Description: ${activity.description || ''}
 Location: ${activity.location}
+Duration: ${activity.duration_hours || 2} hours
 Current transport: ${activity.transport_mode}
 
 Provide alternatives that:
 1. Reduce carbon emissions
 2. Support local communities
 3. Are more environmentally friendly
+4. Fit the same time slot and a similar budget
 
-Return as JSON array:
-[
-  {
-    "name": "Alternative name",
-    "description": "Why it's more sustainable",
-    "carbon_savings": "Estimated carbon savings",
-    "transport_mode": "Suggested transport"
-  }
-]`;
+Return as JSON:
+{
+  "alternatives": [
+    {
+      "title": "Alternative name",
+      "location": "Specific address or landmark in ${destination}",
+      "type": "museum",
+      "description": "Brief description of the activity",
+      "duration_hours": 2,
+      "estimated_cost": 10,
+      "transport_mode": "walking",
+      "eco_alternative": "Why it's more sustainable"
+    }
+  ]
+}
+
+Use these for the "type" field: ${ACTIVITY_TYPES.join(', ')}
+Use these for "transport_mode": walking, bicycle, train, bus, car, taxi`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
+      const alternatives = await this.llm.completeJson({
+        task: 'alternatives',
         messages: [
           {
             role: 'system',
@@ -263,13 +396,12 @@ Return as JSON array:
           },
         ],
         temperature: 0.7,
-        max_tokens: 500,
-        response_format: { type: 'json_object' },
+        maxTokens: 800,
+        context: { activity, destination },
       });
 
-      const content = response.choices[0].message.content;
-      const alternatives = JSON.parse(content);
-      return alternatives.alternatives || [];
+      return (alternatives.alternatives || [])
+        .map(alternative => this.normalizeActivity(alternative, activity.duration_hours));
     } catch (error) {
       console.error('Error generating eco alternatives:', error);
       return [];
@@ -277,131 +409,316 @@ Return as JSON array:
   }
 
   /**
-   * Generate demo itinerary (fallback when OpenAI is unavailable)
+   * Map an AI-suggested activity onto the itinerary activity fields
+   * @param {Object} activity - Activity as returned by the model
+   * @param {number} [defaultDuration] - Duration to use when the model leaves it out
+   * @returns {Object} Activity without id, time or carbon_kg
    */
-  generateDemoItinerary(tripData) {
-    const { destination, start_date, end_date, budget } = tripData;
-    
-    // Calculate number of days
-    const numDays = differenceInDays(new Date(end_date), new Date(start_date)) + 1;
-    
-    console.log('🎭 DEMO MODE: Generating sample itinerary');
-    
-    const demoItinerary = {
-      summary: `An eco-friendly ${numDays}-day adventure in ${destination} with sustainable transportation, local experiences, and carbon-conscious activities. This is a DEMO itinerary showing the platform's capabilities.`,
-      sustainability_score: 85,
-      estimated_total_cost: Math.min(tripData.budget * 0.9, tripData.budget - 100),
-      days: [],
-      packing_tips: [
-        'Reusable water bottle',
-        'Eco-friendly toiletries',
-        'Comfortable walking shoes',
-        'Light, layered clothing',
-        'Reusable shopping bag'
-      ],
-      eco_tips: [
-        'Use public transportation whenever possible',
-        'Support local businesses and artisans',
-        'Choose restaurants with locally-sourced ingredients',
-        'Avoid single-use plastics',
-        'Walk or cycle for short distances'
-      ],
-      local_customs: [
-        'Respect local customs and traditions',
-        'Learn a few basic phrases in the local language',
-        'Dress appropriately for cultural sites',
-        'Ask permission before taking photos of people'
-      ]
+  normalizeActivity(activity, defaultDuration = 2) {
+    return {
+      title: activity.title || activity.name || 'Unnamed Activity',
+      location: activity.location || '',
+      type: normalizeActivityType(activity.type || activity.category) || 'tour',
+      description: activity.description || '',
+      duration_hours: activity.duration_hours || defaultDuration || 2,
+      estimated_cost: activity.estimated_cost || activity.cost || 0,
+      transport_mode: activity.transport_mode || 'walking',
+      eco_alternative: activity.eco_alternative || activity.sustainability_tip || '',
     };
+  }
 
-    // Generate days
-    for (let day = 1; day <= numDays; day++) {
-      const dayDate = new Date(start_date);
-      dayDate.setDate(dayDate.getDate() + (day - 1));
-      
-      const dailyBudget = Math.round(budget / numDays * 0.8);
-      
-      demoItinerary.days.push({
-        day: day, // Frontend expects 'day' not 'day_number'
-        date: dayDate.toISOString().split('T')[0],
-        theme: day === 1 ? 'Arrival & Exploration' : day === numDays ? 'Final Day & Departure' : `Discover ${destination}`,
-        activities: [
+  /**
+   * Trip details and the rest of the itinerary, shared by the regeneration prompts
+   * @param {Object} trip - Trip row from the database
+   * @param {Function} isReplaced - Whether an itinerary day is being replaced (left out of the context)
+   */
+  buildRegenerationContext(trip, isReplaced) {
+    const days = trip.itinerary?.days || [];
+    const otherDays = days
+      .filter(day => !isReplaced(day))
+      .map(day => `Day ${day.day}${day.theme ? ` - ${day.theme}` : ''}: `
+        + ((day.activities || []).map(activity => activity.title).join(', ') || 'no activities'));
+
+    return `TRIP DETAILS:
+- Destination: ${trip.destination}
+- Duration: ${days.length} days
+- Travellers: ${describeParty(trip.adults || 1, trip.children || 0, trip.rooms || 1)}
+- Budget: £${trip.budget} (total for the entire trip and the whole group)
+- Travel Style: ${TRAVEL_STYLE_DESCRIPTIONS[trip.travel_style] || trip.travel_style}
+- Interests: ${describeInterests(trip.interests)}
+- Preferred Transport: ${trip.transport_preference}
+
+REST OF THE ITINERARY (don't repeat these activities):
+${otherDays.join('\n') || 'None'}`;
+  }
+
+  /**
+   * Regenerate one day of a stored itinerary, keeping the rest of the trip as context
+   * @param {Object} trip - Trip row from the database
+   * @param {Object} day - The itinerary day to replace
+   * @param {string} [instructions] - What the traveller wants changed (e.g. 'more outdoor', 'rainy day')
+   * @returns {Promise<Object|null>} { theme, activities, meals, daily_cost }, or null if the AI call fails
+   */
+  async regenerateDay(trip, day, instructions) {
+    const prompt = `Plan a new version of day ${day.day}${day.date ? ` (${day.date})` : ''} of a sustainable trip to ${trip.destination}.
+
+${this.buildRegenerationContext(trip, other => Number(other.day) === Number(day.day))}
+
+CURRENT DAY ${day.day} (to be replaced):
+${(day.activities || []).map(describeActivity).join('\n') || 'No activities'}
+${instructions ? `\nTRAVELLER'S REQUEST:\n${instructions}\n` : ''}
+REQUIREMENTS:
+1. 3-5 activities, in order, with realistic start times and durations
+2. Prioritize eco-friendly options (public transport, walking, cycling, local experiences)
+3. Keep the day's cost in line with the trip budget
+4. Give estimated_cost and daily_cost as totals for the whole group, not per person
+
+RETURN FORMAT (JSON):
+{
+  "theme": "Theme for the day",
+  "activities": [
+    {
+      "time": "09:00",
+      "title": "Activity name",
+      "location": "Specific address or landmark",
+      "type": "museum",
+      "description": "Brief description of the activity",
+      "duration_hours": 2,
+      "estimated_cost": 15,
+      "transport_mode": "walking",
+      "eco_alternative": "Eco-friendly aspect or tip"
+    }
+  ],
+  "meals": {
+    "breakfast": "Recommended breakfast spot",
+    "lunch": "Recommended lunch spot",
+    "dinner": "Recommended dinner spot"
+  },
+  "daily_cost": 120
+}
+
+Use these for the "type" field: ${ACTIVITY_TYPES.join(', ')}
+Use these for "transport_mode": walking, bicycle, train, bus, car, taxi`;
+
+    try {
+      const content = await this.llm.completeJson({
+        task: 'regenerate_day',
+        messages: [
           {
-            id: `${day}-1`,
-            time: '09:00',
-            title: `Morning Exploration of ${destination}`, // Frontend expects 'title' not 'name'
-            location: `Central ${destination}`,
-            duration_hours: 2,
-            estimated_cost: 0, // Frontend expects 'estimated_cost' not 'cost'
-            carbon_kg: 0.5, // Frontend expects 'carbon_kg'
-            type: 'outdoor_activity', // Frontend expects 'type' not 'category'
-            description: 'Start your day with a walking tour of the city center',
-            transport_mode: 'walking',
-            eco_alternative: 'Walking is the most eco-friendly way to explore' // Frontend expects 'eco_alternative'
+            role: 'system',
+            content: 'You are an expert sustainable travel planner. You rework single days of existing itineraries to fit what the traveller asks for, while keeping the carbon footprint low.',
           },
           {
-            id: `${day}-2`,
-            time: '11:30',
-            title: 'Local Museum Visit',
-            location: 'City Museum',
-            duration_hours: 2,
-            estimated_cost: 15,
-            carbon_kg: 2.0,
-            type: 'museum',
-            description: 'Explore local history and culture',
-            transport_mode: 'walking',
-            eco_alternative: 'Support local cultural institutions'
+            role: 'user',
+            content: prompt,
           },
+        ],
+        temperature: 0.7,
+        maxTokens: 1200,
+        context: { trip, day, instructions },
+      });
+
+      if (!Array.isArray(content.activities) || content.activities.length === 0) {
+        throw new Error('Regenerated day has no activities');
+      }
+
+      const activities = content.activities.map(activity => ({
+        ...this.normalizeActivity(activity),
+        time: activity.time,
+      }));
+
+      return {
+        theme: content.theme || day.theme || '',
+        activities,
+        meals: content.meals || day.meals || {},
+        daily_cost: Number.isFinite(content.daily_cost)
+          ? content.daily_cost
+          : activities.reduce((sum, activity) => sum + activity.estimated_cost, 0),
+      };
+    } catch (error) {
+      console.error('Error regenerating day:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Suggest a replacement for one activity of a stored itinerary, keeping the
+   * rest of the trip as context
+   * @param {Object} trip - Trip row from the database
+   * @param {Object} day - The itinerary day the activity is on
+   * @param {Object} activity - The activity to replace
+   * @param {string} [instructions] - What the traveller wants changed (e.g. 'cheaper')
+   * @returns {Promise<Object|null>} Replacement activity (without id, time or carbon_kg), or null if the AI call fails
+   */
+  async regenerateActivity(trip, day, activity, instructions) {
+    const otherActivities = (day.activities || []).filter(other => other !== activity);
+
+    const prompt = `Suggest a different activity to replace one activity on day ${day.day} of a sustainable trip to ${trip.destination}.
+
+${this.buildRegenerationContext(trip, other => Number(other.day) === Number(day.day))}
+
+ACTIVITY TO REPLACE:
+${describeActivity(activity)} at ${activity.location || 'an unknown location'}, ${activity.duration_hours || 2} hours
+
+OTHER ACTIVITIES ON DAY ${day.day}:
+${otherActivities.map(describeActivity).join('\n') || 'None'}
+${instructions ? `\nTRAVELLER'S REQUEST:\n${instructions}\n` : ''}
+The replacement must fit the same time slot (starting at ${activity.time || '09:00'}, about ${activity.duration_hours || 2} hours), suit the rest of the day and prefer eco-friendly options. Give estimated_cost for the whole group.
+
+RETURN FORMAT (JSON):
+{
+  "activity": {
+    "title": "Activity name",
+    "location": "Specific address or landmark",
+    "type": "museum",
+    "description": "Brief description of the activity",
+    "duration_hours": 2,
+    "estimated_cost": 15,
+    "transport_mode": "walking",
+    "eco_alternative": "Eco-friendly aspect or tip"
+  }
+}
+
+Use these for the "type" field: ${ACTIVITY_TYPES.join(', ')}
+Use these for "transport_mode": walking, bicycle, train, bus, car, taxi`;
+
+    try {
+      const content = await this.llm.completeJson({
+        task: 'regenerate_activity',
+        messages: [
           {
-            id: `${day}-3`,
-            time: '13:30',
-            title: 'Lunch at Local Restaurant',
-            location: 'Local Cuisine Restaurant',
-            duration_hours: 1.5,
-            estimated_cost: 25,
-            carbon_kg: 3.5,
-            type: 'restaurant',
-            description: 'Try authentic local dishes made with seasonal ingredients',
-            transport_mode: 'walking',
-            eco_alternative: 'Choose restaurants using locally-sourced ingredients'
+            role: 'system',
+            content: 'You are an expert sustainable travel planner. You replace single activities in existing itineraries to fit what the traveller asks for, while keeping the carbon footprint low.',
           },
           {
-            id: `${day}-4`,
-            time: '15:30',
-            title: 'Afternoon Cultural Experience',
-            location: 'Historic District',
-            duration_hours: 2,
-            estimated_cost: 10,
-            carbon_kg: 1.5,
-            type: 'tour',
-            description: 'Guided walking tour of historic landmarks',
-            transport_mode: 'walking',
-            eco_alternative: 'Walking tours have zero carbon footprint'
+            role: 'user',
+            content: prompt,
           },
-          {
-            id: `${day}-5`,
-            time: '18:00',
-            title: 'Evening Leisure',
-            location: 'City Park',
-            duration_hours: 1,
-            estimated_cost: 0,
-            carbon_kg: 0,
-            type: 'outdoor_activity',
-            description: 'Relax in a local park and enjoy the atmosphere',
-            transport_mode: 'walking',
-            eco_alternative: 'Public parks are free and eco-friendly'
-          }
         ],
-        meals: {
-          breakfast: 'Hotel breakfast or local bakery',
-          lunch: 'Local restaurant with seasonal menu',
-          dinner: 'Traditional local cuisine'
-        },
-        daily_cost: dailyBudget
+        temperature: 0.8,
+        maxTokens: 500,
+        context: { trip, day, activity, instructions },
+      });
+
+      if (!content.activity) {
+        throw new Error('No replacement activity returned');
+      }
+
+      return this.normalizeActivity(content.activity, activity.duration_hours);
+    } catch (error) {
+      console.error('Error regenerating activity:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Turn a chat message into itinerary edit operations, with the current
+   * itinerary and the conversation so far as context
+   * Edits aren't validated here - see itineraryService.validateItineraryEdits
+   * @param {Object} trip - Trip row from the database
+   * @param {Array} history - Earlier messages, oldest first ({ role, content })
+   * @param {string} message - The user's new message
+   * @returns {Promise<Object|null>} { reply, edits }, or null if the AI call fails
+   */
+  async refineItinerary(trip, history, message) {
+    // Only the fields the model needs to pick and describe edits
+    const itinerary = (trip.itinerary?.days || []).map(day => ({
+      day: day.day,
+      date: day.date,
+      theme: day.theme,
+      daily_cost: day.daily_cost,
+      activities: (day.activities || []).map(activity => ({
+        id: activity.id,
+        time: activity.time,
+        title: activity.title,
+        type: activity.type,
+        location: activity.location,
+        duration_hours: activity.duration_hours,
+        estimated_cost: activity.estimated_cost,
+        transport_mode: activity.transport_mode,
+        carbon_kg: activity.carbon_kg,
+      })),
+    }));
+
+    const systemPrompt = `You are an expert sustainable travel planner helping a traveller refine their trip to ${trip.destination}. Reply briefly and make the changes they ask for as edit operations on the itinerary.
+
+TRIP DETAILS:
+- Travellers: ${describeParty(trip.adults || 1, trip.children || 0, trip.rooms || 1)}
+- Budget: £${trip.budget} (total for the entire trip and the whole group)
+- Current total cost: £${trip.total_cost}
+- Current carbon footprint: ${trip.total_carbon_kg} kg CO₂
+- Travel Style: ${TRAVEL_STYLE_DESCRIPTIONS[trip.travel_style] || trip.travel_style}
+- Interests: ${describeInterests(trip.interests)}
+
+CURRENT ITINERARY (JSON):
+${JSON.stringify(itinerary)}
+
+EDIT OPERATIONS (days are 1-based, positions 0-based, use the activity ids above):
+{"op": "add_activity", "day": 2, "position": 1, "activity": {"title": "Activity name", "time": "14:00", "location": "Specific address or landmark", "type": "museum", "description": "Brief description", "duration_hours": 2, "estimated_cost": 15, "transport_mode": "walking", "eco_alternative": "Eco-friendly aspect or tip"}}
+{"op": "remove_activity", "activity_id": "2-3"}
+{"op": "reorder_activities", "day": 2, "activity_ids": ["2-2", "2-1", "2-3"]}
+{"op": "move_activity", "activity_id": "2-3", "to_day": 3, "position": 0}
+{"op": "set_day_transport", "day": 2, "transport_mode": "bicycle"}
+
+To swap an activity, remove it and add the new one at the same position.
+Give estimated_cost for the whole group. Prefer eco-friendly options.
+Use these for the "type" field: ${ACTIVITY_TYPES.join(', ')}
+Use these for "transport_mode": walking, bicycle, train, bus, car, taxi
+
+RETURN FORMAT (JSON):
+{
+  "reply": "Short message to the traveller explaining what you changed (or asking a question)",
+  "edits": []
+}
+
+Leave "edits" empty if the traveller is only asking a question or the request is unclear.`;
+
+    try {
+      const content = await this.llm.completeJson({
+        task: 'chat',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...history.map(entry => ({ role: entry.role, content: entry.content })),
+          { role: 'user', content: message },
+        ],
+        temperature: 0.4,
+        maxTokens: 1500,
+        context: { trip, history, message },
       });
+
+      const edits = (Array.isArray(content.edits) ? content.edits : []).map(edit => (
+        edit?.op === 'add_activity' && edit.activity
+          ? { ...edit, activity: { ...this.normalizeActivity(edit.activity), time: edit.activity.time } }
+          : edit
+      ));
+
+      return {
+        reply: typeof content.reply === 'string' && content.reply ? content.reply : 'Done.',
+        edits,
+      };
+    } catch (error) {
+      console.error('Error refining itinerary:', error);
+      return null;
     }
+  }
 
-    return this.validateAndEnhanceItinerary(demoItinerary, tripData);
+  /**
+   * Generate demo itinerary (fallback when the AI fails or can't produce a valid itinerary)
+   * The itinerary's generation details record why, so the fallback isn't hidden
+   * @param {Object} tripData - Trip planning data
+   * @param {Object} [fallback] - { reason, repairAttempts, violations }
+   */
+  generateDemoItinerary(tripData, { reason = null, repairAttempts = 0, violations = [] } = {}) {
+    console.warn(`⚠️  Falling back to DEMO MODE - using sample itinerary${reason ? ` (${reason})` : ''}`);
+
+    const itinerary = this.validateAndEnhanceItinerary(buildItineraryFixture(tripData), tripData);
+    itinerary.generation = {
+      demo_fallback: true,
+      fallback_reason: reason,
+      repair_attempts: repairAttempts,
+      violations: violations.slice(0, 20),
+    };
+    return itinerary;
   }
 }
 
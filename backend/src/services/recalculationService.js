@@ -0,0 +1,336 @@
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import EmissionFactorSet from '../models/EmissionFactorSet.js';
+import EmissionRecalculation from '../models/EmissionRecalculation.js';
+import itineraryService from './itineraryService.js';
+import CarbonService from './carbonService.js';
+import jobQueueService from './jobQueueService.js';
+import Job from '../models/Job.js';
+import { differenceInDays } from 'date-fns';
+
+// Trips recalculated per batch (progress is saved after each batch)
+const BATCH_SIZE = 50;
+
+// Most trips a factor set preview lists in largest_changes
+const MAX_PREVIEW_CHANGES = 100;
+
+/**
+ * Recalculation Service - brings stored trips up to date after
+ * emission factors change, recording before/after values per trip
+ */
+class RecalculationService {
+  constructor() {
+    jobQueueService.register('trip_recalculation', (job, context) => this.runJob(job, context), {
+      failureMessage: 'The recalculation failed',
+      // A run cancelled before it started (or cut off by a restart) is closed here instead of in process()
+      onCancel: job => EmissionRecalculation.finish(job.payload.recalculation_id, { status: 'cancelled' }),
+    });
+    jobQueueService.register('factor_set_preview', (job, context) => this.runPreviewJob(job, context), {
+      failureMessage: 'The preview failed',
+    });
+  }
+
+  /**
+   * Check whether a recalculation is already queued or in progress
+   */
+  async isRunning() {
+    return Job.hasActive('trip_recalculation');
+  }
+
+  /**
+   * Create a recalculation run and queue it as a background job
+   * @param {Object} options
+   * @param {number} options.adminUserId - Admin who triggered the run
+   * @param {Object} [options.factor] - Emission factor row; only trips using it are recalculated
+   * @param {number} [options.factorSetId] - Limit a global run to trips calculated with this set
+   * @returns {Promise<Object>} The created run (status 'pending'), with its job_id
+   * @throws {Error} With statusCode 409 if another run is already queued or running
+   */
+  async start({ adminUserId, factor = null, factorSetId = null }) {
+    const run = await EmissionRecalculation.create({
+      adminUserId,
+      scope: factor ? 'factor' : 'all',
+      emissionFactorId: factor?.id || null,
+      factorSetId: factor ? factor.factor_set_id : factorSetId,
+      category: factor?.category || null,
+      subCategory: factor?.sub_category || null,
+    });
+
+    // Progress is read back through EmissionRecalculation. A unique index allows one
+    // active recalculation job, so of two runs started at once only one is queued
+    let job;
+    try {
+      job = await jobQueueService.enqueue('trip_recalculation', {
+        userId: adminUserId,
+        payload: { recalculation_id: run.id },
+      });
+    } catch (error) {
+      if (error.code !== '23505') {
+        throw error;
+      }
+      await EmissionRecalculation.delete(run.id);
+      throw Object.assign(new Error('A recalculation is already in progress'), { statusCode: 409 });
+    }
+
+    return { ...run, job_id: job.id };
+  }
+
+  /**
+   * Queue a preview of how stored trips' carbon would change with a factor set
+   * @param {Object} options
+   * @param {number} options.adminUserId - Admin who asked for the preview
+   * @param {number} options.factorSetId - Candidate factor set
+   * @param {number} [options.limit=20] - Trips to list in largest_changes (up to MAX_PREVIEW_CHANGES)
+   * @returns {Promise<Object>} The queued job; its result holds the preview
+   */
+  async startPreview({ adminUserId, factorSetId, limit = 20 }) {
+    return jobQueueService.enqueue('factor_set_preview', {
+      userId: adminUserId,
+      payload: { factor_set_id: factorSetId, limit: Math.min(Math.max(limit, 0), MAX_PREVIEW_CHANGES) },
+    });
+  }
+
+  /**
+   * Job handler: recalculate every stored trip with the job's factor set, saving nothing
+   * Only running totals and the trips that would change most are kept; cancelling
+   * the job stops it after the current batch
+   */
+  async runPreviewJob(job, { signal, publish }) {
+    const setId = job.payload.factor_set_id;
+    const { limit } = job.payload;
+
+    const factorSet = await EmissionFactorSet.findById(setId);
+    if (!factorSet) {
+      throw Object.assign(new Error('Emission factor set not found'), { statusCode: 404 });
+    }
+
+    const totalTrips = await Trip.countByFactorSet(null);
+    const totals = { trips: 0, changed: 0, currentKg: 0, projectedKg: 0, currentScore: 0, projectedScore: 0 };
+    let largestChanges = [];
+    let afterId = 0;
+
+    while (true) {
+      const trips = await Trip.findBatchByFactorSet(null, { afterId, limit: BATCH_SIZE });
+      if (trips.length === 0) break;
+
+      for (const trip of trips) {
+        const currentCarbon = parseFloat(trip.total_carbon_kg) || 0;
+        const projected = await itineraryService.recalculateTrip(trip, setId);
+        const difference = Math.round((projected.total_carbon_kg - currentCarbon) * 100) / 100;
+
+        totals.trips++;
+        totals.currentKg += currentCarbon;
+        totals.projectedKg += projected.total_carbon_kg;
+        totals.currentScore += trip.green_score || 0;
+        totals.projectedScore += projected.green_score;
+        if (difference !== 0) {
+          totals.changed++;
+        }
+
+        // Trips with the largest absolute change first
+        largestChanges.push({
+          trip_id: trip.id,
+          user_id: trip.user_id,
+          destination: trip.destination,
+          current_factor_set_id: trip.factor_set_id,
+          current_carbon_kg: currentCarbon,
+          projected_carbon_kg: projected.total_carbon_kg,
+          difference_kg: difference,
+          current_green_score: trip.green_score,
+          projected_green_score: projected.green_score,
+        });
+        if (largestChanges.length > limit) {
+          largestChanges.sort((a, b) => Math.abs(b.difference_kg) - Math.abs(a.difference_kg));
+          largestChanges = largestChanges.slice(0, limit);
+        }
+      }
+
+      afterId = trips[trips.length - 1].id;
+      const snapshot = { total_trips: totalTrips, processed_trips: totals.trips };
+      publish({ type: 'progress', ...snapshot }, snapshot);
+      signal.throwIfAborted();
+    }
+
+    largestChanges.sort((a, b) => Math.abs(b.difference_kg) - Math.abs(a.difference_kg));
+
+    // Owners are only looked up for the trips listed
+    const userIds = [...new Set(largestChanges.map(change => change.user_id))];
+    const users = new Map(await Promise.all(userIds.map(async id => [id, await User.findById(id)])));
+
+    const difference = totals.projectedKg - totals.currentKg;
+    return {
+      set: factorSet,
+      trip_count: totals.trips,
+      current: {
+        total_carbon_kg: Math.round(totals.currentKg * 100) / 100,
+        average_green_score: totals.trips > 0 ? Math.round(totals.currentScore / totals.trips) : 0,
+      },
+      projected: {
+        total_carbon_kg: Math.round(totals.projectedKg * 100) / 100,
+        average_green_score: totals.trips > 0 ? Math.round(totals.projectedScore / totals.trips) : 0,
+      },
+      difference_kg: Math.round(difference * 100) / 100,
+      difference_percent: totals.currentKg > 0 ? Math.round((difference / totals.currentKg) * 1000) / 10 : null,
+      trips_changed: totals.changed,
+      largest_changes: largestChanges.map(({ user_id: userId, ...change }) => ({
+        ...change,
+        user_email: users.get(userId)?.email ?? null,
+      })),
+    };
+  }
+
+  /**
+   * Job handler: process the job's recalculation run
+   * A retried or restarted run starts over; trips it already updated are unchanged
+   * the second time, so they aren't recorded twice
+   */
+  async runJob(job, context) {
+    const run = await EmissionRecalculation.findById(job.payload.recalculation_id);
+    if (!run) {
+      throw Object.assign(new Error('Recalculation run not found'), { statusCode: 404 });
+    }
+
+    const finished = await this.process(run, context);
+    return {
+      recalculation_id: finished.id,
+      processed_trips: finished.processed_trips,
+      matched_trips: finished.matched_trips,
+      updated_trips: finished.updated_trips,
+    };
+  }
+
+  /**
+   * Recalculate every trip in the run's scope, batch by batch
+   * Cancelling the job stops the run after the current batch
+   */
+  async process(run, { signal, publish }) {
+    const totalTrips = await Trip.countByFactorSet(run.factor_set_id);
+    await EmissionRecalculation.start(run.id, totalTrips);
+
+    const factorKey = run.scope === 'factor' ? `${run.category}:${run.sub_category}` : null;
+    const progress = { processedTrips: 0, matchedTrips: 0, updatedTrips: 0 };
+    let afterId = 0;
+
+    try {
+      while (true) {
+        const trips = await Trip.findBatchByFactorSet(run.factor_set_id, { afterId, limit: BATCH_SIZE });
+        if (trips.length === 0) break;
+
+        for (const trip of trips) {
+          progress.processedTrips++;
+
+          if (factorKey && !this.getTripFactorKeys(trip).has(factorKey)) {
+            continue;
+          }
+          progress.matchedTrips++;
+
+          if (await this.recalculateTrip(run.id, trip)) {
+            progress.updatedTrips++;
+          }
+        }
+
+        afterId = trips[trips.length - 1].id;
+        await EmissionRecalculation.updateProgress(run.id, progress);
+        const snapshot = {
+          total_trips: totalTrips,
+          processed_trips: progress.processedTrips,
+          matched_trips: progress.matchedTrips,
+          updated_trips: progress.updatedTrips,
+        };
+        publish({ type: 'progress', ...snapshot }, snapshot);
+        signal.throwIfAborted();
+      }
+
+      return await EmissionRecalculation.finish(run.id, { status: 'completed' });
+    } catch (error) {
+      await EmissionRecalculation.updateProgress(run.id, progress);
+      await EmissionRecalculation.finish(run.id, {
+        status: signal.aborted ? 'cancelled' : 'failed',
+        error: signal.aborted ? null : error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculate and save one trip, recording before/after values
+   * The trip is read again under a row lock, so itinerary edits saved since its batch
+   * was fetched are recalculated rather than overwritten
+   * @returns {Promise<boolean>} Whether the trip's carbon figures changed
+   */
+  async recalculateTrip(recalculationId, trip) {
+    let saved = null;
+
+    await Trip.updateWithLock(trip.id, async (lockedTrip) => {
+      const before = this.getStoredEmissions(lockedTrip);
+      const after = await itineraryService.recalculateTrip(lockedTrip, lockedTrip.factor_set_id);
+
+      const changed = before.total_carbon_kg !== after.total_carbon_kg
+        || before.green_score !== after.green_score
+        || ['transport', 'accommodation', 'activities', 'travel_to_destination']
+          .some(key => before.carbon_breakdown[key] !== after.carbon_breakdown[key])
+        || before.baseline_carbon_kg !== after.baseline_carbon.total
+        || !lockedTrip.itinerary?.carbon_uncertainty; // Older trips have no uncertainty ranges yet
+
+      if (!changed) {
+        return {};
+      }
+
+      saved = { before, after };
+      return {
+        itinerary: after.itinerary,
+        totalCarbonKg: after.total_carbon_kg,
+        greenScore: after.green_score,
+      };
+    });
+
+    // Nothing changed, or the trip was deleted since its batch was fetched
+    if (!saved) {
+      return false;
+    }
+
+    await EmissionRecalculation.addResult(recalculationId, {
+      tripId: trip.id,
+      before: saved.before,
+      after: saved.after,
+    });
+
+    return true;
+  }
+
+  /**
+   * Read a trip's stored carbon figures
+   */
+  getStoredEmissions(trip) {
+    const itinerary = trip.itinerary || {};
+    return {
+      total_carbon_kg: parseFloat(trip.total_carbon_kg) || 0,
+      green_score: trip.green_score,
+      carbon_breakdown: {
+        transport: itinerary.transport_carbon || 0,
+        accommodation: itinerary.accommodation_carbon || 0,
+        activities: itinerary.activities_carbon || 0,
+        travel_to_destination: itinerary.travel_to_destination_carbon || 0,
+        total: parseFloat(trip.total_carbon_kg) || 0,
+      },
+      // Trips generated before baselines were added have none until recalculated
+      baseline_carbon_kg: itinerary.baseline_carbon?.total ?? null,
+    };
+  }
+
+  /**
+   * Emission factors a stored trip depends on ('category:sub_category' keys)
+   */
+  getTripFactorKeys(trip) {
+    return CarbonService.getTripFactorKeys({
+      accommodation_preference: trip.accommodation_preference,
+      nights: differenceInDays(new Date(trip.end_date), new Date(trip.start_date)) + 1,
+      itinerary: trip.itinerary,
+      destination_distance_km: parseFloat(trip.origin_distance_km) || 0,
+      origin_transport_mode: trip.origin_transport_mode,
+    });
+  }
+}
+
+// Export singleton instance
+export default new RecalculationService();
@@ -0,0 +1,248 @@
+import googlePlacesService from './googlePlacesService.js';
+import { toMinutes, formatMinutes, getDayOpenPeriods, findOpeningHoursConflict } from '../utils/openingHours.js';
+
+// Average door-to-door speeds (km/h), for travel times the Distance Matrix didn't provide
+const TRAVEL_SPEEDS_KMH = {
+  walking: 5,
+  bicycle: 15,
+  bus: 20,
+  train: 40,
+  car: 30,
+  taxi: 30,
+};
+
+// Days finishing later than this are reported as too long
+const LATEST_END_TIME = '22:00';
+
+// Activities are never moved past the end of their day
+const LATEST_START_MINUTES = 23 * 60 + 59;
+
+// Activity types that keep their time slot when a day is reordered, so meals stay at mealtimes
+const FIXED_SLOT_TYPES = ['restaurant', 'cafe'];
+
+// Every order of a day's movable activities is tried, so reordering is capped (8! = 40320 orders)
+const MAX_REORDERED_ACTIVITIES = 8;
+
+// Reordering has to save at least this much travel to be worth changing the AI's plan
+const MIN_REORDER_SAVING_KM = 0.5;
+
+/**
+ * Every order of an array (Heap's algorithm)
+ */
+function* permutations(items) {
+  const current = [...items];
+  const counters = new Array(current.length).fill(0);
+  yield [...current];
+
+  let index = 1;
+  while (index < current.length) {
+    if (counters[index] < index) {
+      const swapWith = index % 2 === 0 ? 0 : counters[index];
+      [current[swapWith], current[index]] = [current[index], current[swapWith]];
+      yield [...current];
+      counters[index]++;
+      index = 1;
+    } else {
+      counters[index] = 0;
+      index++;
+    }
+  }
+}
+
+/**
+ * Scheduling Service - fits a day's activities around their durations, the travel
+ * time between them and their places' opening hours (see itineraryService.scheduleDay,
+ * which measures the legs first)
+ */
+class SchedulingService {
+  /**
+   * Estimate travel time from a distance and transport mode
+   * @returns {number} Minutes
+   */
+  static estimateTravelMinutes(distanceKm, transportMode) {
+    const speed = TRAVEL_SPEEDS_KMH[transportMode?.toLowerCase()] || TRAVEL_SPEEDS_KMH.walking;
+    return Math.round(((distanceKm || 0) / speed) * 60);
+  }
+
+  /**
+   * Earliest start at or after `earliest` (minutes after midnight) when the activity's place
+   * is open for the whole visit - or, failing that, open at all
+   */
+  static findStartTime(activity, date, earliest) {
+    const periods = getDayOpenPeriods(activity.opening_hours, date);
+    if (!periods) {
+      return earliest;
+    }
+
+    const duration = Math.round((activity.duration_hours || 0) * 60);
+    const period = periods.find(([open, close]) => Math.max(earliest, open) + duration <= close)
+      || periods.find(([, close]) => close > earliest);
+
+    return period ? Math.max(earliest, period[0]) : earliest;
+  }
+
+  /**
+   * Work out start and end times for activities visited in order
+   * Each activity starts no earlier than its slot time, after the previous activity
+   * has ended and the trip to it has been made, and when its place is open
+   * @param {Array} activities - Activities in visiting order
+   * @param {string} date - The day's date ('YYYY-MM-DD')
+   * @param {Array} slotTimes - Earliest start ('HH:MM') for each position
+   * @param {Function} getTravelMinutes - (from, to) => minutes between two activities
+   * @returns {Array} { start, end, earliest, travel } per activity, in minutes
+   */
+  static planTimes(activities, date, slotTimes, getTravelMinutes) {
+    let previousEnd = null;
+
+    return activities.map((activity, index) => {
+      const travel = index > 0 ? getTravelMinutes(activities[index - 1], activity) : 0;
+      let earliest = slotTimes[index] ? toMinutes(slotTimes[index]) : 0;
+      if (previousEnd !== null) {
+        earliest = Math.max(earliest, previousEnd + travel);
+      }
+
+      const start = Math.min(this.findStartTime(activity, date, earliest), LATEST_START_MINUTES);
+      const end = start + Math.round((activity.duration_hours || 0) * 60);
+      previousEnd = end;
+
+      return { start, end, earliest, travel };
+    });
+  }
+
+  /**
+   * Reorder a day's activities to cut backtracking between places
+   * Tries every order of the movable activities (meals keep their slots) and picks the
+   * shortest route that doesn't add opening-hours conflicts or run later into the evening.
+   * Activities take over the time slots of the positions they move to (as with
+   * reorder_activities); the legs have to be measured again afterwards
+   * @returns {boolean} Whether the order changed
+   */
+  static reorderDay(day) {
+    const activities = day.activities || [];
+    const located = activities.every(activity => activity.lat != null && activity.lng != null);
+    const movable = activities
+      .map((activity, index) => (FIXED_SLOT_TYPES.includes(activity.type) ? null : index))
+      .filter(index => index !== null);
+
+    if (!located || movable.length < 2 || movable.length > MAX_REORDERED_ACTIVITIES) {
+      return false;
+    }
+
+    const slotTimes = activities.map(activity => activity.time).sort();
+    const distances = activities.map(from => activities.map(to =>
+      googlePlacesService.calculateHaversineDistance(from.lat, from.lng, to.lat, to.lng)
+    ));
+
+    const routeDistance = (order) =>
+      order.slice(1).reduce((total, index, position) => total + distances[order[position]][index], 0);
+
+    // Opening-hours conflicts and minutes past LATEST_END_TIME for an order, using estimated travel times
+    const evaluate = (order) => {
+      const ordered = order.map(index => activities[index]);
+      const plan = this.planTimes(ordered, day.date, slotTimes, (from, to) =>
+        this.estimateTravelMinutes(distances[activities.indexOf(from)][activities.indexOf(to)], to.transport_mode)
+      );
+      const conflicts = ordered.filter((activity, position) => findOpeningHoursConflict(
+        activity.opening_hours,
+        day.date,
+        formatMinutes(plan[position].start),
+        activity.duration_hours
+      )).length;
+      const lateness = Math.max(0, plan[plan.length - 1].end - toMinutes(LATEST_END_TIME));
+      return { conflicts, lateness };
+    };
+
+    const original = activities.map((activity, index) => index);
+    const originalScore = evaluate(original);
+    let best = original;
+    let bestDistance = routeDistance(original) - MIN_REORDER_SAVING_KM;
+
+    for (const movedOrder of permutations(movable)) {
+      const order = [...original];
+      movable.forEach((position, index) => {
+        order[position] = movedOrder[index];
+      });
+
+      // Only shorter routes are worth checking against the opening hours
+      const distance = routeDistance(order);
+      if (distance >= bestDistance) {
+        continue;
+      }
+
+      const score = evaluate(order);
+      if (score.conflicts <= originalScore.conflicts && score.lateness <= originalScore.lateness) {
+        best = order;
+        bestDistance = distance;
+      }
+    }
+
+    if (best === original) {
+      return false;
+    }
+
+    day.activities = best.map((index, position) => ({ ...activities[index], time: slotTimes[position] }));
+    return true;
+  }
+
+  /**
+   * Fix the times of a day's activities in their current order and report what still doesn't fit
+   * Activities are only moved later: past the previous activity's end plus the travel time
+   * to them (travel_minutes, from the measured legs), and into their opening hours.
+   * Updates each activity's time and opening_hours_conflict, and sets day.schedule_conflicts
+   * @returns {Array} Conflicts: { type, activity_id, message }, type being 'overlap'
+   *   (no room before the end of the day), 'closed' (see findOpeningHoursConflict) or
+   *   'long_day' (ends after LATEST_END_TIME; no activity_id)
+   */
+  static scheduleDay(day) {
+    const activities = day.activities || [];
+    const plan = this.planTimes(
+      activities,
+      day.date,
+      activities.map(activity => activity.time),
+      (from, to) => to.travel_minutes || 0
+    );
+    const conflicts = [];
+
+    activities.forEach((activity, index) => {
+      const { start, earliest, travel } = plan[index];
+      activity.time = formatMinutes(start);
+      activity.opening_hours_conflict = findOpeningHoursConflict(
+        activity.opening_hours,
+        day.date,
+        activity.time,
+        activity.duration_hours
+      );
+
+      if (start < earliest) {
+        const previous = activities[index - 1];
+        conflicts.push({
+          type: 'overlap',
+          activity_id: activity.id,
+          message: `${activity.title} starts before ${previous.title} ends${travel > 0 ? ` and the ${travel} minute trip there` : ''}`,
+        });
+      }
+
+      if (activity.opening_hours_conflict) {
+        conflicts.push({
+          type: 'closed',
+          activity_id: activity.id,
+          message: `${activity.title}: ${activity.opening_hours_conflict.message}`,
+        });
+      }
+    });
+
+    const dayEnd = plan.length > 0 ? plan[plan.length - 1].end : 0;
+    if (dayEnd > toMinutes(LATEST_END_TIME)) {
+      conflicts.push({
+        type: 'long_day',
+        activity_id: null,
+        message: `Day ${day.day} runs until ${formatMinutes(dayEnd)}, past ${LATEST_END_TIME}`,
+      });
+    }
+
+    day.schedule_conflicts = conflicts;
+    return conflicts;
+  }
+}
+
+export default SchedulingService;
@@ -0,0 +1,64 @@
+/**
+ * Activity taxonomy shared by the AI prompt, carbon calculations and budgets
+ * Every activity type the model may return maps to a seeded emission_factors
+ * sub_category (category 'activity') and to an expense category
+ */
+export const ACTIVITY_TAXONOMY = {
+  museum: { subCategory: 'museum_indoor', expenseCategory: 'activities' },
+  restaurant: { subCategory: 'restaurant_meal', expenseCategory: 'food' },
+  outdoor_activity: { subCategory: 'outdoor_activity', expenseCategory: 'activities' },
+  shopping: { subCategory: 'shopping_mall', expenseCategory: 'shopping' },
+  tour: { subCategory: 'tour_guided', expenseCategory: 'activities' },
+  entertainment_venue: { subCategory: 'entertainment_venue', expenseCategory: 'activities' },
+  cafe: { subCategory: 'cafe_snack', expenseCategory: 'food' },
+  hiking: { subCategory: 'outdoor_activity', expenseCategory: 'activities' },
+  cultural_site: { subCategory: 'museum_indoor', expenseCategory: 'activities' },
+  beach: { subCategory: 'outdoor_activity', expenseCategory: 'activities' },
+  adventure_sport: { subCategory: 'outdoor_activity', expenseCategory: 'activities' }, // Mostly unpowered (climbing, zip-lining)
+  spa_wellness: { subCategory: 'spa_wellness', expenseCategory: 'activities' },
+};
+
+// Activity types in the order they are offered to the model
+export const ACTIVITY_TYPES = Object.keys(ACTIVITY_TAXONOMY);
+
+// Older or loose names seen in stored itineraries
+const ACTIVITY_TYPE_ALIASES = {
+  outdoor: 'outdoor_activity',
+  spa: 'spa_wellness',
+  museum_indoor: 'museum',
+  restaurant_meal: 'restaurant',
+  cafe_snack: 'cafe',
+  tour_guided: 'tour',
+};
+
+/**
+ * Resolve an activity type (or alias) to a taxonomy type
+ * @param {string} type - Activity type from an itinerary
+ * @returns {string|null} Taxonomy type, or null if unknown
+ */
+export const normalizeActivityType = (type) => {
+  if (!type) return null;
+  const key = type.toLowerCase();
+  if (ACTIVITY_TAXONOMY[key]) return key;
+  return ACTIVITY_TYPE_ALIASES[key] || null;
+};
+
+/**
+ * Get the emission factor sub_category for an activity type
+ * @param {string} type - Activity type from an itinerary
+ * @returns {string|null} Activity sub_category, or null if unknown
+ */
+export const getActivitySubCategory = (type) => {
+  const normalized = normalizeActivityType(type);
+  return normalized ? ACTIVITY_TAXONOMY[normalized].subCategory : null;
+};
+
+/**
+ * Get the expense category an activity's cost belongs to
+ * @param {string} type - Activity type from an itinerary
+ * @returns {string} Expense category (defaults to 'activities')
+ */
+export const getActivityExpenseCategory = (type) => {
+  const normalized = normalizeActivityType(type);
+  return normalized ? ACTIVITY_TAXONOMY[normalized].expenseCategory : 'activities';
+};
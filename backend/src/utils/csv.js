@@ -0,0 +1,78 @@
+/**
+ * Parse CSV text into an array of objects keyed by the header row
+ * Supports quoted fields containing commas, newlines and escaped quotes ("")
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, ''); // Strip byte order mark from spreadsheet exports
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(values =>
+    Object.fromEntries(headers.map((header, index) => [header, (values[index] ?? '').trim()]))
+  );
+};
+
+/**
+ * Convert an array of objects to CSV text
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} CSV text with a header row
+ */
+export const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escape(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
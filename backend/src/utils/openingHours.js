@@ -0,0 +1,147 @@
+/**
+ * Opening hours helpers for Google Places opening_hours data
+ * Periods are { open: { day, time }, close: { day, time } }, with day 0-6 from
+ * Sunday and time 'hhmm' in the place's local time. A place that is always open
+ * has a single period opening on Sunday at 0000 with no close
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Convert 'HH:MM' or 'hhmm' to minutes after midnight
+ */
+export const toMinutes = (time) => {
+  const digits = String(time).replace(':', '');
+  return parseInt(digits.slice(0, 2), 10) * 60 + parseInt(digits.slice(2, 4), 10);
+};
+
+/**
+ * Convert minutes after midnight to 'HH:MM'
+ */
+export const formatMinutes = (minutes) => {
+  const wrapped = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Day of the week (0 = Sunday) of a 'YYYY-MM-DD' date
+ */
+export const getWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Opening periods as [open, close] minutes from the start of the week (Sunday 00:00)
+ * A period that runs past Saturday midnight ends beyond MINUTES_PER_WEEK
+ * @returns {Array|null} Periods, or null if the hours are unknown
+ */
+export const getOpenPeriods = (openingHours) => {
+  const periods = openingHours?.periods;
+  if (!Array.isArray(periods) || periods.length === 0) {
+    return null;
+  }
+
+  // Always open
+  if (periods.length === 1 && !periods[0].close) {
+    return [[0, MINUTES_PER_WEEK * 2]];
+  }
+
+  return periods
+    .filter(period => period.open && period.close)
+    .map(period => {
+      const open = period.open.day * MINUTES_PER_DAY + toMinutes(period.open.time || '0000');
+      let close = period.close.day * MINUTES_PER_DAY + toMinutes(period.close.time || '0000');
+      if (close <= open) {
+        close += MINUTES_PER_WEEK;
+      }
+      return [open, close];
+    });
+};
+
+/**
+ * Opening periods of one day, as [open, close] minutes after that day's midnight
+ * (close can be past midnight, i.e. above 1440)
+ * @returns {Array|null} Periods, or null if the hours are unknown
+ */
+export const getDayOpenPeriods = (openingHours, date) => {
+  const periods = getOpenPeriods(openingHours);
+  if (!periods) {
+    return null;
+  }
+
+  const dayStart = getWeekday(date) * MINUTES_PER_DAY;
+  const dayPeriods = [];
+
+  // Check last week's copy too, for periods that run past Saturday midnight
+  for (const offset of [0, -MINUTES_PER_WEEK]) {
+    for (const [open, close] of periods) {
+      const start = open + offset - dayStart;
+      const end = close + offset - dayStart;
+      if (end > 0 && start < MINUTES_PER_DAY) {
+        dayPeriods.push([start, end]);
+      }
+    }
+  }
+
+  // Join periods that touch (e.g. one closing at midnight and the next opening at 00:00)
+  const merged = [];
+  for (const [start, end] of dayPeriods.sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+};
+
+/**
+ * Check a visit against a place's opening hours
+ * @param {Object} openingHours - Google Places opening_hours
+ * @param {string} date - Visit date ('YYYY-MM-DD')
+ * @param {string} time - Start time ('HH:MM')
+ * @param {number} [durationHours=0] - Length of the visit
+ * @returns {Object|null} { reason, message } if the place is closed for any of the visit,
+ *   or null if it is open throughout (or the hours are unknown)
+ *   reason is 'closed_all_day', 'not_open_yet', 'closed' or 'closes_during_visit'
+ */
+export const findOpeningHoursConflict = (openingHours, date, time, durationHours = 0) => {
+  if (!date || !time) {
+    return null;
+  }
+
+  const periods = getDayOpenPeriods(openingHours, date);
+  if (!periods) {
+    return null;
+  }
+
+  const weekday = WEEKDAYS[getWeekday(date)];
+  const start = toMinutes(time);
+  const end = start + Math.round((durationHours || 0) * 60);
+
+  if (periods.length === 0) {
+    return { reason: 'closed_all_day', message: `Closed on ${weekday}s` };
+  }
+
+  const current = periods.find(([open, close]) => open <= start && start < close);
+
+  if (!current) {
+    const nextOpen = periods.find(([open]) => open > start);
+    if (nextOpen) {
+      return { reason: 'not_open_yet', message: `Opens at ${formatMinutes(nextOpen[0])} on ${weekday}s` };
+    }
+    const lastClose = periods[periods.length - 1][1];
+    return { reason: 'closed', message: `Closes at ${formatMinutes(lastClose)} on ${weekday}s` };
+  }
+
+  if (end > current[1]) {
+    return {
+      reason: 'closes_during_visit',
+      message: `Closes at ${formatMinutes(current[1])} on ${weekday}s, before the visit ends`,
+    };
+  }
+
+  return null;
+};
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { ACTIVITY_TYPES } from './activityTaxonomy.js';
 
 // User registration validation
 export const registerSchema = Joi.object({
@@ -27,6 +28,7 @@ export const loginSchema = Joi.object({
 export const profileUpdateSchema = Joi.object({
   name: Joi.string().min(2).max(100),
   email: Joi.string().email(),
+  home_location: Joi.string().max(200).allow(''), // Default trip origin
 }).min(1); // At least one field must be present
 
 // Password change validation
@@ -35,6 +37,24 @@ export const passwordChangeSchema = Joi.object({
   newPassword: Joi.string().min(8).required(),
 });
 
+// How the traveller gets to the destination (maps to transport emission factors)
+export const ORIGIN_TRANSPORT_MODES = [
+  'flight',
+  'train_international',
+  'bus_coach',
+  'ferry_foot',
+  'car',
+];
+
+// Accommodation types a trip can be planned with (maps to accommodation emission factors)
+export const ACCOMMODATION_TYPES = [
+  'hostel',
+  'hotel_budget',
+  'hotel_standard',
+  'eco_lodge',
+  'airbnb',
+];
+
 // Trip generation validation
 export const tripGenerationSchema = Joi.object({
   destination: Joi.string().min(2).max(200).required().messages({
@@ -58,16 +78,213 @@ export const tripGenerationSchema = Joi.object({
     'any.required': 'Interests are required',
   }),
   travel_style: Joi.string().valid('budget', 'balanced', 'luxury').required(),
-  accommodation_preference: Joi.string().valid(
-    'hostel',
-    'hotel_budget',
-    'hotel_standard',
-    'eco_lodge',
-    'airbnb'
-  ).required(),
+  accommodation_preference: Joi.string().valid(...ACCOMMODATION_TYPES).required(),
   transport_preference: Joi.string().valid('train', 'bus', 'car', 'mixed').required(),
+  // Optional origin - defaults to the user's home location
+  origin: Joi.string().min(2).max(200).optional(),
+  origin_transport_mode: Joi.string().valid(...ORIGIN_TRANSPORT_MODES).default('flight'),
+  // Party size - carbon is calculated for the whole group and per person
+  adults: Joi.number().integer().min(1).max(20).default(1).messages({
+    'number.min': 'At least one adult is required',
+  }),
+  children: Joi.number().integer().min(0).max(20).default(0),
+  rooms: Joi.number().integer().min(1).max(20).default(1),
+  // Optional carbon budget - generation tries to stay within it
+  max_carbon_kg: Joi.number().positive().max(100000).optional(),
+  target_green_score: Joi.number().integer().min(1).max(100).optional(),
+}).custom((value, helpers) => {
+  if (value.rooms > value.adults + value.children) {
+    return helpers.message('Rooms cannot exceed the number of travellers');
+  }
+  return value;
+});
+
+// Transport modes an itinerary activity can use between stops
+export const ITINERARY_TRANSPORT_MODES = ['walking', 'bicycle', 'train', 'bus', 'car', 'taxi'];
+
+// An itinerary activity (same fields the AI generates; ID and carbon are set by the server)
+export const itineraryActivitySchema = Joi.object({
+  title: Joi.string().max(200).required(),
+  time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+    'string.pattern.base': 'Time must be in HH:MM format',
+  }),
+  location: Joi.string().max(300).allow('').default(''),
+  type: Joi.string().valid(...ACTIVITY_TYPES).required(),
+  description: Joi.string().max(1000).allow('').default(''),
+  duration_hours: Joi.number().positive().max(24).default(2),
+  estimated_cost: Joi.number().min(0).max(100000).default(0),
+  transport_mode: Joi.string().valid(...ITINERARY_TRANSPORT_MODES).default('walking'),
+  eco_alternative: Joi.string().max(1000).allow('').default(''),
 });
 
+// AI-generated itineraries (see openaiService.generateItinerary) - stricter than
+// user input: every field the prompt asks for must be present and in range.
+// Validate with context { numDays, budget }
+const generatedActivitySchema = Joi.object({
+  time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required().messages({
+    'string.pattern.base': '{{#label}} must be in HH:MM format',
+  }),
+  title: Joi.string().max(200).required(),
+  location: Joi.string().max(300).allow(''),
+  type: Joi.string().valid(...ACTIVITY_TYPES).required(),
+  description: Joi.string().max(1000).allow(''),
+  duration_hours: Joi.number().positive().max(24).required(),
+  estimated_cost: Joi.number().min(0).max(Joi.ref('$budget')).required().messages({
+    'number.max': '{{#label}} must not exceed the trip budget',
+  }),
+  transport_mode: Joi.string().valid(...ITINERARY_TRANSPORT_MODES).required(),
+  eco_alternative: Joi.string().max(1000).allow(''),
+}).unknown(true);
+
+const generatedDaySchema = Joi.object({
+  day: Joi.number().integer().min(1).required(),
+  theme: Joi.string().max(200).allow(''),
+  activities: Joi.array().items(generatedActivitySchema).min(1).max(8).required(),
+  meals: Joi.object().unknown(true),
+  daily_cost: Joi.number().min(0).max(Joi.ref('$budget')).messages({
+    'number.max': '{{#label}} must not exceed the trip budget',
+  }),
+}).unknown(true).custom((day, helpers) => {
+  const times = day.activities.map(activity => activity.time);
+  if (times.some((time, index) => index > 0 && time <= times[index - 1])) {
+    return helpers.message(`{{#label}} activities must be in time order with no two at the same time (got ${times.join(', ')})`);
+  }
+  return day;
+});
+
+export const generatedItinerarySchema = Joi.object({
+  summary: Joi.string().allow(''),
+  sustainability_score: Joi.number().min(0).max(100),
+  estimated_total_cost: Joi.number().min(0),
+  days: Joi.array().items(generatedDaySchema).required().custom((days, helpers) => {
+    const { numDays } = helpers.prefs.context;
+    if (days.length !== numDays) {
+      return helpers.message(`{{#label}} must have exactly ${numDays} days, one per date in the trip (got ${days.length})`);
+    }
+    if (days.some((day, index) => day.day !== index + 1)) {
+      return helpers.message(`{{#label}} must be numbered 1 to ${numDays} in order`);
+    }
+    return days;
+  }),
+  packing_tips: Joi.array().items(Joi.string()),
+  eco_tips: Joi.array().items(Joi.string()),
+  local_customs: Joi.array().items(Joi.string()),
+}).unknown(true);
+
+// Apply a greener alternative to an itinerary activity: either a new transport
+// mode for the leg to it, or a replacement activity
+export const activityAlternativeSchema = Joi.object({
+  transport_mode: Joi.string().valid(...ITINERARY_TRANSPORT_MODES),
+  activity: itineraryActivitySchema,
+}).xor('transport_mode', 'activity').messages({
+  'object.xor': 'Provide either transport_mode or activity',
+  'object.missing': 'Provide either transport_mode or activity',
+});
+
+// Itinerary editing - positions are 0-based, days are 1-based
+const dayNumber = Joi.number().integer().min(1).max(365);
+const activityPosition = Joi.number().integer().min(0).max(100);
+
+// Add an activity to a day (appended unless a position is given)
+export const addActivitySchema = Joi.object({
+  activity: itineraryActivitySchema.required(),
+  position: activityPosition.optional(),
+});
+
+// Reorder a day's activities - must list every activity on the day exactly once
+export const reorderActivitiesSchema = Joi.object({
+  activity_ids: Joi.array().items(Joi.string().max(50)).min(1).unique().required().messages({
+    'any.required': 'activity_ids is required',
+    'array.unique': 'activity_ids must not contain duplicates',
+  }),
+});
+
+// Move an activity to another day
+export const moveActivitySchema = Joi.object({
+  to_day: dayNumber.required().messages({
+    'any.required': 'to_day is required',
+  }),
+  position: activityPosition.optional(),
+});
+
+// Change the transport mode for every leg of a day
+export const dayTransportSchema = Joi.object({
+  transport_mode: Joi.string().valid(...ITINERARY_TRANSPORT_MODES).required().messages({
+    'any.only': `Transport mode must be one of: ${ITINERARY_TRANSPORT_MODES.join(', ')}`,
+    'any.required': 'Transport mode is required',
+  }),
+});
+
+// A single itinerary edit operation (what the endpoints above apply)
+export const ITINERARY_EDIT_OPS = [
+  'add_activity',
+  'remove_activity',
+  'reorder_activities',
+  'move_activity',
+  'set_day_transport',
+];
+
+export const itineraryEditSchema = Joi.object({
+  op: Joi.string().valid(...ITINERARY_EDIT_OPS).required(),
+  day: dayNumber.when('op', {
+    is: Joi.valid('add_activity', 'reorder_activities', 'set_day_transport'),
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  activity_id: Joi.string().max(50).when('op', {
+    is: Joi.valid('remove_activity', 'move_activity'),
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  activity: itineraryActivitySchema.when('op', {
+    is: 'add_activity',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  activity_ids: reorderActivitiesSchema.extract('activity_ids').when('op', {
+    is: 'reorder_activities',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  to_day: dayNumber.when('op', {
+    is: 'move_activity',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  position: activityPosition.when('op', {
+    is: Joi.valid('add_activity', 'move_activity'),
+    then: Joi.optional(),
+    otherwise: Joi.forbidden(),
+  }),
+  transport_mode: dayTransportSchema.extract('transport_mode').when('op', {
+    is: 'set_day_transport',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+// Regenerate a day or an activity with the AI (e.g. "more outdoor", "cheaper", "rainy day")
+export const regenerateSchema = Joi.object({
+  instructions: Joi.string().trim().max(500).allow('').optional(),
+});
+
+// Trip refinement chat message (natural-language edits, e.g. "keep total under £800")
+export const tripChatSchema = Joi.object({
+  message: Joi.string().trim().min(1).max(1000).required().messages({
+    'any.required': 'Message is required',
+    'string.empty': 'Message is required',
+  }),
+});
+
+// Trip update validation - trip details only; the itinerary is changed through the
+// editing endpoints so its carbon, cost and Green Score stay in step
+export const tripUpdateSchema = Joi.object({
+  budget: Joi.number().min(0).max(1000000),
+  interests: Joi.array().items(Joi.string()).min(1),
+  travel_style: Joi.string().valid('budget', 'balanced', 'luxury'),
+  transport_preference: Joi.string().valid('train', 'bus', 'car', 'mixed'),
+}).min(1); // At least one field must be present
+
 // Emission factor validation
 export const emissionFactorSchema = Joi.object({
   category: Joi.string().valid('transport', 'accommodation', 'activity').required(),
@@ -75,8 +292,158 @@ export const emissionFactorSchema = Joi.object({
   factor_kg_per_unit: Joi.number().min(0).required(),
   unit: Joi.string().required(),
   source: Joi.string().optional(),
+  factor_set_id: Joi.number().integer().positive().optional(), // Defaults to the active set
+});
+
+// Emission factor update validation (category and set stay as they are)
+export const emissionFactorUpdateSchema = Joi.object({
+  sub_category: Joi.string().max(100),
+  factor_kg_per_unit: Joi.number().min(0),
+  unit: Joi.string().max(50),
+  source: Joi.string().max(255).allow(''),
+  description: Joi.string().allow(''),
+  is_active: Joi.boolean(),
+}).min(1); // At least one field must be present
+
+// Emission factor import row validation (same shape as seed.js data)
+export const emissionFactorImportRowSchema = Joi.object({
+  category: Joi.string().valid('transport', 'accommodation', 'activity').required(),
+  sub_category: Joi.string().max(100).required(),
+  factor_kg_per_unit: Joi.number().min(0).required(),
+  unit: Joi.string().max(50).required(),
+  description: Joi.string().allow('', null).optional(),
+  source: Joi.string().max(255).allow('', null).optional(),
+  // Blank cells (e.g. after editing an export in a spreadsheet) count as not given
+  is_active: Joi.boolean().empty('').optional(),
+});
+
+// Emission factor set validation
+export const emissionFactorSetSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required().messages({
+    'any.required': 'Name is required',
+  }),
+  source: Joi.string().max(255).optional(),
+  effective_from: Joi.date().iso().required().messages({
+    'any.required': 'Effective from date is required',
+  }),
+  description: Joi.string().max(1000).allow('').optional(),
+  copy_from_set_id: Joi.number().integer().positive().optional(), // Start from an existing set's factors
+});
+
+// Emission factor set update validation
+export const emissionFactorSetUpdateSchema = Joi.object({
+  name: Joi.string().min(2).max(100),
+  source: Joi.string().max(255),
+  effective_from: Joi.date().iso(),
+  description: Joi.string().max(1000).allow(''),
+}).min(1); // At least one field must be present
+
+// Green Score model validation (bands must be in ascending kg/day order)
+const greenScoreBandSchema = Joi.object({
+  label: Joi.string().max(50).required(),
+  max_kg_per_day: Joi.number().positive().required(),
+  score_from: Joi.number().min(0).max(100).required(),
+  score_to: Joi.number().min(0).max(100).required(),
+});
+
+export const greenScoreModelSchema = Joi.object({
+  description: Joi.string().max(1000).allow('').optional(),
+  config: Joi.object({
+    bands: Joi.array().items(greenScoreBandSchema).min(1).required()
+      .custom((bands, helpers) => {
+        const ascending = bands.every((band, i) => i === 0 || band.max_kg_per_day > bands[i - 1].max_kg_per_day);
+        return ascending ? bands : helpers.message('Bands must be in ascending max_kg_per_day order');
+      }),
+    weights: Joi.object({
+      accommodation: Joi.number().min(0).max(5).required(),
+      transport: Joi.number().min(0).max(5).required(),
+      activities: Joi.number().min(0).max(5).required(),
+      travel_to_destination: Joi.number().min(0).max(5).required(),
+    }).required(),
+    benchmarks: Joi.object({
+      accommodation_kg_per_night: Joi.number().min(0).required(),
+      transport_kg_per_day: Joi.number().min(0).required(),
+      activities_kg_per_day: Joi.number().min(0).required(),
+      travel_to_destination_kg_per_day: Joi.number().min(0).required(),
+    }).required(),
+  }).required(),
+  activate: Joi.boolean().default(false),
 });
 
+// Offset provider validation (price is GBP per tonne CO2)
+export const offsetProviderSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required().messages({
+    'any.required': 'Name is required',
+  }),
+  price_per_tonne: Joi.number().min(0).max(10000).required().messages({
+    'any.required': 'Price per tonne is required',
+  }),
+  project_type: Joi.string().max(100).optional(),
+  website: Joi.string().uri().max(255).optional(),
+  description: Joi.string().max(1000).allow('').optional(),
+});
+
+// Offset provider update validation
+export const offsetProviderUpdateSchema = Joi.object({
+  name: Joi.string().min(2).max(100),
+  price_per_tonne: Joi.number().min(0).max(10000),
+  project_type: Joi.string().max(100),
+  website: Joi.string().uri().max(255),
+  description: Joi.string().max(1000).allow(''),
+  is_active: Joi.boolean(),
+}).min(1); // At least one field must be present
+
+// Trip offset validation - cost defaults to the provider's price for the amount
+export const tripOffsetSchema = Joi.object({
+  provider_id: Joi.number().integer().positive().required().messages({
+    'any.required': 'Provider ID is required',
+  }),
+  amount_kg: Joi.number().positive().max(1000000).required().messages({
+    'number.positive': 'Amount must be greater than zero',
+    'any.required': 'Amount is required',
+  }),
+  cost: Joi.number().min(0).max(1000000).precision(2).optional(),
+  certificate_reference: Joi.string().max(255).allow('').optional(),
+  offset_date: Joi.date().iso().optional(),
+});
+
+// Expense categories (must match expenses table CHECK constraint)
+export const EXPENSE_CATEGORIES = [
+  'transport',
+  'accommodation',
+  'food',
+  'activities',
+  'shopping',
+  'other',
+];
+
+// Expense creation validation
+export const expenseSchema = Joi.object({
+  trip_id: Joi.number().integer().positive().required().messages({
+    'any.required': 'Trip ID is required',
+  }),
+  category: Joi.string().valid(...EXPENSE_CATEGORIES).required().messages({
+    'any.only': `Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`,
+    'any.required': 'Category is required',
+  }),
+  amount: Joi.number().positive().max(1000000).precision(2).required().messages({
+    'number.positive': 'Amount must be greater than zero',
+    'any.required': 'Amount is required',
+  }),
+  description: Joi.string().max(500).allow('').optional(),
+  date: Joi.date().iso().required().messages({
+    'any.required': 'Date is required',
+  }),
+});
+
+// Expense update validation
+export const expenseUpdateSchema = Joi.object({
+  category: Joi.string().valid(...EXPENSE_CATEGORIES),
+  amount: Joi.number().positive().max(1000000).precision(2),
+  description: Joi.string().max(500).allow(''),
+  date: Joi.date().iso(),
+}).min(1); // At least one field must be present
+
 // Generic validation middleware
 export const validate = (schema) => {
   return (req, res, next) => {
@@ -84,6 +84,7 @@ export default function Analytics() {
   // Prepare data for carbon breakdown pie chart
   // Transform API data into format Recharts expects
   const carbonBreakdown = stats?.carbon_breakdown ? [
+    { name: "Getting There", value: stats.carbon_breakdown.travel_to_destination, color: "#F97316" },
     { name: "Transport", value: stats.carbon_breakdown.transport, color: "#3B82F6" },
     { name: "Accommodation", value: stats.carbon_breakdown.accommodation, color: "#8B5CF6" },
     { name: "Activities", value: stats.carbon_breakdown.activities, color: "#10B981" }
@@ -94,6 +95,7 @@ export default function Analytics() {
   const tripData = stats?.recent_trips?.map((trip, index) => ({
     name: trip.destination.split(',')[0].substring(0, 10),  // Truncate long names
     carbon: trip.total_carbon_kg,
+    avoided: trip.carbon_avoided_kg,  // kg saved vs a conventional trip
     cost: trip.total_cost,
     score: trip.green_score
   })) || [];
@@ -142,7 +144,7 @@ export default function Analytics() {
           {/* ============================================
               Summary Cards - Key metrics at a glance
               ============================================ */}
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
             {/* Total Trips Card */}
             <Card className="border-border/50 card-hover">
               <CardContent className="p-6">
@@ -173,6 +175,24 @@ export default function Analytics() {
               </CardContent>
             </Card>
 
+            {/* Carbon Saved Card - lifetime kg avoided vs conventional trips */}
+            <Card className="border-border/50 card-hover">
+              <CardContent className="p-6">
+                <div className="flex items-center gap-3">
+                  <div className="w-12 h-12 rounded-full bg-green-100 flex items-center justify-center">
+                    <TreePine className="w-6 h-6 text-green-600" />
+                  </div>
+                  <div>
+                    <p className="text-sm text-muted-foreground">Carbon Saved</p>
+                    <p className="text-2xl font-bold text-green-600" data-testid="carbon-saved">
+                      {stats.carbon_saved_kg || 0} kg
+                    </p>
+                    <p className="text-xs text-muted-foreground">vs typical trips</p>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+
             {/* Total Spent Card */}
             <Card className="border-border/50 card-hover">
               <CardContent className="p-6">
@@ -250,8 +270,9 @@ export default function Analytics() {
                   </ResponsiveContainer>
                 </div>
                 {/* Category breakdown cards below chart */}
-                <div className="grid grid-cols-3 gap-4 mt-4">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
                   {[
+                    { icon: Plane, label: "Getting There", value: stats.carbon_breakdown.travel_to_destination, color: "text-orange-600" },
                     { icon: Plane, label: "Transport", value: stats.carbon_breakdown.transport, color: "text-blue-600" },
                     { icon: Building, label: "Accommodation", value: stats.carbon_breakdown.accommodation, color: "text-purple-600" },
                     { icon: TrendingUp, label: "Activities", value: stats.carbon_breakdown.activities, color: "text-green-600" }
@@ -299,8 +320,9 @@ export default function Analytics() {
                         }}
                       />
                       <Legend />
-                      {/* Two bar series - carbon and cost */}
+                      {/* Bar series - carbon, carbon avoided and cost */}
                       <Bar dataKey="carbon" name="Carbon (kg)" fill="#2E5C55" radius={[4, 4, 0, 0]} />
+                      <Bar dataKey="avoided" name="Avoided (kg)" fill="#7BA17F" radius={[4, 4, 0, 0]} />
                       <Bar dataKey="cost" name="Cost (£)" fill="#D97C56" radius={[4, 4, 0, 0]} />
                     </BarChart>
                   </ResponsiveContainer>
@@ -168,6 +168,12 @@ export default function Dashboard() {
               <div>
                 <p className="text-sm text-muted-foreground">Total Carbon</p>
                 <p className="text-3xl font-bold text-foreground">{stats?.total_carbon_kg || 0} kg</p>
+                {/* Net carbon after any offsets recorded against trips */}
+                {stats?.offset_carbon_kg > 0 && (
+                  <p className="text-sm text-muted-foreground" data-testid="net-carbon">
+                    {stats.net_carbon_kg} kg net ({stats.offset_carbon_kg} kg offset)
+                  </p>
+                )}
               </div>
               <div className="w-12 h-12 rounded-full bg-primary/10 flex items-center justify-center">
                 <Cloud className="w-6 h-6 text-primary" />
@@ -181,8 +187,12 @@ export default function Dashboard() {
           <CardContent className="p-6">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-sm text-muted-foreground">Total Spent</p>
+                <p className="text-sm text-muted-foreground">Estimated Spend</p>
                 <p className="text-3xl font-bold text-foreground">£{stats?.total_spent || 0}</p>
+                {/* Actual spend from logged expenses */}
+                <p className="text-sm text-muted-foreground" data-testid="actual-spent">
+                  £{stats?.actual_spent || 0} actual
+                </p>
               </div>
               <div className="w-12 h-12 rounded-full bg-accent/10 flex items-center justify-center">
                 <DollarSign className="w-6 h-6 text-accent" />
@@ -223,7 +233,8 @@ export default function Dashboard() {
             <div className="space-y-4">
               {/* Map over carbon categories with progress bars */}
               {[
-                { label: "Transport", value: stats.carbon_breakdown.transport, color: "bg-blue-500", icon: Plane },
+                { label: "Getting There", value: stats.carbon_breakdown.travel_to_destination, color: "bg-orange-500", icon: Plane },
+                { label: "Local Transport", value: stats.carbon_breakdown.transport, color: "bg-blue-500", icon: Plane },
                 { label: "Accommodation", value: stats.carbon_breakdown.accommodation, color: "bg-purple-500", icon: MapPin },
                 { label: "Activities", value: stats.carbon_breakdown.activities, color: "bg-green-500", icon: TrendingUp }
               ].map((item) => {
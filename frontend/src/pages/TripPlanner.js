@@ -8,7 +8,7 @@
 // ============================================
 
 // Import React hooks
-import { useState } from "react";
+import { useState, useEffect, useRef } from "react";
 
 // Navigation
 import { useNavigate } from "react-router-dom";
@@ -30,7 +30,8 @@ import {
   MapPin, CalendarIcon, DollarSign, Sparkles, 
   ChevronLeft, ChevronRight, Loader2, TreePine,
   Mountain, Utensils, Camera, Music, Book, Heart,
-  Bike, ShoppingBag, Building, Waves, Train, Car, Leaf
+  Bike, ShoppingBag, Building, Waves, Train, Car, Leaf,
+  Plane, Bus, Ship, Home, Users
 } from "lucide-react";
 
 // Toast notifications
@@ -45,6 +46,44 @@ import { cn } from "@/lib/utils";
 // Auth hook and API
 import { useAuth, API } from "@/App";
 
+// ============================================
+// Generation Job Helpers
+// Trips are generated in the background; the planner follows the job's
+// progress over Server-Sent Events and shows each day as it's ready
+// ============================================
+
+// Remembers the running job so a page refresh can reconnect to it
+const GENERATION_JOB_KEY = "ecotrip_generation_job";
+
+// Steps of a generation job, in order (used for the progress bar)
+const GENERATION_STEPS = ["geocoding", "origin", "itinerary", "places", "legs", "carbon", "carbon_target", "green_score", "saving"];
+
+// How many times to reconnect if the stream drops before the job finishes
+const MAX_STREAM_RETRIES = 5;
+
+// Read a Server-Sent Events stream from fetch
+// (EventSource can't send our Authorization header)
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; only the data line is needed
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const chunk = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const dataLine = chunk.split("\n").find(line => line.startsWith("data: "));
+      if (dataLine) onEvent(JSON.parse(dataLine.slice(6)));
+    }
+  }
+};
+
 // ============================================
 // Configuration Arrays
 // These define the options available to users
@@ -88,9 +127,18 @@ const TRANSPORTS = [
   { id: "mixed", label: "Mixed", icon: MapPin, carbon: "Varies" }
 ];
 
+// How to get to the destination (round trip is included in the footprint)
+const ORIGIN_TRANSPORTS = [
+  { id: "flight", label: "Flight", icon: Plane },
+  { id: "train_international", label: "Train", icon: Train, eco: true },
+  { id: "bus_coach", label: "Coach", icon: Bus, eco: true },
+  { id: "ferry_foot", label: "Ferry", icon: Ship, eco: true },
+  { id: "car", label: "Car", icon: Car }
+];
+
 export default function TripPlanner() {
-  // Get auth token for API calls
-  const { token } = useAuth();
+  // Get auth token for API calls (and the user's saved home location)
+  const { token, user } = useAuth();
   const navigate = useNavigate();
   
   // Current step in the wizard (1-4)
@@ -98,13 +146,25 @@ export default function TripPlanner() {
   
   // Loading state for form submission
   const [loading, setLoading] = useState(false);
+
+  // Generation job being followed: { id, step, message, days } (null when not generating)
+  const [job, setJob] = useState(null);
+
+  // Lets us stop streaming when the user leaves the page
+  const streamAbortRef = useRef(null);
   
   // Form state object - contains all trip planning data
   const [form, setForm] = useState({
     destination: "",
+    origin: user?.home_location || "",  // Defaults to the profile home location
+    originTransport: "flight",
     startDate: null,
     endDate: null,
     budget: 1000,              // Default budget
+    adults: 1,                 // Party size - carbon is shown per person and for the group
+    children: 0,
+    rooms: 1,
+    maxCarbon: "",             // Optional carbon budget in kg CO₂ (empty = no limit)
     interests: [],             // Array of selected interest IDs
     travelStyle: "balanced",   // Default travel style
     accommodation: "hotel_standard",
@@ -133,14 +193,133 @@ export default function TripPlanner() {
   const canProceed = () => {
     switch (step) {
       case 1: return form.destination.trim().length > 0;  // Need destination
-      case 2: return form.startDate && form.endDate;      // Need both dates
+      case 2: return form.startDate && form.endDate       // Need both dates
+        && form.rooms <= form.adults + form.children;     // No empty rooms
       case 3: return form.interests.length > 0;           // Need at least one interest
       case 4: return true;                                 // Preferences are optional
       default: return false;
     }
   };
 
-  // Handle final form submission - generates the itinerary
+  // Update the progress view from one job event
+  // Returns true once the job has finished (completed, failed or cancelled)
+  const handleJobEvent = (event) => {
+    if (event.type === "step") {
+      setJob(prev => ({
+        ...prev,
+        step: event.step,
+        message: event.message,
+        // A new itinerary attempt replaces any days shown so far
+        days: event.step === "itinerary" ? [] : prev.days
+      }));
+      return false;
+    }
+
+    if (event.type === "day") {
+      setJob(prev => ({ ...prev, days: [...prev.days, event.day] }));
+      return false;
+    }
+
+    // A failed attempt will be retried - the new attempt sends its days again
+    if (event.type === "retry") {
+      setJob(prev => ({ ...prev, message: event.message, days: [] }));
+      return false;
+    }
+
+    localStorage.removeItem(GENERATION_JOB_KEY);
+
+    if (event.type === "completed") {
+      // The backend uses a sample itinerary when the AI fails - let the user know
+      if (event.demo_fallback) {
+        toast.warning("The AI couldn't create your itinerary, so a sample itinerary was used. Try regenerating the days you want to change.");
+      } else {
+        toast.success("Itinerary generated!");
+      }
+      // Navigate to the new trip's detail page
+      navigate(`/trip/${event.trip_id}`);
+    } else {
+      if (event.type === "cancelled") {
+        toast.info("Itinerary generation cancelled");
+      } else {
+        toast.error(event.message || "Failed to generate itinerary");
+      }
+      setJob(null);
+      setLoading(false);
+    }
+    return true;
+  };
+
+  // Follow a generation job's events until it finishes
+  // Reconnects (resuming after the last event seen) if the stream drops
+  const followJob = async (jobId) => {
+    const controller = new AbortController();
+    streamAbortRef.current = controller;
+
+    setLoading(true);
+    setJob({ id: jobId, step: null, message: "Starting...", days: [] });
+
+    let lastEventId = 0;
+    let finished = false;
+
+    for (let attempt = 0; !finished && attempt <= MAX_STREAM_RETRIES; attempt++) {
+      try {
+        const response = await fetch(`${API}/jobs/${jobId}/events`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Last-Event-ID": String(lastEventId)
+          },
+          signal: controller.signal
+        });
+
+        // The job has expired or belongs to someone else - nothing to resume
+        if (response.status === 404) {
+          localStorage.removeItem(GENERATION_JOB_KEY);
+          break;
+        }
+
+        await readEventStream(response, (event) => {
+          lastEventId = event.id;
+          finished = handleJobEvent(event);
+        });
+      } catch (error) {
+        // Leaving the page aborts the stream - the job keeps running on the server
+        if (controller.signal.aborted) return;
+      }
+
+      // Wait a moment before reconnecting
+      if (!finished) await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    if (!finished) {
+      toast.error("Lost track of your itinerary generation. Check My Trips in a moment.");
+      setJob(null);
+      setLoading(false);
+    }
+  };
+
+  // Stop the running generation (the stream then receives a "cancelled" event)
+  const handleCancel = async () => {
+    try {
+      await axios.post(
+        `${API}/jobs/${job.id}/cancel`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to cancel");
+    }
+  };
+
+  // Reconnect to a generation that was running before the page was refreshed
+  useEffect(() => {
+    const savedJobId = localStorage.getItem(GENERATION_JOB_KEY);
+    if (savedJobId) followJob(savedJobId);
+
+    // Stop streaming when leaving the page
+    return () => streamAbortRef.current?.abort();
+  }, []);
+
+  // Handle final form submission - starts generating the itinerary
   const handleGenerate = async () => {
     // Final validation
     if (form.interests.length === 0) {
@@ -150,9 +329,9 @@ export default function TripPlanner() {
 
     setLoading(true);
     try {
-      // Send trip data to API for AI generation
+      // Send trip data to API to start an AI generation job
       const response = await axios.post(
-        `${API}/trips/generate`,
+        `${API}/trips/generation-jobs`,
         {
           destination: form.destination,
           start_date: format(form.startDate, "yyyy-MM-dd"),
@@ -161,20 +340,96 @@ export default function TripPlanner() {
           interests: form.interests,
           travel_style: form.travelStyle,
           accommodation_preference: form.accommodation,
-          transport_preference: form.transport
+          transport_preference: form.transport,
+          // Only send an origin if one was entered (backend falls back to home location)
+          ...(form.origin.trim() && { origin: form.origin.trim() }),
+          origin_transport_mode: form.originTransport,
+          adults: form.adults,
+          children: form.children,
+          rooms: form.rooms,
+          // Only send a carbon budget if one was entered
+          ...(Number(form.maxCarbon) > 0 && { max_carbon_kg: Number(form.maxCarbon) })
         },
         { headers: { Authorization: `Bearer ${token}` } }
       );
-      
-      toast.success("Itinerary generated!");
-      // Navigate to the new trip's detail page
-      navigate(`/trip/${response.data.id}`);
+
+      // Remember the job so we can pick it up again after a refresh
+      localStorage.setItem(GENERATION_JOB_KEY, response.data.job_id);
+      followJob(response.data.job_id);
     } catch (error) {
-      toast.error(error.response?.data?.detail || "Failed to generate itinerary");
+      toast.error(error.response?.data?.message || "Failed to generate itinerary");
+      setLoading(false);
     }
-    setLoading(false);
   };
 
+  // Progress bar position for the current generation step
+  const jobProgress = job?.step
+    ? Math.round(((GENERATION_STEPS.indexOf(job.step) + 1) / GENERATION_STEPS.length) * 100)
+    : 0;
+
+  // ============================================
+  // Generation Progress View
+  // Shown instead of the wizard while a job is running
+  // ============================================
+  if (job) {
+    return (
+      <div className="min-h-[calc(100vh-4rem)] bg-gradient-to-br from-secondary/30 to-background py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 space-y-4" data-testid="generation-progress">
+          <Card className="border-border/50 shadow-soft animate-fade-in-up">
+            <CardHeader className="text-center pb-2">
+              <div className="w-16 h-16 rounded-full bg-primary/10 flex items-center justify-center mx-auto mb-4">
+                <Loader2 className="w-8 h-8 text-primary animate-spin" />
+              </div>
+              <CardTitle className="font-serif text-2xl">Creating your itinerary</CardTitle>
+              <CardDescription data-testid="generation-step">{job.message}</CardDescription>
+            </CardHeader>
+            <CardContent className="pt-4 space-y-4">
+              {/* Progress bar */}
+              <div className="h-2 rounded-full bg-muted overflow-hidden">
+                <div
+                  className="h-full bg-primary transition-all duration-500"
+                  style={{ width: `${jobProgress}%` }}
+                />
+              </div>
+              <div className="text-center">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={handleCancel}
+                  className="rounded-full"
+                  data-testid="cancel-generation-btn"
+                >
+                  Cancel
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Days appear here as soon as each one is ready */}
+          {job.days.map((day) => (
+            <Card key={day.day} className="border-border/50 animate-fade-in-up" data-testid={`generated-day-${day.day}`}>
+              <CardHeader className="pb-2">
+                <CardTitle className="text-lg">
+                  Day {day.day}
+                  {day.theme && <span className="font-normal text-muted-foreground"> - {day.theme}</span>}
+                </CardTitle>
+                {day.date && <CardDescription>{day.date}</CardDescription>}
+              </CardHeader>
+              <CardContent className="space-y-1">
+                {(day.activities || []).map((activity) => (
+                  <p key={activity.id || activity.time} className="text-sm">
+                    <span className="text-muted-foreground mr-2">{activity.time}</span>
+                    {activity.title}
+                  </p>
+                ))}
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-[calc(100vh-4rem)] bg-gradient-to-br from-secondary/30 to-background py-8">
       <div className="max-w-3xl mx-auto px-4 sm:px-6">
@@ -231,6 +486,19 @@ export default function TripPlanner() {
                   className="text-center text-lg h-14"
                   data-testid="destination-input"
                 />
+                {/* Origin - used to include the journey there in the footprint */}
+                <div className="mt-6 space-y-2">
+                  <Label className="flex items-center gap-2">
+                    <Home className="w-4 h-4" />
+                    Travelling from (optional)
+                  </Label>
+                  <Input
+                    placeholder="e.g., London, UK"
+                    value={form.origin}
+                    onChange={(e) => updateForm("origin", e.target.value)}
+                    data-testid="origin-input"
+                  />
+                </div>
               </div>
             </CardContent>
           </Card>
@@ -331,6 +599,37 @@ export default function TripPlanner() {
                   <span>£10,000</span>
                 </div>
               </div>
+
+              {/* Party Size - adults, children and rooms */}
+              <div className="space-y-3">
+                <Label className="flex items-center gap-2">
+                  <Users className="w-4 h-4" />
+                  Who's travelling?
+                </Label>
+                <div className="grid grid-cols-3 gap-4">
+                  {[
+                    { field: "adults", label: "Adults", min: 1 },
+                    { field: "children", label: "Children", min: 0 },
+                    { field: "rooms", label: "Rooms", min: 1 }
+                  ].map(({ field, label, min }) => (
+                    <div key={field} className="space-y-1">
+                      <span className="text-sm text-muted-foreground">{label}</span>
+                      <Input
+                        type="number"
+                        min={min}
+                        max={20}
+                        value={form[field]}
+                        onChange={(e) => updateForm(field, Math.min(20, Math.max(min, parseInt(e.target.value) || min)))}
+                        data-testid={`${field}-input`}
+                      />
+                    </div>
+                  ))}
+                </div>
+                {/* Every room needs at least one traveller */}
+                {form.rooms > form.adults + form.children && (
+                  <p className="text-sm text-destructive">Rooms cannot exceed the number of travellers</p>
+                )}
+              </div>
             </CardContent>
           </Card>
         )}
@@ -449,6 +748,37 @@ export default function TripPlanner() {
                 </div>
               </div>
 
+              {/* Getting There - only relevant when an origin is set */}
+              {form.origin.trim() && (
+                <div className="space-y-3">
+                  <Label>Getting There from {form.origin}</Label>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                    {ORIGIN_TRANSPORTS.map((t) => (
+                      <button
+                        key={t.id}
+                        onClick={() => updateForm("originTransport", t.id)}
+                        className={cn(
+                          "p-3 rounded-xl border-2 transition-all text-center relative",
+                          form.originTransport === t.id 
+                            ? "border-primary bg-primary/5" 
+                            : "border-border hover:border-primary/30"
+                        )}
+                        data-testid={`origin-transport-${t.id}`}
+                      >
+                        {/* Eco badge */}
+                        {t.eco && (
+                          <span className="absolute -top-2 -right-2 w-5 h-5 bg-green-500 rounded-full flex items-center justify-center">
+                            <Leaf className="w-3 h-3 text-white" />
+                          </span>
+                        )}
+                        <t.icon className="w-5 h-5 mx-auto mb-1" />
+                        <p className="font-medium text-sm">{t.label}</p>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Transport Selection */}
               <div className="space-y-3">
                 <Label>Primary Transport</Label>
@@ -478,6 +808,22 @@ export default function TripPlanner() {
                   ))}
                 </div>
               </div>
+
+              {/* Carbon Budget - generation swaps in greener options to stay under it */}
+              <div className="space-y-2">
+                <Label className="flex items-center gap-2">
+                  <Leaf className="w-4 h-4" />
+                  Carbon Budget (optional)
+                </Label>
+                <Input
+                  type="number"
+                  min={1}
+                  placeholder="Max kg CO₂ for the whole trip"
+                  value={form.maxCarbon}
+                  onChange={(e) => updateForm("maxCarbon", e.target.value)}
+                  data-testid="max-carbon-input"
+                />
+              </div>
             </CardContent>
           </Card>
         )}
@@ -5,7 +5,7 @@
 // ============================================
 
 // Import React hooks
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 
 // Routing hooks
 import { useParams, Link } from "react-router-dom";
@@ -23,13 +23,15 @@ import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Skeleton } from "@/components/ui/skeleton";
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetDescription, SheetTrigger } from "@/components/ui/sheet";
 
 // Icons for UI elements
 import { 
   MapPin, Calendar, DollarSign, Leaf, Cloud, Clock, 
   ChevronLeft, Plus, Trash2, Download, TreePine,
   Plane, Building, ShoppingBag, Utensils, Camera,
-  Mountain, Music, Bike
+  Mountain, Music, Bike, AlertTriangle,
+  ArrowUp, ArrowDown, Minus, Users, RefreshCw, MessageCircle, Send, Star
 } from "lucide-react";
 
 // Toast notifications
@@ -57,19 +59,41 @@ L.Icon.Default.mergeOptions({
   shadowUrl: "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png"
 });
 
-// Map activity types to icons
+// Map activity types to icons (matches the backend activity taxonomy)
 const ACTIVITY_ICONS = {
   museum: Building,
+  cultural_site: Building,
   restaurant: Utensils,
+  cafe: Utensils,
   hiking: Mountain,
+  outdoor_activity: Mountain,
+  beach: TreePine,
   tour: Camera,
   shopping: ShoppingBag,
+  entertainment_venue: Music,
   adventure_sport: Bike,
-  spa: TreePine,
-  swimming: Plane,
+  spa_wellness: TreePine,
   default: MapPin  // Fallback icon
 };
 
+// Labels for the Green Score explanation components
+const SCORE_COMPONENT_LABELS = {
+  accommodation: "Accommodation",
+  transport: "Local Transport",
+  activities: "Activity Mix",
+  travel_to_destination: "Getting There",
+};
+
+// How confident a carbon figure is, by where its emission factors came from
+const DATA_QUALITY_LABELS = {
+  exact: { label: "High confidence", className: "bg-green-100 text-green-800" },
+  mapped: { label: "Medium confidence", className: "bg-amber-100 text-amber-800" },
+  fallback: { label: "Low confidence", className: "bg-red-100 text-red-800" },
+};
+
+// Quick-pick instructions for regenerating a day or activity
+const REGENERATE_SUGGESTIONS = ["More outdoor", "Cheaper", "Rainy day", "More relaxed"];
+
 // Expense category options
 const EXPENSE_CATEGORIES = [
   { id: "transport", label: "Transport" },
@@ -91,12 +115,40 @@ export default function TripView() {
   // State for expense list
   const [expenses, setExpenses] = useState([]);
   
+  // Per-category expense totals from the API
+  const [categoryTotals, setCategoryTotals] = useState({});
+  
+  // Budget vs actual reconciliation (includes overspend warnings)
+  const [budget, setBudget] = useState(null);
+  
   // Loading state
   const [loading, setLoading] = useState(true);
   
   // Dialog state for adding expenses
   const [expenseDialogOpen, setExpenseDialogOpen] = useState(false);
   
+  // Greener-option dialog: the activity being looked at and its alternatives
+  const [alternativesFor, setAlternativesFor] = useState(null);
+  const [alternatives, setAlternatives] = useState(null);
+  const alternativesRequestRef = useRef(0); // Latest lookup, so stale results are dropped
+  const [applyingAlternative, setApplyingAlternative] = useState(false);
+
+  // Regenerate dialog state - { day } or { activity } being regenerated by the AI
+  const [regenerateTarget, setRegenerateTarget] = useState(null);
+  const [regenerateInstructions, setRegenerateInstructions] = useState("");
+  const [regenerating, setRegenerating] = useState(false);
+
+  // Chat panel state - conversation with the AI about changes to the trip
+  const [chatOpen, setChatOpen] = useState(false);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [chatInput, setChatInput] = useState("");
+  const [chatSending, setChatSending] = useState(false);
+
+  // Carbon offsets - gross vs net, provider estimates and recorded offsets
+  const [offsets, setOffsets] = useState(null);
+  const [offsetDialogOpen, setOffsetDialogOpen] = useState(false);
+  const [newOffset, setNewOffset] = useState({ provider_id: "", amount_kg: "", certificate_reference: "" });
+  
   // Form state for new expense
   const [newExpense, setNewExpense] = useState({
     category: "food",
@@ -109,6 +161,8 @@ export default function TripView() {
   useEffect(() => {
     fetchTrip();
     fetchExpenses();
+    fetchBudget();
+    fetchOffsets();
   }, [tripId]);
 
   // Fetch trip details from API
@@ -130,12 +184,87 @@ export default function TripView() {
       const response = await axios.get(`${API}/expenses/${tripId}`, {
         headers: { Authorization: `Bearer ${token}` }
       });
-      setExpenses(response.data);
+      setExpenses(response.data.expenses);
+      setCategoryTotals(response.data.category_totals);
     } catch (error) {
       console.error("Failed to load expenses");
     }
   };
 
+  // Fetch budget vs actual spending for this trip
+  const fetchBudget = async () => {
+    try {
+      const response = await axios.get(`${API}/trips/${tripId}/budget`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setBudget(response.data);
+    } catch (error) {
+      console.error("Failed to load budget");
+    }
+  };
+
+  // Fetch offsets and provider cost estimates for this trip
+  const fetchOffsets = async () => {
+    try {
+      const response = await axios.get(`${API}/trips/${tripId}/offsets`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setOffsets(response.data);
+    } catch (error) {
+      console.error("Failed to load offsets");
+    }
+  };
+
+  // Open the record offset dialog pre-filled from a provider estimate
+  const startOffset = (estimate) => {
+    setNewOffset({
+      provider_id: String(estimate.provider_id),
+      amount_kg: estimate.amount_kg ? String(estimate.amount_kg) : "",
+      certificate_reference: ""
+    });
+    setOffsetDialogOpen(true);
+  };
+
+  // Handle recording an offset bought for this trip
+  const handleRecordOffset = async () => {
+    if (!newOffset.provider_id || !newOffset.amount_kg || parseFloat(newOffset.amount_kg) <= 0) {
+      toast.error("Please choose a provider and enter the amount offset");
+      return;
+    }
+
+    try {
+      await axios.post(
+        `${API}/trips/${tripId}/offsets`,
+        {
+          provider_id: parseInt(newOffset.provider_id),
+          amount_kg: parseFloat(newOffset.amount_kg),
+          certificate_reference: newOffset.certificate_reference
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setOffsetDialogOpen(false);
+      fetchOffsets();
+      fetchTrip();  // Refresh net carbon
+      toast.success("Offset recorded");
+    } catch (error) {
+      toast.error("Failed to record offset");
+    }
+  };
+
+  // Handle deleting a recorded offset
+  const handleDeleteOffset = async (offsetId) => {
+    try {
+      await axios.delete(`${API}/trips/${tripId}/offsets/${offsetId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      fetchOffsets();
+      fetchTrip();
+      toast.success("Offset deleted");
+    } catch (error) {
+      toast.error("Failed to delete offset");
+    }
+  };
+
   // Handle adding a new expense
   const handleAddExpense = async () => {
     // Validate required fields
@@ -157,10 +286,16 @@ export default function TripView() {
         { headers: { Authorization: `Bearer ${token}` } }
       );
       // Add new expense to the beginning of the list
-      setExpenses([response.data, ...expenses]);
+      const { expense } = response.data;
+      setExpenses([expense, ...expenses]);
+      setCategoryTotals(prev => ({
+        ...prev,
+        [expense.category]: (prev[expense.category] || 0) + expense.amount
+      }));
       // Reset form
       setNewExpense({ category: "food", description: "", amount: "", date: new Date().toISOString().split("T")[0] });
       setExpenseDialogOpen(false);
+      fetchBudget();  // Refresh budget warnings
       toast.success("Expense added");
     } catch (error) {
       toast.error("Failed to add expense");
@@ -174,13 +309,157 @@ export default function TripView() {
         headers: { Authorization: `Bearer ${token}` }
       });
       // Remove expense from local state
+      const removed = expenses.find(e => e.id === expenseId);
       setExpenses(expenses.filter(e => e.id !== expenseId));
+      if (removed) {
+        setCategoryTotals(prev => ({
+          ...prev,
+          [removed.category]: Math.max(0, (prev[removed.category] || 0) - removed.amount)
+        }));
+      }
+      fetchBudget();  // Refresh budget warnings
       toast.success("Expense deleted");
     } catch (error) {
       toast.error("Failed to delete expense");
     }
   };
 
+  // Wait for a background job to finish by checking on it every second
+  // Resolves with the job's result, or rejects with its error message
+  const waitForJob = async (jobId) => {
+    while (true) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      const response = await axios.get(
+        `${API}/jobs/${jobId}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const job = response.data;
+      if (job.status === "completed") return job.result;
+      if (job.status === "failed" || job.status === "cancelled") {
+        throw new Error(job.error || "Job did not complete");
+      }
+    }
+  };
+
+  // Load lower-carbon alternatives for an activity (opens the dialog)
+  // The lookup asks the AI, so it runs as a background job
+  const openAlternatives = async (activity) => {
+    const requestId = ++alternativesRequestRef.current;
+    setAlternativesFor(activity);
+    setAlternatives(null);
+    try {
+      const response = await axios.post(
+        `${API}/trips/${tripId}/activities/${activity.id}/alternatives/jobs`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const result = await waitForJob(response.data.job_id);
+      // Ignore the result if another activity was opened meanwhile
+      if (requestId === alternativesRequestRef.current) setAlternatives(result);
+    } catch (error) {
+      if (requestId !== alternativesRequestRef.current) return;
+      toast.error(error.response?.data?.message || error.message || "Failed to load greener options");
+      setAlternativesFor(null);
+    }
+  };
+
+  // Apply a chosen alternative - either { transport_mode } or { activity }
+  const applyAlternative = async (choice) => {
+    setApplyingAlternative(true);
+    try {
+      const response = await axios.post(
+        `${API}/trips/${tripId}/activities/${alternativesFor.id}/alternatives`,
+        choice,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setAlternativesFor(null);
+      fetchTrip();   // Reload the itinerary and carbon totals
+      fetchBudget();
+      toast.success(`Greener option applied - trip is now ${response.data.total_carbon_kg} kg CO₂`);
+    } catch (error) {
+      toast.error("Failed to apply greener option");
+    }
+    setApplyingAlternative(false);
+  };
+
+  // Open the regenerate dialog for a day ({ day }) or an activity ({ activity })
+  const openRegenerate = (target) => {
+    setRegenerateTarget(target);
+    setRegenerateInstructions("");
+  };
+
+  // Ask the AI for a new day or activity, then reload the recalculated trip
+  const handleRegenerate = async () => {
+    const url = regenerateTarget.activity
+      ? `${API}/trips/${tripId}/activities/${regenerateTarget.activity.id}/regenerate`
+      : `${API}/trips/${tripId}/days/${regenerateTarget.day}/regenerate`;
+
+    setRegenerating(true);
+    try {
+      const response = await axios.post(
+        url,
+        { instructions: regenerateInstructions },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setRegenerateTarget(null);
+      fetchTrip();
+      fetchBudget();
+      toast.success(`Itinerary updated - trip is now ${response.data.total_carbon_kg} kg CO₂`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to regenerate");
+    }
+    setRegenerating(false);
+  };
+
+  // Load the chat history when the panel opens
+  const fetchChat = async () => {
+    try {
+      const response = await axios.get(`${API}/trips/${tripId}/chat`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setChatMessages(response.data.messages);
+    } catch (error) {
+      toast.error("Failed to load chat");
+    }
+  };
+
+  // Send a chat message - the AI's edits are applied on the server
+  const handleSendChat = async (e) => {
+    e.preventDefault();
+    if (!chatInput.trim()) return;
+
+    setChatSending(true);
+    try {
+      const response = await axios.post(
+        `${API}/trips/${tripId}/chat`,
+        { message: chatInput },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setChatMessages([...chatMessages, ...response.data.messages]);
+      setChatInput("");
+      // Reload the itinerary and totals if anything changed
+      if (response.data.edits_applied.length > 0) {
+        fetchTrip();
+        fetchBudget();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to send message");
+    }
+    setChatSending(false);
+  };
+
+  // Start a new conversation (the itinerary keeps its changes)
+  const handleClearChat = async () => {
+    try {
+      await axios.delete(`${API}/trips/${tripId}/chat`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setChatMessages([]);
+    } catch (error) {
+      toast.error("Failed to clear chat");
+    }
+  };
+
   // Export trip itinerary to PDF
   const exportPDF = () => {
     if (!trip) return;
@@ -341,20 +620,102 @@ export default function TripView() {
                 <DollarSign className="w-4 h-4" />
                 £{trip.total_cost} / £{trip.budget}
               </span>
+              {/* Party size (carbon figures are for the whole group) */}
+              <span className="flex items-center gap-1" data-testid="trip-party">
+                <Users className="w-4 h-4" />
+                {trip.adults} {trip.adults === 1 ? "adult" : "adults"}
+                {trip.children > 0 && `, ${trip.children} ${trip.children === 1 ? "child" : "children"}`}
+                {` · ${trip.rooms} ${trip.rooms === 1 ? "room" : "rooms"}`}
+              </span>
             </div>
           </div>
         </div>
-        {/* Export PDF button */}
-        <Button onClick={exportPDF} className="rounded-full gap-2" data-testid="export-pdf-btn">
-          <Download className="w-4 h-4" />
-          Export PDF
-        </Button>
+        <div className="flex gap-2">
+          {/* Chat panel - ask the AI for changes in plain words */}
+          <Sheet open={chatOpen} onOpenChange={(open) => { setChatOpen(open); if (open) fetchChat(); }}>
+            <SheetTrigger asChild>
+              <Button variant="outline" className="rounded-full gap-2" data-testid="trip-chat-btn">
+                <MessageCircle className="w-4 h-4" />
+                Refine with AI
+              </Button>
+            </SheetTrigger>
+            <SheetContent side="right" className="w-full sm:max-w-md flex flex-col" data-testid="trip-chat-panel">
+              <SheetHeader>
+                <SheetTitle className="font-serif">Refine your trip</SheetTitle>
+                <SheetDescription>
+                  Ask for changes like "swap day 2's museum for something outdoors" or "keep the total under £800".
+                </SheetDescription>
+              </SheetHeader>
+
+              {/* Conversation */}
+              <div className="flex-grow overflow-y-auto space-y-3 py-4" data-testid="trip-chat-messages">
+                {chatMessages.length === 0 ? (
+                  <p className="text-sm text-muted-foreground text-center py-8">No messages yet</p>
+                ) : chatMessages.map((message) => (
+                  <div
+                    key={message.id}
+                    className={`p-3 rounded-xl text-sm whitespace-pre-line ${
+                      message.role === "user" ? "bg-primary text-primary-foreground ml-8" : "bg-secondary/50 mr-8"
+                    }`}
+                  >
+                    {message.content}
+                    {/* How many edits the AI made with this reply */}
+                    {message.edits?.length > 0 && (
+                      <p className="text-xs text-muted-foreground mt-2">
+                        {message.edits.length} {message.edits.length === 1 ? "change" : "changes"} applied
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {/* Message input */}
+              <form onSubmit={handleSendChat} className="flex gap-2 pt-2 border-t">
+                <Input
+                  placeholder="What would you like to change?"
+                  value={chatInput}
+                  onChange={(e) => setChatInput(e.target.value)}
+                  maxLength={1000}
+                  disabled={chatSending}
+                  data-testid="trip-chat-input"
+                />
+                <Button type="submit" size="icon" disabled={chatSending || !chatInput.trim()} data-testid="trip-chat-send-btn">
+                  <Send className="w-4 h-4" />
+                </Button>
+              </form>
+              {chatMessages.length > 0 && (
+                <Button variant="ghost" size="sm" onClick={handleClearChat} data-testid="trip-chat-clear-btn">
+                  Clear conversation
+                </Button>
+              )}
+            </SheetContent>
+          </Sheet>
+
+          {/* Export PDF button */}
+          <Button onClick={exportPDF} className="rounded-full gap-2" data-testid="export-pdf-btn">
+            <Download className="w-4 h-4" />
+            Export PDF
+          </Button>
+        </div>
       </div>
 
+      {/* Sample itinerary warning - shown when AI generation failed */}
+      {trip.demo_fallback && (
+        <div className="mb-8 p-4 rounded-xl bg-amber-50 border border-amber-200" data-testid="demo-fallback-warning">
+          <p className="text-sm font-medium text-amber-800 flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            This is a sample itinerary - the AI couldn't generate one for this trip
+          </p>
+          {trip.generation?.fallback_reason && (
+            <p className="text-xs text-muted-foreground mt-1">{trip.generation.fallback_reason}</p>
+          )}
+        </div>
+      )}
+
       {/* ============================================
           Stats Cards - Key trip metrics
           ============================================ */}
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
         {/* Total Carbon */}
         <Card className="border-border/50">
           <CardContent className="p-4 flex items-center gap-3">
@@ -364,6 +725,30 @@ export default function TripView() {
             <div>
               <p className="text-sm text-muted-foreground">Carbon</p>
               <p className="text-lg font-bold">{trip.total_carbon_kg} kg</p>
+              {/* Likely range given the quality of the emission factors */}
+              {trip.carbon_uncertainty?.total && (
+                <p className="text-xs text-muted-foreground" data-testid="trip-carbon-range">
+                  {trip.carbon_uncertainty.total.low}-{trip.carbon_uncertainty.total.high} kg range
+                </p>
+              )}
+              {/* Per-person share when more than one person is travelling */}
+              {trip.adults + trip.children > 1 && trip.carbon_per_person && (
+                <p className="text-xs text-muted-foreground" data-testid="trip-carbon-per-person">
+                  {trip.carbon_per_person.total} kg per person
+                </p>
+              )}
+              {/* Net carbon once offsets have been recorded */}
+              {trip.offset_kg > 0 && (
+                <p className="text-xs text-muted-foreground" data-testid="trip-net-carbon">
+                  {trip.net_carbon_kg} kg net after offsets
+                </p>
+              )}
+              {/* Which emission factor set (e.g. DEFRA 2023) the figures came from */}
+              {trip.factor_set && (
+                <p className="text-xs text-muted-foreground" data-testid="trip-factor-set">
+                  {trip.factor_set.name} factors
+                </p>
+              )}
             </div>
           </CardContent>
         </Card>
@@ -394,6 +779,24 @@ export default function TripView() {
           </CardContent>
         </Card>
 
+        {/* Getting There Carbon (round trip from origin) */}
+        <Card className="border-border/50">
+          <CardContent className="p-4 flex items-center gap-3">
+            <div className="w-10 h-10 rounded-full bg-orange-100 flex items-center justify-center">
+              <Plane className="w-5 h-5 text-orange-600" />
+            </div>
+            <div>
+              <p className="text-sm text-muted-foreground">Getting There CO₂</p>
+              <p className="text-lg font-bold">{trip.travel_to_destination_carbon} kg</p>
+              {trip.origin && (
+                <p className="text-xs text-muted-foreground" data-testid="trip-origin">
+                  From {trip.origin} ({trip.origin_distance_km} km)
+                </p>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+
         {/* Accommodation Carbon */}
         <Card className="border-border/50">
           <CardContent className="p-4 flex items-center gap-3">
@@ -409,13 +812,175 @@ export default function TripView() {
       </div>
 
       {/* ============================================
-          Tabs - Itinerary, Map, Expenses
+          Baseline Comparison - carbon avoided vs a conventional trip
+          ============================================ */}
+      {trip.baseline_carbon && (
+        <div
+          className={`mb-8 p-4 rounded-xl border ${trip.carbon_avoided_kg >= 0 ? "bg-green-50 border-green-200" : "bg-amber-50 border-amber-200"}`}
+          data-testid="carbon-avoided"
+        >
+          <p className={`text-sm font-medium flex items-center gap-2 ${trip.carbon_avoided_kg >= 0 ? "text-green-800" : "text-amber-800"}`}>
+            <TreePine className="w-4 h-4 flex-shrink-0" />
+            {trip.carbon_avoided_kg >= 0
+              ? `${trip.carbon_avoided_kg} kg CO₂ avoided (${trip.carbon_avoided_percent ?? 0}%) compared with a conventional trip`
+              : `${Math.abs(trip.carbon_avoided_kg)} kg CO₂ more than a conventional trip`}
+          </p>
+          {/* What the conventional trip assumes */}
+          <p className="text-xs text-muted-foreground mt-1">
+            Conventional trip: {trip.baseline_carbon.total} kg - standard hotel, driving between stops
+            {trip.baseline_carbon.assumptions?.travel_to_destination &&
+              ` and ${trip.baseline_carbon.assumptions.travel_to_destination.startsWith("flight") ? "flying" : "driving"} there`}
+          </p>
+        </div>
+      )}
+
+      {/* ============================================
+          Estimate Confidence - range and data quality per component
+          ============================================ */}
+      {trip.carbon_uncertainty && (
+        <Card className="border-border/50 mb-8" data-testid="carbon-confidence">
+          <CardHeader className="pb-2">
+            <CardTitle className="font-serif text-lg flex items-center gap-2">
+              <Cloud className="w-5 h-5 text-primary" />
+              How accurate is this estimate?
+              <Badge className={DATA_QUALITY_LABELS[trip.carbon_uncertainty.total.data_quality]?.className}>
+                {DATA_QUALITY_LABELS[trip.carbon_uncertainty.total.data_quality]?.label}
+              </Badge>
+            </CardTitle>
+            <p className="text-sm text-muted-foreground">
+              Likely between {trip.carbon_uncertainty.total.low} and {trip.carbon_uncertainty.total.high} kg CO₂
+            </p>
+          </CardHeader>
+          <CardContent>
+            <div className="grid md:grid-cols-2 gap-3">
+              {Object.keys(SCORE_COMPONENT_LABELS).map((component) => {
+                const range = trip.carbon_uncertainty[component];
+                if (!range) return null;
+                const quality = DATA_QUALITY_LABELS[range.data_quality];
+
+                return (
+                  <div key={component} className="p-3 rounded-xl bg-secondary/30" data-testid={`carbon-confidence-${component}`}>
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="font-medium text-foreground">{SCORE_COMPONENT_LABELS[component]}</p>
+                      <Badge className={quality?.className}>{quality?.label}</Badge>
+                    </div>
+                    <p className="text-xs text-muted-foreground">{range.low}-{range.high} kg</p>
+                    {/* Values with no emission factor used an average instead */}
+                    {range.fallbacks?.length > 0 && (
+                      <p className="text-xs text-amber-800 mt-1">
+                        No emission factor for {range.fallbacks.join(", ")} - an average was used
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* ============================================
+          Green Score Explanation - what pushed the score up or down
+          ============================================ */}
+      {trip.green_score_explanation?.components?.length > 0 && (
+        <Card className="border-border/50 mb-8" data-testid="green-score-explanation">
+          <CardHeader className="pb-2">
+            <CardTitle className="font-serif text-lg flex items-center gap-2">
+              <Leaf className="w-5 h-5 text-primary" />
+              Why this Green Score?
+            </CardTitle>
+            <p className="text-sm text-muted-foreground">
+              {trip.green_score_explanation.kg_per_person_day ?? trip.green_score_explanation.kg_per_day} kg CO₂ per person per day
+              {trip.green_score_explanation.band && ` · ${trip.green_score_explanation.band.replace("_", " ")} band`}
+              {" · compared with a typical trip"}
+            </p>
+          </CardHeader>
+          <CardContent>
+            <div className="grid md:grid-cols-2 gap-3">
+              {trip.green_score_explanation.components.map((component) => {
+                // Pick an arrow and colour for the component's effect
+                const EffectIcon = component.effect === "up" ? ArrowUp : component.effect === "down" ? ArrowDown : Minus;
+                const effectColor = component.effect === "up"
+                  ? "text-green-600"
+                  : component.effect === "down" ? "text-red-600" : "text-muted-foreground";
+
+                return (
+                  <div key={component.component} className="flex items-start gap-3 p-3 rounded-xl bg-secondary/30">
+                    <EffectIcon className={`w-5 h-5 mt-0.5 flex-shrink-0 ${effectColor}`} />
+                    <div className="flex-grow">
+                      <div className="flex items-center justify-between gap-2">
+                        <p className="font-medium text-foreground">
+                          {SCORE_COMPONENT_LABELS[component.component] || component.component}
+                        </p>
+                        <span className={`text-sm font-semibold ${effectColor}`}>
+                          {component.points > 0 ? `+${component.points}` : component.points} pts
+                        </span>
+                      </div>
+                      <p className="text-sm text-muted-foreground">{component.detail}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {component.kg} kg ({component.share_percent}% of total) vs {component.benchmark_kg} kg typical
+                      </p>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* ============================================
+          Carbon Target - whether generation stayed within the carbon budget
+          ============================================ */}
+      {trip.carbon_target && (
+        <div
+          className={`mb-8 p-4 rounded-xl border ${trip.carbon_target.met ? "bg-green-50 border-green-200" : "bg-amber-50 border-amber-200"}`}
+          data-testid="carbon-target"
+        >
+          <p className={`text-sm font-medium flex items-center gap-2 ${trip.carbon_target.met ? "text-green-800" : "text-amber-800"}`}>
+            {trip.carbon_target.met ? <Leaf className="w-4 h-4 flex-shrink-0" /> : <AlertTriangle className="w-4 h-4 flex-shrink-0" />}
+            {trip.carbon_target.met ? "Carbon target met" : "Carbon target not met"}
+            {trip.carbon_target.max_carbon_kg && ` · ${trip.carbon_target.total_carbon_kg} of ${trip.carbon_target.max_carbon_kg} kg`}
+            {trip.carbon_target.target_green_score && ` · score ${trip.carbon_target.green_score} (target ${trip.carbon_target.target_green_score})`}
+          </p>
+          {/* Transport legs switched to greener modes to get under the target */}
+          {trip.carbon_target.transport_swaps?.length > 0 && (
+            <p className="text-xs text-muted-foreground mt-1">
+              {trip.carbon_target.transport_swaps.length} transport legs switched to greener modes
+            </p>
+          )}
+          {trip.carbon_target.reasons?.map((reason, index) => (
+            <p key={index} className="text-sm text-amber-800 mt-2">{reason}</p>
+          ))}
+          {trip.carbon_target.suggestions?.map((suggestion, index) => (
+            <p key={index} className="text-sm text-amber-800 mt-1">Tip: {suggestion}</p>
+          ))}
+        </div>
+      )}
+
+      {/* ============================================
+          Budget Warnings - shown when spending runs over
+          ============================================ */}
+      {budget?.warnings?.length > 0 && (
+        <div className="mb-8 p-4 rounded-xl bg-amber-50 border border-amber-200" data-testid="budget-warnings">
+          {budget.warnings.map((warning, index) => (
+            <p key={index} className="text-sm text-amber-800 flex items-center gap-2">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+              {warning.message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {/* ============================================
+          Tabs - Itinerary, Map, Expenses, Offsets
           ============================================ */}
       <Tabs defaultValue="itinerary" className="space-y-6">
-        <TabsList className="grid w-full md:w-auto md:inline-grid grid-cols-3 gap-1">
+        <TabsList className="grid w-full md:w-auto md:inline-grid grid-cols-4 gap-1">
           <TabsTrigger value="itinerary" data-testid="itinerary-tab">Itinerary</TabsTrigger>
           <TabsTrigger value="map" data-testid="map-tab">Map</TabsTrigger>
           <TabsTrigger value="expenses" data-testid="expenses-tab">Expenses</TabsTrigger>
+          <TabsTrigger value="offsets" data-testid="offsets-tab">Offsets</TabsTrigger>
         </TabsList>
 
         {/* ============================================
@@ -434,14 +999,38 @@ export default function TripView() {
                     Day {day.day}
                   </CardTitle>
                   {/* Day totals */}
-                  <div className="flex gap-4 text-sm text-muted-foreground">
+                  <div className="flex items-center gap-4 text-sm text-muted-foreground">
                     <span>£{day.total_cost}</span>
                     <span>{day.total_carbon} kg CO₂</span>
+                    {/* Ask the AI for a different plan for this day */}
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="rounded-full gap-1"
+                      onClick={() => openRegenerate({ day: day.day })}
+                      data-testid={`regenerate-day-${day.day}`}
+                    >
+                      <RefreshCw className="w-3 h-3" />
+                      Regenerate day
+                    </Button>
                   </div>
                 </div>
                 <p className="text-muted-foreground">{day.date}</p>
               </CardHeader>
               <CardContent>
+                {/* Timing problems the scheduler couldn't fix (closed venues are shown on each activity) */}
+                {day.schedule_conflicts?.some((conflict) => conflict.type !== "closed") && (
+                  <div className="mb-4 p-3 rounded-lg bg-amber-50 border border-amber-200" data-testid={`schedule-conflicts-${day.day}`}>
+                    {day.schedule_conflicts
+                      .filter((conflict) => conflict.type !== "closed")
+                      .map((conflict, index) => (
+                        <p key={index} className="text-sm text-amber-800 flex items-center gap-1">
+                          <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                          {conflict.message}
+                        </p>
+                      ))}
+                  </div>
+                )}
                 <div className="space-y-4">
                   {/* Activity cards */}
                   {day.activities.map((activity, index) => {
@@ -479,14 +1068,60 @@ export default function TripView() {
                                   <Clock className="w-3 h-3" />
                                   {activity.duration_hours}h
                                 </span>
+                                {/* Google rating of the place */}
+                                {activity.rating && (
+                                  <span className="flex items-center gap-1 text-muted-foreground" data-testid="activity-rating">
+                                    <Star className="w-3 h-3" />
+                                    {activity.rating}
+                                  </span>
+                                )}
+                                {/* Leg from the previous activity */}
+                                {activity.transport_distance_km > 0 && (
+                                  <span className="flex items-center gap-1 text-muted-foreground" data-testid="activity-leg">
+                                    <Bike className="w-3 h-3" />
+                                    {activity.transport_distance_km} km by {activity.transport_mode}
+                                    {activity.travel_minutes > 0 && `, ${activity.travel_minutes} min`} ({activity.transport_carbon_kg} kg CO₂)
+                                  </span>
+                                )}
                               </div>
                             </div>
                             {/* Cost and carbon */}
                             <div className="text-right flex-shrink-0">
                               <p className="font-semibold">£{activity.estimated_cost}</p>
                               <p className="text-sm text-muted-foreground">{activity.carbon_kg} kg CO₂</p>
+                              {/* Look up lower-carbon transport or replacement activities */}
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                className="mt-2 rounded-full gap-1"
+                                onClick={() => openAlternatives(activity)}
+                                data-testid={`greener-option-${activity.id}`}
+                              >
+                                <Leaf className="w-3 h-3" />
+                                Greener option
+                              </Button>
+                              {/* Swap for a different AI suggestion in the same time slot */}
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                className="mt-2 rounded-full gap-1"
+                                onClick={() => openRegenerate({ activity })}
+                                data-testid={`regenerate-activity-${activity.id}`}
+                              >
+                                <RefreshCw className="w-3 h-3" />
+                                Swap
+                              </Button>
                             </div>
                           </div>
+                          {/* Warning if the place is closed at the scheduled time */}
+                          {activity.opening_hours_conflict && (
+                            <div className="mt-3 p-2 rounded-lg bg-amber-50 border border-amber-200" data-testid={`opening-hours-warning-${activity.id}`}>
+                              <p className="text-sm text-amber-800 flex items-center gap-1">
+                                <AlertTriangle className="w-3 h-3" />
+                                <span className="font-medium">Check opening hours:</span> {activity.opening_hours_conflict.message}
+                              </p>
+                            </div>
+                          )}
                           {/* Eco alternative tip if available */}
                           {activity.eco_alternative && (
                             <div className="mt-3 p-2 rounded-lg bg-green-50 border border-green-200">
@@ -504,6 +1139,119 @@ export default function TripView() {
               </CardContent>
             </Card>
           ))}
+
+          {/* Greener option dialog - alternatives for the selected activity */}
+          <Dialog open={!!alternativesFor} onOpenChange={(open) => !open && setAlternativesFor(null)}>
+            <DialogContent className="max-h-[80vh] overflow-y-auto" data-testid="alternatives-dialog">
+              <DialogHeader>
+                <DialogTitle>Greener options for {alternativesFor?.title}</DialogTitle>
+              </DialogHeader>
+              {!alternatives ? (
+                <div className="space-y-2">
+                  <Skeleton className="h-16" />
+                  <Skeleton className="h-16" />
+                </div>
+              ) : (
+                <div className="space-y-6">
+                  {/* Transport options for the leg to this activity */}
+                  <div className="space-y-2">
+                    <Label>Getting there ({alternatives.activity.transport_distance_km} km by {alternatives.activity.transport_mode})</Label>
+                    {alternatives.transport_alternatives.length === 0 ? (
+                      <p className="text-sm text-muted-foreground">No lower-carbon transport for this leg</p>
+                    ) : alternatives.transport_alternatives.map((option) => (
+                      <div key={option.transport_mode} className="flex items-center justify-between gap-3 p-3 rounded-xl bg-secondary/30">
+                        <div>
+                          <p className="font-medium capitalize">{option.transport_mode}</p>
+                          <p className="text-sm text-muted-foreground">
+                            {option.emissions_kg} kg CO₂ · saves {option.savings_kg} kg ({option.savings_percent}%)
+                          </p>
+                        </div>
+                        <Button
+                          size="sm"
+                          disabled={applyingAlternative}
+                          onClick={() => applyAlternative({ transport_mode: option.transport_mode })}
+                        >
+                          Use
+                        </Button>
+                      </div>
+                    ))}
+                  </div>
+
+                  {/* Replacement activities suggested by the AI */}
+                  <div className="space-y-2">
+                    <Label>Instead of this activity</Label>
+                    {alternatives.activity_alternatives.length === 0 ? (
+                      <p className="text-sm text-muted-foreground">No lower-carbon activities found</p>
+                    ) : alternatives.activity_alternatives.map((option, index) => (
+                      <div key={index} className="flex items-center justify-between gap-3 p-3 rounded-xl bg-secondary/30">
+                        <div>
+                          <p className="font-medium">{option.title}</p>
+                          <p className="text-sm text-muted-foreground">{option.description || option.location}</p>
+                          <p className="text-xs text-muted-foreground">
+                            £{option.estimated_cost} · {Math.round((option.carbon_kg + option.transport_carbon_kg) * 100) / 100} kg CO₂ · saves {option.savings_kg} kg
+                          </p>
+                        </div>
+                        <Button
+                          size="sm"
+                          disabled={applyingAlternative}
+                          onClick={() => applyAlternative({ activity: option })}
+                        >
+                          Use
+                        </Button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </DialogContent>
+          </Dialog>
+
+          {/* Regenerate dialog - optional instructions for the AI */}
+          <Dialog open={!!regenerateTarget} onOpenChange={(open) => !open && setRegenerateTarget(null)}>
+            <DialogContent data-testid="regenerate-dialog">
+              <DialogHeader>
+                <DialogTitle>
+                  {regenerateTarget?.activity
+                    ? `Swap ${regenerateTarget.activity.title}`
+                    : `Regenerate day ${regenerateTarget?.day}`}
+                </DialogTitle>
+              </DialogHeader>
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  <Label>What would you like instead? (optional)</Label>
+                  <Input
+                    placeholder="e.g. more outdoor, cheaper, rainy day"
+                    value={regenerateInstructions}
+                    onChange={(e) => setRegenerateInstructions(e.target.value)}
+                    maxLength={500}
+                    data-testid="regenerate-instructions-input"
+                  />
+                  {/* Quick picks */}
+                  <div className="flex flex-wrap gap-2">
+                    {REGENERATE_SUGGESTIONS.map((suggestion) => (
+                      <Badge
+                        key={suggestion}
+                        variant="outline"
+                        className="cursor-pointer"
+                        onClick={() => setRegenerateInstructions(suggestion)}
+                      >
+                        {suggestion}
+                      </Badge>
+                    ))}
+                  </div>
+                </div>
+                <Button
+                  onClick={handleRegenerate}
+                  disabled={regenerating}
+                  className="w-full rounded-full gap-2"
+                  data-testid="regenerate-submit-btn"
+                >
+                  <RefreshCw className={`w-4 h-4 ${regenerating ? "animate-spin" : ""}`} />
+                  {regenerating ? "Regenerating..." : "Regenerate"}
+                </Button>
+              </div>
+            </DialogContent>
+          </Dialog>
         </TabsContent>
 
         {/* ============================================
@@ -624,6 +1372,49 @@ export default function TripView() {
               </Dialog>
             </CardHeader>
             <CardContent>
+              {/* Budget vs actual summary */}
+              {budget && (
+                <div className="grid grid-cols-3 gap-3 mb-6">
+                  <div className="p-3 rounded-lg bg-secondary/30 text-center">
+                    <p className="text-xs text-muted-foreground">Budget</p>
+                    <p className="font-semibold">£{budget.budget.toFixed(2)}</p>
+                  </div>
+                  <div className="p-3 rounded-lg bg-secondary/30 text-center">
+                    <p className="text-xs text-muted-foreground">Estimated</p>
+                    <p className="font-semibold">£{budget.estimated_total.toFixed(2)}</p>
+                  </div>
+                  <div className="p-3 rounded-lg bg-secondary/30 text-center">
+                    <p className="text-xs text-muted-foreground">Actual</p>
+                    <p className={`font-semibold ${budget.actual_total > budget.budget ? "text-red-600" : ""}`}>
+                      £{budget.actual_total.toFixed(2)}
+                    </p>
+                  </div>
+                </div>
+              )}
+              {/* Per-day estimated vs actual spend */}
+              {budget && expenses.length > 0 && (
+                <div className="space-y-2 mb-6">
+                  {budget.by_day.map(day => (
+                    <div key={day.day} className="flex justify-between text-sm">
+                      <span className="text-muted-foreground">Day {day.day}</span>
+                      <span className={day.over_estimate ? "text-red-600 font-medium" : "text-muted-foreground"}>
+                        £{day.actual.toFixed(2)} / £{day.estimated.toFixed(2)} est.
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {/* Per-category totals */}
+              {expenses.length > 0 && (
+                <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-6">
+                  {EXPENSE_CATEGORIES.map(cat => (
+                    <div key={cat.id} className="p-3 rounded-lg bg-secondary/30 text-center">
+                      <p className="text-xs text-muted-foreground">{cat.label}</p>
+                      <p className="font-semibold">£{(categoryTotals[cat.id] || 0).toFixed(2)}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
               {/* Empty state or expense list */}
               {expenses.length === 0 ? (
                 <div className="text-center py-12">
@@ -667,6 +1458,173 @@ export default function TripView() {
             </CardContent>
           </Card>
         </TabsContent>
+
+        {/* ============================================
+            Offsets Tab - Estimate and record carbon offsets
+            ============================================ */}
+        <TabsContent value="offsets">
+          <Card className="border-border/50 shadow-card">
+            <CardHeader className="flex flex-row items-center justify-between">
+              <div>
+                <CardTitle className="font-serif">Carbon Offsets</CardTitle>
+                <p className="text-muted-foreground">Offsetting doesn't remove emissions - reducing them comes first</p>
+              </div>
+              {/* Record offset dialog */}
+              <Dialog open={offsetDialogOpen} onOpenChange={setOffsetDialogOpen}>
+                <DialogTrigger asChild>
+                  <Button className="rounded-full gap-2" data-testid="record-offset-btn">
+                    <Plus className="w-4 h-4" />
+                    Record Offset
+                  </Button>
+                </DialogTrigger>
+                <DialogContent>
+                  <DialogHeader>
+                    <DialogTitle>Record Offset</DialogTitle>
+                  </DialogHeader>
+                  <div className="space-y-4 pt-4">
+                    {/* Provider select */}
+                    <div className="space-y-2">
+                      <Label>Provider</Label>
+                      <Select
+                        value={newOffset.provider_id}
+                        onValueChange={(v) => setNewOffset({...newOffset, provider_id: v})}
+                      >
+                        <SelectTrigger data-testid="offset-provider-select">
+                          <SelectValue placeholder="Choose a provider" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {(offsets?.estimates || []).map(estimate => (
+                            <SelectItem key={estimate.provider_id} value={String(estimate.provider_id)}>
+                              {estimate.provider_name} (£{estimate.price_per_tonne}/tonne)
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    {/* Amount and certificate inputs */}
+                    <div className="grid grid-cols-2 gap-4">
+                      <div className="space-y-2">
+                        <Label>Amount (kg CO₂)</Label>
+                        <Input
+                          type="number"
+                          placeholder="0"
+                          value={newOffset.amount_kg}
+                          onChange={(e) => setNewOffset({...newOffset, amount_kg: e.target.value})}
+                          data-testid="offset-amount-input"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label>Certificate Ref (optional)</Label>
+                        <Input
+                          placeholder="e.g. GS-12345"
+                          value={newOffset.certificate_reference}
+                          onChange={(e) => setNewOffset({...newOffset, certificate_reference: e.target.value})}
+                          data-testid="offset-certificate-input"
+                        />
+                      </div>
+                    </div>
+                    {/* Save button */}
+                    <Button
+                      onClick={handleRecordOffset}
+                      className="w-full rounded-full"
+                      data-testid="save-offset-btn"
+                    >
+                      Save Offset
+                    </Button>
+                  </div>
+                </DialogContent>
+              </Dialog>
+            </CardHeader>
+            <CardContent>
+              {offsets && (
+                <>
+                  {/* Gross vs net summary */}
+                  <div className="grid grid-cols-3 gap-3 mb-6">
+                    <div className="p-3 rounded-lg bg-secondary/30 text-center">
+                      <p className="text-xs text-muted-foreground">Gross</p>
+                      <p className="font-semibold">{offsets.gross_carbon_kg} kg</p>
+                    </div>
+                    <div className="p-3 rounded-lg bg-secondary/30 text-center">
+                      <p className="text-xs text-muted-foreground">Offset</p>
+                      <p className="font-semibold">{offsets.offset_kg} kg</p>
+                    </div>
+                    <div className="p-3 rounded-lg bg-secondary/30 text-center">
+                      <p className="text-xs text-muted-foreground">Net</p>
+                      <p className="font-semibold" data-testid="offsets-net-carbon">{offsets.net_carbon_kg} kg</p>
+                    </div>
+                  </div>
+
+                  {/* Cost of offsetting what's left with each provider */}
+                  {offsets.net_carbon_kg > 0 && offsets.estimates.length > 0 && (
+                    <div className="mb-6">
+                      <p className="text-sm font-medium mb-2">Offset the remaining {offsets.net_carbon_kg} kg</p>
+                      <div className="space-y-2">
+                        {offsets.estimates.map(estimate => (
+                          <div
+                            key={estimate.provider_id}
+                            className="flex items-center justify-between p-3 rounded-lg border border-border/50"
+                            data-testid={`offset-estimate-${estimate.provider_id}`}
+                          >
+                            <div>
+                              <p className="font-medium">{estimate.provider_name}</p>
+                              <p className="text-xs text-muted-foreground">
+                                {estimate.project_type?.replace(/_/g, " ")} · £{estimate.price_per_tonne}/tonne
+                              </p>
+                            </div>
+                            <div className="flex items-center gap-3">
+                              <span className="font-semibold">£{estimate.cost.toFixed(2)}</span>
+                              <Button size="sm" variant="outline" className="rounded-full" onClick={() => startOffset(estimate)}>
+                                Record
+                              </Button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Offsets already recorded */}
+                  {offsets.offsets.length === 0 ? (
+                    <div className="text-center py-8 text-muted-foreground">
+                      <TreePine className="w-12 h-12 mx-auto mb-2 opacity-50" />
+                      <p>No offsets recorded yet</p>
+                    </div>
+                  ) : (
+                    <div className="space-y-3">
+                      {offsets.offsets.map(offset => (
+                        <div
+                          key={offset.id}
+                          className="flex items-center justify-between p-4 rounded-lg bg-secondary/30"
+                          data-testid={`offset-${offset.id}`}
+                        >
+                          <div>
+                            <p className="font-medium">{offset.provider_name}</p>
+                            <p className="text-sm text-muted-foreground">
+                              {new Date(offset.offset_date).toLocaleDateString()}
+                              {offset.certificate_reference && ` · ${offset.certificate_reference}`}
+                            </p>
+                          </div>
+                          <div className="flex items-center gap-3">
+                            <span className="font-semibold">{parseFloat(offset.amount_kg)} kg · £{parseFloat(offset.cost).toFixed(2)}</span>
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => handleDeleteOffset(offset.id)}
+                              className="text-muted-foreground hover:text-destructive"
+                              data-testid={`delete-offset-${offset.id}`}
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </Button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
       </Tabs>
     </div>
   );